@@ -0,0 +1,235 @@
+const http = require('http');
+const https = require('https');
+const core = require('./public/lottery-core');
+
+/**
+ * Optional anchoring of sessions to the Lottery.sol contract on an EVM chain.
+ * The in-process Blockchain is the authoritative record; anchoring copies its
+ * commitments to a chain nobody running this server controls:
+ *
+ *   commitment  Lottery.createSession(name, start, end, seedHash) when the
+ *               session is created, so the seed commitment is public before
+ *               anyone can see the participant list
+ *   reveal      Lottery.revealSeed(id, seed) for contract-algorithm sessions,
+ *               whose keccak256 commitment the contract can check itself
+ *   results     a transaction carrying core.resultsHash() of the final
+ *               winners, sent when the session completes and again whenever a
+ *               completed session's winners change
+ *
+ * The contract's draw() cannot be used because it picks among addresses that
+ * called enter(); contract-algorithm sessions only follow its algorithm
+ * off-chain, with inputs the contract does not have (see core.CONTRACT_DRAW).
+ * The results hash is therefore sent as the data of a zero-value transaction
+ * from the anchoring account to itself.
+ *
+ * Transactions are sent with eth_sendTransaction, so the account must be
+ * unlocked on the node, as it is on local development nodes such as Hardhat or
+ * Ganache. Configure with ANCHOR_RPC_URL, ANCHOR_CONTRACT and optionally
+ * ANCHOR_FROM (defaults to the node's first account).
+ */
+
+const RPC_TIMEOUT_MS = 10000;
+const RECEIPT_POLL_MS = 500;
+const RECEIPT_TIMEOUT_MS = parseInt(process.env.ANCHOR_RECEIPT_TIMEOUT_MS, 10) || 60000;
+// Lottery.createSession requires start < end; sessions without a registration
+// window are anchored with a window of this length from their creation.
+const DEFAULT_WINDOW_S = 7 * 24 * 60 * 60;
+
+const CREATE_SESSION = 'createSession(string,uint256,uint256,bytes32)';
+const REVEAL_SEED = 'revealSeed(uint256,bytes32)';
+const SESSION_CREATED = 'SessionCreated(uint256,string,uint256,uint256)';
+
+function selector(signature) {
+  return core.toHex(core.keccak256(signature).slice(0, 4));
+}
+
+function word(value) {
+  return core.toHex(core.uint256(value));
+}
+
+/**
+ * ABI-encode the arguments of createSession(string,uint256,uint256,bytes32).
+ *
+ * @param {string} name
+ * @param {number} start Unix seconds
+ * @param {number} end Unix seconds
+ * @param {string} seedHash 32-byte hex digest
+ * @returns {string} 0x-prefixed call data
+ */
+function encodeCreateSession(name, start, end, seedHash) {
+  const bytes = core.utf8(name);
+  const padded = new Uint8Array(Math.ceil(bytes.length / 32) * 32);
+  padded.set(bytes);
+  // the string is dynamic: its head slot holds the offset of its tail
+  return '0x' + selector(CREATE_SESSION) + word(4 * 32) + word(start) + word(end) +
+    seedHash.replace(/^0x/, '') + word(bytes.length) + core.toHex(padded);
+}
+
+/**
+ * Send a JSON-RPC request.
+ *
+ * @param {string} rpcUrl
+ * @param {string} method
+ * @param {Array} params
+ * @returns {Promise<any>} The result; rejects on transport or RPC errors
+ */
+function rpc(rpcUrl, method, params) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(rpcUrl);
+    const payload = JSON.stringify({ jsonrpc: '2.0', id: Date.now(), method, params });
+    const client = target.protocol === 'https:' ? https : http;
+    const req = client.request(target, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) },
+      timeout: RPC_TIMEOUT_MS
+    }, resp => {
+      let body = '';
+      resp.on('data', chunk => body += chunk);
+      resp.on('end', () => {
+        let json;
+        try {
+          json = JSON.parse(body);
+        } catch (e) {
+          return reject(new Error(`${method}: invalid response from node (HTTP ${resp.statusCode})`));
+        }
+        if (json.error) return reject(new Error(`${method}: ${json.error.message || JSON.stringify(json.error)}`));
+        resolve(json.result);
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error(`${method}: node did not respond`)));
+    req.on('error', reject);
+    req.write(payload);
+    req.end();
+  });
+}
+
+class Anchor {
+  /**
+   * @param {Object} options
+   * @param {string} options.rpcUrl JSON-RPC endpoint of the node
+   * @param {string} options.contract Address of the deployed Lottery contract
+   * @param {string} [options.from] Unlocked sending account
+   */
+  constructor(options) {
+    this.rpcUrl = options.rpcUrl;
+    this.contract = options.contract.toLowerCase();
+    this.from = options.from ? options.from.toLowerCase() : null;
+    // transactions are sent one at a time so a session's anchors keep their order
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Anchor configured through the environment, or null if anchoring is off.
+   *
+   * @returns {Anchor|null}
+   */
+  static fromEnv() {
+    const { ANCHOR_RPC_URL: rpcUrl, ANCHOR_CONTRACT: contract, ANCHOR_FROM: from } = process.env;
+    if (!rpcUrl || !contract) return null;
+    return new Anchor({ rpcUrl, contract, from });
+  }
+
+  async account() {
+    if (!this.from) {
+      const accounts = await rpc(this.rpcUrl, 'eth_accounts', []);
+      if (!accounts || accounts.length === 0) throw new Error('node has no unlocked account; set ANCHOR_FROM');
+      this.from = accounts[0].toLowerCase();
+    }
+    return this.from;
+  }
+
+  /**
+   * Send a transaction and wait until it is mined.
+   *
+   * @param {Object} tx Transaction without `from`
+   * @returns {Promise<Object>} The receipt; rejects if the transaction reverted
+   */
+  async transact(tx) {
+    const from = await this.account();
+    // some nodes default to a fixed gas limit too low for createSession
+    const gas = await rpc(this.rpcUrl, 'eth_estimateGas', [Object.assign({ from }, tx)]);
+    const limit = '0x' + (BigInt(gas) * 5n / 4n).toString(16);
+    const txHash = await rpc(this.rpcUrl, 'eth_sendTransaction', [Object.assign({ from, gas: limit }, tx)]);
+    const deadline = Date.now() + RECEIPT_TIMEOUT_MS;
+    for (;;) {
+      const receipt = await rpc(this.rpcUrl, 'eth_getTransactionReceipt', [txHash]);
+      if (receipt) {
+        if (receipt.status === '0x0') throw new Error(`transaction ${txHash} reverted`);
+        return receipt;
+      }
+      if (Date.now() > deadline) throw new Error(`transaction ${txHash} not mined in time`);
+      await new Promise(r => setTimeout(r, RECEIPT_POLL_MS));
+    }
+  }
+
+  run(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Record a session's seed commitment with Lottery.createSession.
+   *
+   * @param {Object} session Stored session
+   * @returns {Promise<{txHash: string, blockNumber: number, contractSessionId: string|null}>}
+   */
+  anchorCommitment(session) {
+    return this.run(async () => {
+      if (!/^[0-9a-f]{64}$/i.test(session.seedHash)) throw new Error('seedHash is not a 32-byte hex digest');
+      const start = Math.floor((session.registrationOpensAt || session.createdAt || Date.now()) / 1000);
+      const end = session.registrationClosesAt
+        ? Math.max(Math.floor(session.registrationClosesAt / 1000), start + 1)
+        : start + DEFAULT_WINDOW_S;
+      const receipt = await this.transact({
+        to: this.contract,
+        data: encodeCreateSession(session.name, start, end, session.seedHash)
+      });
+      const topic = '0x' + core.toHex(core.keccak256(SESSION_CREATED));
+      const log = (receipt.logs || []).find(l => l.address.toLowerCase() === this.contract && l.topics[0] === topic);
+      return {
+        txHash: receipt.transactionHash,
+        blockNumber: parseInt(receipt.blockNumber, 16),
+        contractSessionId: log ? BigInt(log.topics[1]).toString() : null
+      };
+    });
+  }
+
+  /**
+   * Reveal the seed of a contract-algorithm session on the contract, which
+   * checks it against the anchored commitment.
+   *
+   * @param {string} contractSessionId Session id assigned by the contract
+   * @param {string} seed 32-byte hex seed
+   * @returns {Promise<{txHash: string, blockNumber: number}>}
+   */
+  anchorReveal(contractSessionId, seed) {
+    return this.run(async () => {
+      if (!contractSessionId) throw new Error('commitment was not anchored with a contract session id');
+      const receipt = await this.transact({
+        to: this.contract,
+        data: '0x' + selector(REVEAL_SEED) + word(contractSessionId) + seed.replace(/^0x/, '')
+      });
+      return { txHash: receipt.transactionHash, blockNumber: parseInt(receipt.blockNumber, 16) };
+    });
+  }
+
+  /**
+   * Publish the hash of a session's results.
+   *
+   * @param {string} resultsHash Hex digest from core.resultsHash()
+   * @returns {Promise<{txHash: string, blockNumber: number}>}
+   */
+  anchorResults(resultsHash) {
+    return this.run(async () => {
+      const from = await this.account();
+      const receipt = await this.transact({ to: from, value: '0x0', data: '0x' + resultsHash });
+      return { txHash: receipt.transactionHash, blockNumber: parseInt(receipt.blockNumber, 16) };
+    });
+  }
+}
+
+Anchor.rpc = rpc;
+Anchor.encodeCreateSession = encodeCreateSession;
+
+module.exports = Anchor;
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+/**
+ * Operator authentication for the lottery server. Operators are configured
+ * locally in a JSON file (see operators.js for the command used to manage it)
+ * and carry one of the roles below. Operators log in with their password and
+ * receive an HttpOnly session cookie; scripts may instead present a
+ * pre-issued API token as `Authorization: Bearer <token>`. Only salted scrypt
+ * password hashes and SHA‑256 token hashes are ever written to disk.
+ *
+ * Login sessions live in memory, so restarting the server logs everyone out.
+ */
+
+// Roles ordered by privilege. An admin may do everything a registrar can, and
+// both may act as a committer when a session names them as one.
+const ROLES = ['committer', 'registrar', 'admin'];
+const COOKIE_NAME = 'lottery_sid';
+const SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+
+/**
+ * Derive the scrypt hash of a password.
+ *
+ * @param {string} password Plain text password
+ * @param {string} salt Hex encoded salt
+ * @returns {string} Hex encoded hash
+ */
+function hashPassword(password, salt) {
+  return crypto.scryptSync(String(password), Buffer.from(salt, 'hex'), 64).toString('hex');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Constant time comparison of two hex strings
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a), 'hex');
+  const bufB = Buffer.from(String(b), 'hex');
+  return bufA.length === bufB.length && bufA.length > 0 && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '').split(';').forEach(part => {
+    const idx = part.indexOf('=');
+    if (idx < 0) return;
+    const value = part.slice(idx + 1).trim();
+    try {
+      cookies[part.slice(0, idx).trim()] = decodeURIComponent(value);
+    } catch (e) {
+      // a malformed escape cannot be one of our tokens, which are hex
+      cookies[part.slice(0, idx).trim()] = value;
+    }
+  });
+  return cookies;
+}
+
+class Auth {
+  /**
+   * @param {string} file Path of the operators file
+   */
+  constructor(file) {
+    this.file = file;
+    this.operators = [];
+    // token -> { username, role, expires }
+    this.sessions = new Map();
+    this.load();
+  }
+
+  /**
+   * Reads the operators file. A missing file simply means no operator can
+   * log in, which keeps every protected route closed by default.
+   */
+  load() {
+    if (!fs.existsSync(this.file)) {
+      this.operators = [];
+      return;
+    }
+    const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    this.operators = Array.isArray(saved.operators) ? saved.operators : [];
+  }
+
+  save() {
+    fs.writeFileSync(this.file, JSON.stringify({ operators: this.operators }, null, 2));
+  }
+
+  findOperator(username) {
+    return this.operators.find(o => o.username === username) || null;
+  }
+
+  /**
+   * Adds or updates an operator and persists the file.
+   *
+   * @param {string} username
+   * @param {string} role One of ROLES
+   * @param {string} password Plain text password
+   */
+  setOperator(username, role, password) {
+    if (!ROLES.includes(role)) throw new Error(`role must be one of ${ROLES.join(', ')}`);
+    const salt = crypto.randomBytes(16).toString('hex');
+    const existing = this.findOperator(username);
+    const operator = existing || { username };
+    operator.role = role;
+    operator.salt = salt;
+    operator.passwordHash = hashPassword(password, salt);
+    if (!existing) this.operators.push(operator);
+    this.save();
+    return operator;
+  }
+
+  /**
+   * Issues a new API token for an operator, replacing any previous token.
+   * Only the hash is stored, so the returned value cannot be recovered later.
+   *
+   * @param {string} username
+   * @returns {string} The plain text token
+   */
+  issueToken(username) {
+    const operator = this.findOperator(username);
+    if (!operator) throw new Error(`unknown operator ${username}`);
+    const token = crypto.randomBytes(32).toString('hex');
+    operator.tokenHash = hashToken(token);
+    this.save();
+    return token;
+  }
+
+  removeOperator(username) {
+    const before = this.operators.length;
+    this.operators = this.operators.filter(o => o.username !== username);
+    if (this.operators.length !== before) this.save();
+    return this.operators.length !== before;
+  }
+
+  /**
+   * Checks a username/password pair and opens a login session.
+   *
+   * @returns {{token: string, operator: {username: string, role: string}}|null}
+   */
+  login(username, password) {
+    const operator = this.findOperator(username);
+    // Hash even for unknown users so response timing does not reveal valid names
+    const salt = operator ? operator.salt : '00';
+    const computed = hashPassword(password, salt);
+    if (!operator || !safeEqual(computed, operator.passwordHash)) return null;
+    const token = crypto.randomBytes(32).toString('hex');
+    const info = { username: operator.username, role: operator.role };
+    this.sessions.set(token, Object.assign({ expires: Date.now() + SESSION_TTL_MS }, info));
+    return { token, operator: info };
+  }
+
+  logout(req) {
+    const token = parseCookies(req.headers.cookie)[COOKIE_NAME];
+    if (token) this.sessions.delete(token);
+  }
+
+  /**
+   * Resolves the operator behind a request from its bearer token or session
+   * cookie.
+   *
+   * @param {http.IncomingMessage} req
+   * @returns {{username: string, role: string}|null}
+   */
+  getOperator(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+      const tokenHash = hashToken(header.slice(7).trim());
+      const operator = this.operators.find(o => o.tokenHash && safeEqual(o.tokenHash, tokenHash));
+      return operator ? { username: operator.username, role: operator.role } : null;
+    }
+    const token = parseCookies(req.headers.cookie)[COOKIE_NAME];
+    const session = token && this.sessions.get(token);
+    if (!session) return null;
+    if (session.expires < Date.now()) {
+      this.sessions.delete(token);
+      return null;
+    }
+    return { username: session.username, role: session.role };
+  }
+
+  /**
+   * Whether an operator's role grants the required role.
+   */
+  static hasRole(operator, role) {
+    return !!operator && ROLES.indexOf(operator.role) >= ROLES.indexOf(role);
+  }
+
+  static sessionCookie(token) {
+    return `${COOKIE_NAME}=${token}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${SESSION_TTL_MS / 1000}`;
+  }
+
+  static clearCookie() {
+    return `${COOKIE_NAME}=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0`;
+  }
+}
+
+Auth.ROLES = ROLES;
+
+module.exports = Auth;
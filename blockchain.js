@@ -1,4 +1,6 @@
 const crypto = require('crypto');
+const fs = require('fs');
+const EventEmitter = require('events');
 
 /**
  * Simple blockchain implementation used to record important lottery events.
@@ -7,11 +9,104 @@ const crypto = require('crypto');
  * (excluding the hash itself). Although this is not a consensus driven chain, it
  * provides an immutable, append‑only log suitable for demonstrating how a lottery
  * system can record commitments and results in a verifiable way.
+ *
+ * When a file path is given the chain is persisted as an append‑only log with
+ * one JSON encoded block per line. Existing logs are reloaded on construction so
+ * the audit trail survives restarts; callers should check isValid() before
+ * trusting a reloaded chain.
+ *
+ * Every appended block is also emitted as a 'block' event so listeners such
+ * as the live event stream learn about it as soon as it is recorded.
+ *
+ * With the `deferred` option new blocks are only held in memory until
+ * flush() writes and emits them, or discard() drops them again. The server
+ * flushes after each commit of its state store and discards on rollback, so
+ * the log never records an event whose effect on the state was undone.
  */
-class Blockchain {
-  constructor() {
+class Blockchain extends EventEmitter {
+  /**
+   * @param {string} [file] Optional path of the append‑only log backing the chain
+   * @param {Object} [options]
+   * @param {boolean} [options.deferred] Write and emit blocks only on flush()
+   */
+  constructor(file, options = {}) {
+    super();
     this.chain = [];
-    this.createGenesisBlock();
+    this.file = file || null;
+    this.deferred = !!options.deferred;
+    // Blocks added since the last flush() in deferred mode
+    this.pending = [];
+    // Set when the log contains a line that cannot be parsed
+    this.loadError = null;
+    if (this.file && fs.existsSync(this.file)) {
+      this.load();
+    } else {
+      this.createGenesisBlock();
+    }
+  }
+
+  /**
+   * Reads every block from the backing log. A malformed last line is what a
+   * crash in the middle of an append leaves behind; it is cut off the file so
+   * the next block starts on a line of its own, like storage.js drops a torn
+   * log record. Parsing stops at any other malformed line; the error is
+   * remembered so isValid() reports the chain as broken instead of silently
+   * dropping the tail.
+   */
+  load() {
+    const text = fs.readFileSync(this.file, 'utf8');
+    const size = Buffer.byteLength(text);
+    const lines = text.split('\n');
+    // byte offset just past the newline of the last block read
+    let end = 0;
+    let offset = 0;
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      const lineEnd = offset + Buffer.byteLength(lines[i]) + 1;
+      offset = lineEnd;
+      if (!line) continue;
+      try {
+        this.chain.push(JSON.parse(line));
+        end = lineEnd;
+      } catch (e) {
+        if (lines.slice(i + 1).every(l => !l.trim())) {
+          console.warn(`Dropping incomplete last block of ${this.file}`);
+          break;
+        }
+        this.loadError = `line ${i + 1}: ${e.message}`;
+        break;
+      }
+    }
+    if (!this.loadError && end !== size) {
+      fs.truncateSync(this.file, Math.min(end, size));
+      // the last block was written completely but its newline was not
+      if (end > size) fs.appendFileSync(this.file, '\n');
+    }
+    if (this.chain.length === 0 && !this.loadError) {
+      this.createGenesisBlock();
+    }
+  }
+
+  /**
+   * Appends blocks to the backing log, if any, and waits until they are on
+   * disk. A failed write is cut off again, so the log never keeps part of
+   * the blocks.
+   *
+   * @param {Array<Object>} blocks The blocks to persist
+   */
+  persist(blocks) {
+    if (!this.file) return;
+    const fd = fs.openSync(this.file, 'a');
+    const size = fs.fstatSync(fd).size;
+    try {
+      fs.writeSync(fd, blocks.map(block => JSON.stringify(block) + '\n').join(''));
+      fs.fsyncSync(fd);
+    } catch (e) {
+      fs.ftruncateSync(fd, size);
+      throw e;
+    } finally {
+      fs.closeSync(fd);
+    }
   }
 
   /**
@@ -27,6 +122,7 @@ class Blockchain {
       previousHash: '0'
     };
     genesis.hash = this.computeHash(genesis);
+    this.persist([genesis]);
     this.chain.push(genesis);
   }
 
@@ -47,12 +143,15 @@ class Blockchain {
   /**
    * Adds a new block containing the specified data to the chain. The new block
    * links to the previous block via its hash and is assigned an index equal to
-   * the current chain length.
+   * the current chain length. In deferred mode it is written by the next
+   * flush(). Throws when the log failed to load.
    *
    * @param {any} data Arbitrary serialisable data to store in the block
    * @returns {Object} The newly created block
    */
   addBlock(data) {
+    // blocks appended to a log that could not be read would be lost with it
+    if (this.loadError) throw new Error(`cannot append to ${this.file}: ${this.loadError}`);
     const lastBlock = this.chain[this.chain.length - 1];
     const block = {
       index: lastBlock.index + 1,
@@ -61,10 +160,42 @@ class Blockchain {
       previousHash: lastBlock.hash
     };
     block.hash = this.computeHash(block);
+    if (this.deferred) {
+      this.chain.push(block);
+      this.pending.push(block);
+      return block;
+    }
+    // written before it is added in memory so a failed write never leaves the two diverged
+    this.persist([block]);
     this.chain.push(block);
+    this.emit('block', block);
     return block;
   }
 
+  /**
+   * Writes the blocks added since the last flush and emits them. If the write
+   * fails they stay pending, to be flushed again or discarded.
+   */
+  flush() {
+    if (this.pending.length === 0) return;
+    const blocks = this.pending;
+    this.persist(blocks);
+    this.pending = [];
+    blocks.forEach(block => this.emit('block', block));
+  }
+
+  /**
+   * Drops the blocks added since the last flush.
+   *
+   * @returns {number} Number of dropped blocks
+   */
+  discard() {
+    const count = this.pending.length;
+    this.chain.length -= count;
+    this.pending = [];
+    return count;
+  }
+
   /**
    * Returns the current tip (latest hash) of the chain. This value can be
    * included when generating randomness to tie the outcome to the chain state.
@@ -76,14 +207,19 @@ class Blockchain {
   /**
    * Validates the integrity of the chain by recomputing the hash of each
    * block and ensuring it matches the stored value as well as correctly
-   * referencing the previous block.
+   * referencing the previous block. A log that failed to parse is never valid.
    *
    * @returns {boolean} True if the chain is valid, false otherwise
    */
   isValid() {
+    if (this.loadError || this.chain.length === 0) return false;
+    const genesis = this.chain[0];
+    if (genesis.index !== 0 || genesis.previousHash !== '0') return false;
+    if (this.computeHash(genesis) !== genesis.hash) return false;
     for (let i = 1; i < this.chain.length; i++) {
       const current = this.chain[i];
       const prev = this.chain[i - 1];
+      if (current.index !== i) return false;
       if (current.previousHash !== prev.hash) return false;
       if (this.computeHash(current) !== current.hash) return false;
     }
@@ -0,0 +1,140 @@
+const lifecycle = require('./lifecycle');
+const { fail } = require('./errors');
+
+/**
+ * Multi-party seed commitment. Instead of one admin choosing the seed, a
+ * session may name several committers (operators such as a union
+ * representative, HR and an auditor). Each one commits to a secret of their
+ * own before registration closes and reveals it on the day; the draw seed is
+ * derived from every revealed secret with core.combineSeeds(), so nobody
+ * knows it in advance unless all committers collude.
+ *
+ * Commitments close with registration, which cannot close, by hand or on
+ * schedule, before at least `quorum` committers have committed. The seed is
+ * fixed once every committer who committed has revealed, or, if the session
+ * has a reveal deadline, once the deadline has passed and at least `quorum`
+ * of them have revealed; the missing secrets are then left out. A committer who withholds can still
+ * change the outcome that way, which is why the quorum defaults to everyone.
+ *
+ * Each committer is stored on the session as
+ * `{ username, seedHash, committedAt, seed, revealedAt }`.
+ */
+
+/**
+ * Validate the committer settings of a new session.
+ *
+ * @param {Object} data Request body with `committers` (usernames), optional
+ *   `quorum` and `revealDeadline`
+ * @param {function(string): boolean} isOperator Whether a username exists
+ * @returns {{committers: Array<Object>, quorum: number, revealDeadline: number|null}|{error: string, code: string}|null}
+ *   null when the session has a single seed chosen by the admin
+ */
+function normalizeConfig(data, isOperator) {
+  if (data.committers === undefined || data.committers === null) return null;
+  if (!Array.isArray(data.committers) || data.committers.length === 0) {
+    return fail('COMMITTERS_INVALID');
+  }
+  const usernames = data.committers.map(u => String(u).trim());
+  if (new Set(usernames).size !== usernames.length) return fail('COMMITTERS_DUPLICATE');
+  const unknown = usernames.find(u => !isOperator(u));
+  if (unknown !== undefined) return fail('UNKNOWN_OPERATOR', { username: unknown });
+  const quorum = data.quorum === undefined || data.quorum === null || data.quorum === ''
+    ? usernames.length
+    : Number(data.quorum);
+  if (!Number.isInteger(quorum) || quorum < 1 || quorum > usernames.length) {
+    return fail('QUORUM_INVALID', { max: usernames.length });
+  }
+  const revealDeadline = lifecycle.parseTimestamp(data.revealDeadline);
+  if (revealDeadline === undefined) return fail('REVEAL_DEADLINE_INVALID');
+  if (quorum < usernames.length && !revealDeadline) {
+    return fail('REVEAL_DEADLINE_REQUIRED');
+  }
+  return {
+    committers: usernames.map(username => ({ username, seedHash: null, committedAt: null, seed: null, revealedAt: null })),
+    quorum,
+    revealDeadline
+  };
+}
+
+function findCommitter(session, username) {
+  return (session.committers || []).find(c => c.username === username) || null;
+}
+
+function committed(session) {
+  return (session.committers || []).filter(c => c.seedHash);
+}
+
+function revealed(session) {
+  return committed(session).filter(c => c.seed);
+}
+
+/**
+ * Why registration cannot close yet, or null if it can.
+ *
+ * @param {Object} session Session with committers
+ * @returns {{error: string, code: string, params: Object}|null} A failure made with errors.fail()
+ */
+function closeBlocker(session) {
+  if (committed(session).length >= session.quorum) return null;
+  return fail('COMMITMENTS_PENDING', { committers: progress(session).pending.join(', ') });
+}
+
+/**
+ * Whether the revealed shares fix the seed without waiting for the reveal
+ * deadline: every commitment is revealed and they make a quorum.
+ *
+ * @param {Object} session Session with committers, registration closed
+ * @returns {boolean}
+ */
+function allRevealed(session) {
+  const shares = revealed(session).length;
+  return shares === committed(session).length && shares >= session.quorum;
+}
+
+/**
+ * Why the seed cannot be fixed yet, or null if it can.
+ *
+ * @param {Object} session Session with committers, registration closed
+ * @param {number} [now] Current time in epoch milliseconds
+ * @returns {{error: string, code: string, params: Object}|null} A failure made with errors.fail()
+ */
+function finalizeBlocker(session, now = Date.now()) {
+  const pending = committed(session).filter(c => !c.seed).map(c => c.username);
+  if (committed(session).length < session.quorum) {
+    return fail('QUORUM_NOT_COMMITTED', { count: committed(session).length, quorum: session.quorum });
+  }
+  if (pending.length === 0) return null;
+  if (!session.revealDeadline || now < session.revealDeadline) {
+    return fail('REVEALS_PENDING', { committers: pending.join(', ') });
+  }
+  if (revealed(session).length < session.quorum) {
+    return fail('QUORUM_NOT_REVEALED', { count: revealed(session).length, quorum: session.quorum });
+  }
+  return null;
+}
+
+/**
+ * The committers' progress without their secrets, for error messages and
+ * the admin panel.
+ *
+ * @param {Object} session
+ * @returns {{committed: Array<string>, revealed: Array<string>, pending: Array<string>}}
+ */
+function progress(session) {
+  return {
+    committed: committed(session).map(c => c.username),
+    revealed: revealed(session).map(c => c.username),
+    pending: (session.committers || []).filter(c => !c.seedHash).map(c => c.username)
+  };
+}
+
+module.exports = {
+  normalizeConfig,
+  findCommitter,
+  committed,
+  revealed,
+  closeBlocker,
+  allRevealed,
+  finalizeBlocker,
+  progress
+};
@@ -0,0 +1,79 @@
+const core = require('./public/lottery-core');
+const { fail } = require('./errors');
+
+/**
+ * Eligibility rules of a session. HR may want some people to hold more
+ * tickets than others (e.g. by years of service), some groups to be left out
+ * (managers, organizers) and winners of an earlier session not to win again.
+ * A session's rules are
+ *
+ *   { weighted, exclusions: [{ name, ids }], excludeWinnersOf: [sessionId] }
+ *
+ * `weighted` draws with core.SELECTION_WEIGHTED using each participant's
+ * `weight` (see participants.js); exclusion lists name the participant ids
+ * they remove; `excludeWinnersOf` removes the current winners of the named
+ * sessions. Rules can change until registration closes. Closing evaluates
+ * them with core.applyRules() and records the winners of the referenced
+ * sessions and every exclusion in the close block, before the seed is
+ * revealed, so the verifier can explain which rule excluded whom.
+ */
+
+const MAX_EXCLUSION_LISTS = 20;
+const MAX_LIST_NAME_LENGTH = 64;
+
+/**
+ * Validate rules from a request.
+ *
+ * @param {Object|null|undefined} input
+ * @param {function(string): boolean} isSession Whether a session id may be referenced
+ * @returns {{rules: Object|null}|{error: string}} null rules when none are given
+ */
+function normalizeRules(input, isSession) {
+  if (input === undefined || input === null) return { rules: null };
+  if (typeof input !== 'object' || Array.isArray(input)) return fail('FIELD_TYPE', { field: 'rules', type: 'object' });
+  const exclusions = input.exclusions === undefined || input.exclusions === null ? [] : input.exclusions;
+  if (!Array.isArray(exclusions) || exclusions.length > MAX_EXCLUSION_LISTS) {
+    return fail('EXCLUSIONS_INVALID', { max: MAX_EXCLUSION_LISTS });
+  }
+  const names = new Set();
+  const lists = [];
+  for (const list of exclusions) {
+    const name = String((list && list.name) || '').trim();
+    if (!name || name.length > MAX_LIST_NAME_LENGTH) {
+      return fail('EXCLUSION_NAME_INVALID', { max: MAX_LIST_NAME_LENGTH });
+    }
+    if (names.has(name)) return fail('EXCLUSION_DUPLICATE', { name });
+    if (!Array.isArray(list.ids)) return fail('EXCLUSION_IDS_INVALID', { name });
+    names.add(name);
+    lists.push({ name, ids: [...new Set(list.ids.map(id => String(id).trim()).filter(Boolean))] });
+  }
+  const sessions = input.excludeWinnersOf === undefined || input.excludeWinnersOf === null ? [] : input.excludeWinnersOf;
+  if (!Array.isArray(sessions)) return fail('EXCLUDE_WINNERS_INVALID');
+  const sessionIds = [...new Set(sessions.map(id => String(id).trim()).filter(Boolean))];
+  const unknown = sessionIds.find(id => !isSession(id));
+  if (unknown !== undefined) return fail('EXCLUDE_WINNERS_UNKNOWN', { sessionId: unknown });
+  return { rules: { weighted: input.weighted === true, exclusions: lists, excludeWinnersOf: sessionIds } };
+}
+
+/**
+ * Evaluate a session's rules when registration closes.
+ *
+ * @param {Object} rules Normalised rules
+ * @param {Array<string>} ids Participant ids of the session
+ * @param {function(string): Array<string>} winnersOf Current winners of another session
+ * @returns {{priorWinners: Object, excluded: Array<Object>}} priorWinners holds,
+ *   per referenced session, its winners who also entered this one
+ */
+function evaluate(rules, ids, winnersOf) {
+  const members = new Set(ids);
+  const priorWinners = {};
+  rules.excludeWinnersOf.forEach(sessionId => {
+    priorWinners[sessionId] = winnersOf(sessionId).filter(id => members.has(id));
+  });
+  return { priorWinners, excluded: core.applyRules(ids, rules, priorWinners).excluded };
+}
+
+module.exports = {
+  normalizeRules,
+  evaluate
+};
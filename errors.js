@@ -0,0 +1,317 @@
+/**
+ * Error codes of the HTTP API. Every error response has the form
+ *
+ *   { "error": "场次不存在", "code": "SESSION_NOT_FOUND", "params": { ... } }
+ *
+ * `code` is stable for programs to branch on and `params`, present when the
+ * message has placeholders, carries their values. `error` is the message in
+ * the client's language: Chinese when its Accept-Language prefers Chinese,
+ * English otherwise. The English messages are the ones the API returned
+ * before it had codes.
+ *
+ * Modules that validate input return failures made with fail(), which keep
+ * the English message in `error` so callers can go on testing `result.error`.
+ */
+
+// Names used in Chinese messages for values the English ones show verbatim
+const STATE_NAMES = {
+  draft: '草稿',
+  registration_open: '报名中',
+  registration_closed: '报名已截止',
+  seed_revealed: '种子已揭示',
+  drawing: '抽奖中',
+  completed: '已完成',
+  cancelled: '已取消'
+};
+const ROLE_NAMES = { admin: '管理员', registrar: '报名员', committer: '承诺人' };
+const ANCHOR_STATUS_NAMES = { pending: '进行中', anchored: '已锚定', failed: '失败' };
+const TYPE_NAMES = {
+  en: { string: 'a string', integer: 'an integer', number: 'a number', boolean: 'a boolean', object: 'an object', array: 'a list', null: 'null' },
+  zh: { string: '字符串', integer: '整数', number: '数字', boolean: '布尔值', object: '对象', array: '列表', null: 'null' }
+};
+// Operations refused by requireStatus() in server.js
+const ACTION_NAMES = {
+  'change eligibility rules': '修改资格规则',
+  'commit a seed': '提交种子承诺',
+  'reveal the seed': '揭示种子',
+  'finalize the seed': '确定种子',
+  draw: '抽奖',
+  'void a winner': '作废中奖者',
+  'draw a replacement': '补抽',
+  'set a registration list': '设置报名名单'
+};
+
+const typeList = (types, lang) => [].concat(types).map(t => TYPE_NAMES[lang][t] || t).join(lang === 'zh' ? '或' : ' or ');
+
+/**
+ * Codes with their HTTP status and messages. Messages are templates whose
+ * {name} placeholders are filled from the params, or functions of the params.
+ */
+const CATALOG = {
+  // requests the router rejects
+  NOT_FOUND: { status: 404, en: 'Unknown API endpoint', zh: '接口不存在' },
+  METHOD_NOT_ALLOWED: { status: 405, en: '{method} is not allowed here; use {allowed}', zh: '该接口不支持 {method} 请求，请使用 {allowed}' },
+  UNSUPPORTED_MEDIA_TYPE: { status: 415, en: 'content type {type} is not accepted; use {accepted}', zh: '不支持的内容类型 {type}，请使用 {accepted}' },
+  BODY_TOO_LARGE: { status: 413, en: 'request body too large (limit {limit} bytes)', zh: '请求内容过大（上限 {limit} 字节）' },
+  INVALID_JSON: { status: 400, en: 'request body is not valid JSON', zh: '请求内容不是有效的 JSON' },
+  FIELD_REQUIRED: { status: 400, en: '{field} is required', zh: '缺少 {field}' },
+  FIELD_TYPE: {
+    status: 400,
+    en: p => `${p.field} must be ${typeList(p.type, 'en')}`,
+    zh: p => `${p.field} 应为${typeList(p.type, 'zh')}`
+  },
+  FIELD_ENUM: { status: 400, en: '{field} must be one of {values}', zh: '{field} 只能是 {values} 之一' },
+  FIELD_PATTERN: { status: 400, en: '{field} has an invalid format', zh: '{field} 格式不正确' },
+  FIELD_TOO_SHORT: { status: 400, en: '{field} must be at least {limit} characters', zh: '{field} 至少 {limit} 个字符' },
+  FIELD_TOO_LONG: { status: 400, en: '{field} must be at most {limit} characters', zh: '{field} 最多 {limit} 个字符' },
+  FIELD_TOO_SMALL: { status: 400, en: '{field} must be at least {limit}', zh: '{field} 不能小于 {limit}' },
+  FIELD_TOO_LARGE: { status: 400, en: '{field} must be at most {limit}', zh: '{field} 不能大于 {limit}' },
+  FIELD_TOO_MANY: { status: 400, en: '{field} must have at most {limit} items', zh: '{field} 最多 {limit} 项' },
+  INTERNAL_ERROR: { status: 500, en: 'Server error', zh: '服务器内部错误' },
+
+  // operators
+  LOGIN_REQUIRED: { status: 401, en: 'login required', zh: '请先登录' },
+  ROLE_REQUIRED: { status: 403, en: '{role} role required', zh: p => `需要${ROLE_NAMES[p.role] || p.role}权限` },
+  INVALID_CREDENTIALS: { status: 401, en: 'invalid username or password', zh: '用户名或密码错误' },
+
+  // sessions and their lifecycle
+  SESSION_NOT_FOUND: { status: 404, en: 'session not found', zh: '场次不存在' },
+  INVALID_STATE: {
+    status: 400,
+    en: 'cannot {action} while session is {status}',
+    zh: p => `场次${STATE_NAMES[p.status] || p.status}，不能${ACTION_NAMES[p.action] || p.action}`
+  },
+  INVALID_TRANSITION: {
+    status: 400,
+    en: 'cannot move session from {from} to {to}',
+    zh: p => `场次不能从“${STATE_NAMES[p.from] || p.from}”变为“${STATE_NAMES[p.to] || p.to}”`
+  },
+  REGISTRATION_WINDOW_ENDED: { status: 400, en: 'registration window has already ended', zh: '报名时间窗口已经结束' },
+  REGISTRATION_NOT_OPEN: { status: 400, en: 'registration is not open', zh: '报名未开放或已截止' },
+  INVALID_REGISTRATION_WINDOW: { status: 400, en: 'invalid registration window timestamp', zh: '报名时间窗口的时间无效' },
+  REGISTRATION_WINDOW_ORDER: { status: 400, en: 'registration must open before it closes', zh: '报名开始时间须早于截止时间' },
+  SEED_HASH_REQUIRED: {
+    status: 400,
+    en: 'seedHash is required unless the session has committers or an escrow password',
+    zh: '请提供种子哈希，或设置承诺人或托管密码'
+  },
+  COMMITTERS_WITH_SEED_HASH: { status: 400, en: 'sessions with committers do not take a seedHash', zh: '多方承诺场次不能指定种子哈希' },
+  ESCROW_EXCLUSIVE: { status: 400, en: 'escrowed sessions take neither a seedHash nor committers', zh: '托管种子的场次不能指定种子哈希或承诺人' },
+  PRIZES_INVALID: { status: 400, en: 'prizes must be a list of 1 to {max} tiers', zh: '奖项须为 1 到 {max} 个' },
+  PRIZE_ID_INVALID: { status: 400, en: 'prize {index}: id must contain only letters, digits, _ or -', zh: '第 {index} 个奖项：编号只能包含字母、数字、_ 或 -' },
+  PRIZE_ID_DUPLICATE: { status: 400, en: 'prize {index}: duplicate id {id}', zh: '第 {index} 个奖项：编号 {id} 重复' },
+  PRIZE_NAME_REQUIRED: { status: 400, en: 'prize {id}: name is required', zh: '奖项 {id}：缺少名称' },
+  PRIZE_COUNT_INVALID: { status: 400, en: 'prize {id}: count must be a positive integer', zh: '奖项 {id}：人数须为正整数' },
+  PRIZE_ORDER_INVALID: { status: 400, en: 'prize {id}: order must be a number', zh: '奖项 {id}：顺序须为数字' },
+  CONTRACT_NO_COMMITTERS: { status: 400, en: 'contract-algorithm sessions cannot have committers', zh: '合约算法场次不支持多方承诺' },
+  CONTRACT_NO_RULES: { status: 400, en: 'contract-algorithm sessions cannot have eligibility rules', zh: '合约算法场次不能设置资格规则' },
+  CONTRACT_SEED_HASH: {
+    status: 400,
+    en: 'contract-algorithm sessions need seedHash = keccak256 of a 32-byte seed',
+    zh: '合约算法场次的种子哈希须为 32 字节种子的 keccak256'
+  },
+  CONTRACT_SEED: { status: 400, en: 'contract-algorithm sessions need a 32-byte hex seed', zh: '合约算法场次的种子须为 64 位十六进制字符（32 字节）' },
+  CONTRACT_TOO_MANY_WINNERS: { status: 400, en: 'contract-algorithm sessions draw at most {max} winners', zh: '合约算法场次最多抽取 {max} 名中奖者' },
+  CONTRACT_DRAW_BY_TIER: {
+    status: 400,
+    en: 'contract-algorithm sessions are drawn tier by tier with /api/drawTier',
+    zh: '合约算法场次须按奖项逐轮抽奖（/api/drawTier）'
+  },
+
+  // seeds
+  SEED_FETCH_FAILED: { status: 502, en: 'fetching the seed failed: {reason}', zh: '获取随机种子失败：{reason}' },
+  SEED_NOT_ISSUED: {
+    status: 400,
+    en: 'seed was not fetched from {provider} by this server; fetch it again or choose manual entry',
+    zh: '该种子不是本服务器从 {provider} 获取的，请重新获取或改为手动输入'
+  },
+  SEED_SOURCE_MISMATCH: {
+    status: 400,
+    en: 'seed came from {source}, which the {provider} provider with fallback {fallback} does not allow',
+    zh: '种子来自 {source}，不符合所选来源 {provider}（备用来源 {fallback}）'
+  },
+  SEED_REQUIRED: { status: 400, en: 'seed is required', zh: '请输入随机种子' },
+  SEED_HASH_INVALID: { status: 400, en: 'seedHash must be a SHA-256 hex digest', zh: '种子哈希须为 SHA-256 十六进制摘要' },
+  SEED_HASH_MISMATCH: { status: 400, en: 'seed hash mismatch', zh: '种子与承诺的哈希值不符' },
+  SOURCE_RESPONSE_MISMATCH: {
+    status: 400,
+    en: 'sourceResponse does not match the response hash recorded when the session was created',
+    zh: '种子来源的原始响应与创建场次时记录的摘要不符'
+  },
+  SEED_ALREADY_COMMITTED: { status: 400, en: 'seed already committed', zh: '已经提交过种子承诺' },
+  SEED_ALREADY_REVEALED: { status: 400, en: 'seed already revealed', zh: '种子已经揭示' },
+  SEED_NOT_REVEALED: { status: 400, en: 'seed not revealed', zh: '种子尚未揭示' },
+  COMMITMENT_NOT_ANCHORED: {
+    status: 400,
+    en: 'seed commitment is not anchored on chain yet ({status})',
+    zh: p => `种子承诺尚未锚定到链上（${ANCHOR_STATUS_NAMES[p.status] || p.status}）`
+  },
+
+  // multi-party seed commitments (committers.js)
+  COMMITTERS_INVALID: { status: 400, en: 'committers must be a non-empty list of operator usernames', zh: '承诺人须为非空的操作员用户名列表' },
+  COMMITTERS_DUPLICATE: { status: 400, en: 'committers must be distinct', zh: '承诺人不能重复' },
+  UNKNOWN_OPERATOR: { status: 400, en: 'unknown operator {username}', zh: '操作员 {username} 不存在' },
+  QUORUM_INVALID: { status: 400, en: 'quorum must be an integer from 1 to {max}', zh: '门限须为 1 到 {max} 之间的整数' },
+  REVEAL_DEADLINE_INVALID: { status: 400, en: 'invalid reveal deadline timestamp', zh: '揭示截止时间无效' },
+  REVEAL_DEADLINE_REQUIRED: { status: 400, en: 'a quorum below the number of committers needs a reveal deadline', zh: '门限小于承诺人数时须设置揭示截止时间' },
+  NO_COMMITTERS: { status: 400, en: 'session has no committers', zh: '该场次没有承诺人' },
+  NOT_A_COMMITTER: { status: 403, en: 'you are not a committer of this session', zh: '您不是该场次的承诺人' },
+  NO_SEED_COMMITMENT: { status: 403, en: 'you have no seed commitment in this session', zh: '您在该场次没有种子承诺' },
+  COMMITMENTS_PENDING: { status: 400, en: 'waiting for seed commitments from {committers}', zh: '等待 {committers} 提交种子承诺' },
+  QUORUM_NOT_COMMITTED: {
+    status: 400,
+    en: 'only {count} of {quorum} required committers committed a seed',
+    zh: '只有 {count} 位承诺人提交了种子承诺，需要 {quorum} 位'
+  },
+  REVEALS_PENDING: { status: 400, en: 'waiting for {committers} to reveal', zh: '等待 {committers} 揭示种子' },
+  QUORUM_NOT_REVEALED: { status: 400, en: 'only {count} of {quorum} required seeds were revealed', zh: '只揭示了 {count} 份种子，需要 {quorum} 份' },
+
+  // seed envelopes (escrow.js)
+  ESCROW_PASSWORD_TOO_SHORT: { status: 400, en: 'envelope password must be at least {min} characters', zh: '信封密码至少 {min} 个字符' },
+  ENVELOPE_NOT_FOUND: { status: 404, en: 'seed envelope not found', zh: '找不到种子信封' },
+  ENVELOPE_INVALID: { status: 400, en: 'not a seed envelope', zh: '不是种子信封' },
+  ENVELOPE_WRONG_SESSION: { status: 400, en: 'envelope belongs to session {sessionId}', zh: '该信封属于场次 {sessionId}' },
+  ENVELOPE_OPEN_FAILED: { status: 400, en: 'wrong password or damaged envelope', zh: '密码错误或信封已损坏' },
+
+  // draws
+  CHAIN_INVALID: { status: 503, en: 'blockchain integrity check failed; no changes are accepted', zh: '区块链完整性校验失败，暂停所有修改操作' },
+  SESSION_ALREADY_DRAWN: { status: 400, en: 'session already drawn', zh: '该场次已经抽奖' },
+  NO_PARTICIPANTS: { status: 400, en: 'no participants', zh: '没有参与者' },
+  NO_PARTICIPANTS_REMAINING: { status: 400, en: 'no participants remaining', zh: '没有剩余的参与者' },
+  UNKNOWN_TIER: { status: 400, en: 'unknown tier {tier}', zh: '奖项 {tier} 不存在' },
+  TIER_ALREADY_DRAWN: { status: 400, en: 'tier {tier} already drawn', zh: '奖项 {tier} 已经抽取' },
+  TIER_ORDER: { status: 400, en: 'tier {pending} must be drawn before {tier}', zh: '须先抽取奖项 {pending}，再抽取 {tier}' },
+  NOT_A_WINNER: { status: 400, en: '{user} is not a current winner of tier {tier}', zh: '{user} 不是奖项 {tier} 的当前中奖者' },
+  REPLACEMENT_NEEDS_COMMITMENT: {
+    status: 400,
+    en: 'replacement draws require a participant list committed at close',
+    zh: '补抽需要报名截止时已承诺的名单'
+  },
+  NO_VOIDED_WINNER: { status: 400, en: 'tier {tier} has no voided winner to replace', zh: '奖项 {tier} 没有待补抽的作废中奖者' },
+  ANCHOR_NOT_CONFIGURED: { status: 400, en: 'anchoring is not configured', zh: '未配置链上锚定' },
+  NOTHING_TO_ANCHOR: { status: 400, en: 'nothing to anchor', zh: '没有需要锚定的内容' },
+
+  // results and proofs
+  CERTIFICATE_NOT_READY: {
+    status: 400,
+    en: 'results certificates are only available for completed sessions',
+    zh: '场次完成后才能生成结果证书'
+  },
+  PROOF_NOT_READY: {
+    status: 400,
+    en: 'the participant list is committed when registration closes; no proof is available yet',
+    zh: '名单在报名截止时才会承诺，暂时无法提供证明'
+  },
+  PARTICIPANT_NOT_FOUND: { status: 404, en: 'participant not found in this session', zh: '场次名单中没有该参与者' },
+
+  // participants (participants.js, importer.js)
+  PARTICIPANT_INVALID: { status: 400, en: 'participant must be a string or an object', zh: '参与者须为字符串或对象' },
+  PARTICIPANT_ID_REQUIRED: { status: 400, en: 'participant id is required', zh: '缺少参与者标识' },
+  PARTICIPANT_ID_TOO_LONG: { status: 400, en: 'participant id must be at most {max} characters', zh: '参与者标识最多 {max} 个字符' },
+  WEIGHT_INVALID: { status: 400, en: 'weight must be an integer from 1 to {max}', zh: '票数须为 1 到 {max} 之间的整数' },
+  CUSTOM_FIELDS_TOO_MANY: { status: 400, en: 'at most {max} custom fields are allowed', zh: '自定义字段最多 {max} 个' },
+  CUSTOM_FIELD_TOO_LONG: { status: 400, en: 'custom fields must be at most {max} characters', zh: '自定义字段最多 {max} 个字符' },
+  GBK_UNSUPPORTED: { status: 400, en: 'file is not valid UTF-8 and this Node.js build cannot decode GBK', zh: '文件不是有效的 UTF-8，当前 Node.js 无法解码 GBK' },
+  UNKNOWN_ENCODING: { status: 400, en: 'file is neither UTF-8 nor GBK encoded', zh: '文件既不是 UTF-8 也不是 GBK 编码' },
+  UNTERMINATED_QUOTE: { status: 400, en: 'unterminated quoted field starting on line {line}', zh: '第 {line} 行开始的引号字段没有结束' },
+  ID_COLUMN_INVALID: { status: 400, en: 'idColumn must be a column number starting at 1 or a header name', zh: 'idColumn 须为从 1 开始的列号或表头中的列名' },
+  ID_COLUMN_NEEDS_HEADER: { status: 400, en: 'idColumn can only name a column when the file has a header', zh: '文件有表头时才能按列名指定 idColumn' },
+  ID_COLUMN_NOT_FOUND: { status: 400, en: 'column {column} not found in header', zh: '表头中没有列 {column}' },
+  ID_COLUMN_OUT_OF_RANGE: { status: 400, en: 'idColumn {column} is beyond the {width} columns of the file', zh: 'idColumn {column} 超出了文件的 {width} 列' },
+
+  // eligibility rules (eligibility.js)
+  EXCLUSIONS_INVALID: { status: 400, en: 'exclusions must be a list of at most {max} lists', zh: '排除名单须为列表，最多 {max} 个' },
+  EXCLUSION_NAME_INVALID: { status: 400, en: 'exclusion list names must be 1 to {max} characters', zh: '排除名单名称须为 1 到 {max} 个字符' },
+  EXCLUSION_DUPLICATE: { status: 400, en: 'duplicate exclusion list {name}', zh: '排除名单“{name}”重复' },
+  EXCLUSION_IDS_INVALID: { status: 400, en: 'exclusion list {name}: ids must be a list', zh: '排除名单“{name}”：ids 须为列表' },
+  EXCLUDE_WINNERS_INVALID: { status: 400, en: 'excludeWinnersOf must be a list of session ids', zh: 'excludeWinnersOf 须为场次编号列表' },
+  EXCLUDE_WINNERS_UNKNOWN: { status: 400, en: 'excludeWinnersOf: unknown session {sessionId}', zh: 'excludeWinnersOf：场次 {sessionId} 不存在' },
+
+  // history queries (history.js)
+  PAGE_INVALID: { status: 400, en: 'page must be a positive integer', zh: '页码须为正整数' },
+  PAGE_SIZE_INVALID: { status: 400, en: 'pageSize must be an integer from 1 to {max}', zh: '每页条数须为 1 到 {max} 之间的整数' },
+  UNKNOWN_STATUS: { status: 400, en: 'unknown status {status}', zh: '未知的场次状态 {status}' },
+  DATE_RANGE_INVALID: { status: 400, en: 'invalid from or to timestamp', zh: '起止时间无效' },
+
+  // self-service registration (join.js)
+  SELF_SERVICE_UNAVAILABLE: { status: 404, en: 'self-service registration is not available for this session', zh: '该场次未开放自助报名' },
+  JOIN_LIST_EMPTY: { status: 400, en: 'the registration list is empty', zh: '报名名单为空' },
+  INVALID_JOIN_CODE: { status: 403, en: 'invalid id or code', zh: '标识或验证码不正确' },
+  NOT_ON_JOIN_LIST: { status: 403, en: 'id is not on the registration list', zh: '报名名单中没有该标识，请联系工作人员' },
+  ALREADY_REGISTERED: { status: 400, en: 'already registered', zh: '该标识已经报名，无需重复报名' },
+  TOO_MANY_REQUESTS: { status: 429, en: 'too many requests, try again later', zh: '请求过于频繁，请稍后再试' },
+  TOO_MANY_FAILURES: { status: 429, en: 'too many failed attempts, try again later', zh: '尝试次数过多，请稍后再试' }
+};
+
+const LANGUAGES = ['en', 'zh'];
+
+function render(template, params) {
+  if (typeof template === 'function') return template(params);
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+}
+
+/**
+ * Message of an error code.
+ *
+ * @param {string} code Key of CATALOG
+ * @param {Object} [params]
+ * @param {string} [lang='en'] 'en' or 'zh'
+ * @returns {string}
+ */
+function message(code, params = {}, lang = 'en') {
+  return render(CATALOG[code][lang], params);
+}
+
+/**
+ * A failure for modules to return, e.g. `return fail('UNKNOWN_TIER', { tier })`.
+ *
+ * @param {string} code Key of CATALOG
+ * @param {Object} [params]
+ * @returns {{error: string, code: string, params?: Object}} `error` is the English message
+ */
+function fail(code, params) {
+  if (!CATALOG[code]) throw new Error(`unknown error code ${code}`);
+  const failure = { error: message(code, params), code };
+  if (params) failure.params = params;
+  return failure;
+}
+
+/**
+ * Language of error messages for a request, from its Accept-Language header.
+ *
+ * @param {http.IncomingMessage} [req]
+ * @returns {string} 'en' or 'zh'
+ */
+function language(req) {
+  const header = req && req.headers['accept-language'];
+  if (!header) return 'en';
+  const ranked = header.split(',').map((part, i) => {
+    const [tag, ...attrs] = part.trim().toLowerCase().split(';');
+    const q = attrs.map(a => a.trim()).find(a => a.startsWith('q='));
+    return { lang: tag.split('-')[0], q: q ? Number(q.slice(2)) : 1, i };
+  }).filter(entry => LANGUAGES.includes(entry.lang) && entry.q > 0);
+  ranked.sort((a, b) => b.q - a.q || a.i - b.i);
+  return ranked.length > 0 ? ranked[0].lang : 'en';
+}
+
+/**
+ * Response body and status of an error.
+ *
+ * @param {string} code Key of CATALOG
+ * @param {Object} [params]
+ * @param {string} [lang='en']
+ * @returns {{status: number, body: Object}}
+ */
+function response(code, params, lang = 'en') {
+  const body = { error: message(code, params, lang), code };
+  if (params) body.params = params;
+  return { status: CATALOG[code].status, body };
+}
+
+module.exports = {
+  CATALOG,
+  fail,
+  message,
+  language,
+  response
+};
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const qrcode = require('./qrcode');
+const { escapeHTML } = require('./html');
+const { fail } = require('./errors');
+
+/**
+ * Seed escrow. For escrowed sessions the server generates the seed itself and
+ * hands the admin a password-protected "seed envelope" instead of the seed, so
+ * nobody has to remember it and it never appears in plain text before the
+ * reveal. The envelope is a single line of text, printable as a QR code:
+ *
+ *   LSE1.<session id>.<salt>.<iv>.<ciphertext>.<tag>
+ *
+ * with base64url fields. The 32-byte seed is encrypted with AES-256-GCM under
+ * a key derived from the password with scrypt; the prefix and session id are
+ * authenticated, so an envelope only opens for its own session. The server
+ * keeps a copy of the envelope (never the seed) so a lost printout can be
+ * downloaded again; the password is not stored.
+ */
+
+const PREFIX = 'LSE1';
+const MIN_PASSWORD_LENGTH = 8;
+// scrypt cost: an envelope may be printed and lost, so guessing a password
+// offline should be slow
+const SCRYPT_OPTIONS = { N: 1 << 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+function b64url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromB64url(text) {
+  return Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function deriveKey(password, salt) {
+  return crypto.scryptSync(String(password), salt, 32, SCRYPT_OPTIONS);
+}
+
+/**
+ * Generate a seed and seal it in an envelope.
+ *
+ * @param {string} sessionId
+ * @param {string} password At least MIN_PASSWORD_LENGTH characters
+ * @returns {{seed: string, envelope: string}|{error: string}} The seed is a
+ *   64 character hex string; callers keep only its commitment
+ */
+function seal(sessionId, password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return fail('ESCROW_PASSWORD_TOO_SHORT', { min: MIN_PASSWORD_LENGTH });
+  }
+  const seed = crypto.randomBytes(32);
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(password, salt), iv);
+  cipher.setAAD(Buffer.from(`${PREFIX}.${sessionId}`));
+  const ciphertext = Buffer.concat([cipher.update(seed), cipher.final()]);
+  const envelope = [PREFIX, sessionId, b64url(salt), b64url(iv), b64url(ciphertext), b64url(cipher.getAuthTag())].join('.');
+  return { seed: seed.toString('hex'), envelope };
+}
+
+/**
+ * Open an envelope.
+ *
+ * @param {string} envelope Envelope text, surrounding whitespace allowed
+ * @param {string} sessionId Session the envelope must belong to
+ * @param {string} password
+ * @returns {{seed: string}|{error: string}}
+ */
+function open(envelope, sessionId, password) {
+  const parts = String(envelope || '').trim().split('.');
+  if (parts.length !== 6 || parts[0] !== PREFIX) return fail('ENVELOPE_INVALID');
+  if (parts[1] !== sessionId) return fail('ENVELOPE_WRONG_SESSION', { sessionId: parts[1] });
+  const [salt, iv, ciphertext, tag] = parts.slice(2).map(fromB64url);
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(password, salt), iv);
+    decipher.setAAD(Buffer.from(`${PREFIX}.${sessionId}`));
+    decipher.setAuthTag(tag);
+    return { seed: Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('hex') };
+  } catch (e) {
+    return fail('ENVELOPE_OPEN_FAILED');
+  }
+}
+
+/**
+ * Printable page holding an envelope as QR code and text.
+ *
+ * @param {Object} session Stored session
+ * @param {string} envelope
+ * @returns {string} HTML document
+ */
+function printablePage(session, envelope) {
+  const name = escapeHTML(session.name);
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8">
+<title>种子信封 - ${name}</title>
+<style>
+  body { font-family: sans-serif; max-width: 720px; margin: 2em auto; color: #000; }
+  .qr svg { width: 320px; height: 320px; }
+  .envelope { font-family: monospace; word-break: break-all; border: 1px solid #000; padding: 0.8em; }
+</style>
+</head>
+<body>
+<h1>种子信封：${name}</h1>
+<p>场次编号：${escapeHTML(session.id)}<br>种子承诺值：<code>${escapeHTML(session.seedHash)}</code><br>创建时间：${escapeHTML(new Date(session.createdAt).toLocaleString('zh-CN'))}</p>
+<div class="qr">${qrcode.toSVG(envelope)}</div>
+<p class="envelope">${escapeHTML(envelope)}</p>
+<p>本信封保存了本场次经密码加密的随机种子。开奖时在主持人控制台载入本信封（扫描二维码或粘贴上面的文字）并输入创建场次时设置的信封密码即可揭示种子。请使用浏览器的打印功能打印本页，并将信封与密码分开保管，密码遗失后种子无法恢复。</p>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  seal,
+  open,
+  printablePage
+};
@@ -0,0 +1,101 @@
+/**
+ * Live event stream of the lottery chain over Server-Sent Events. Every block
+ * appended to the Blockchain is pushed to connected clients as an event named
+ * after its type (SESSION_CREATED, SESSION_STATE, USER_ENTERED,
+ * USERS_IMPORTED, SEED_REVEALED, TIER_DRAWN, ...) with the block as JSON data
+ * and the block index as event id.
+ *
+ * Because event ids are block indexes, a client that reconnects resumes from
+ * the last block it saw: browsers send it back as the Last-Event-ID header,
+ * and scripts may pass `?since=<index>` instead. The stream starts with a
+ * `ready` event carrying the current chain tip.
+ *
+ * Screen coordination that is not part of the audit trail, such as which
+ * session the displays show, is sent with publish() as events without an id;
+ * clients re-read that state from the API after reconnecting.
+ */
+
+// Comment lines keep idle connections open through proxies
+const HEARTBEAT_MS = 25000;
+// Reconnection delay suggested to EventSource clients
+const RETRY_MS = 3000;
+
+class EventStream {
+  /**
+   * @param {Blockchain} chain Chain whose blocks are broadcast
+   */
+  constructor(chain) {
+    this.chain = chain;
+    this.clients = new Set();
+    chain.on('block', block => this.broadcast(block));
+    setInterval(() => {
+      this.clients.forEach(client => client.res.write(': ping\n\n'));
+    }, HEARTBEAT_MS).unref();
+  }
+
+  /**
+   * Turn a request into an event stream. Blocks after `since` are replayed
+   * before live events start.
+   *
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {Object} [options]
+   * @param {string} [options.sessionId] Only send blocks of this session
+   * @param {number|null} [options.since] Index of the last block the client has seen
+   */
+  subscribe(req, res, options = {}) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+    const client = { res, sessionId: options.sessionId || null };
+    if (Number.isInteger(options.since)) {
+      this.chain.chain.filter(b => b.index > options.since).forEach(b => this.send(client, b));
+    }
+    const blocks = this.chain.chain;
+    // a log that failed to load may have no block at all
+    const tip = blocks.length > 0 ? blocks[blocks.length - 1].index : -1;
+    res.write(`id: ${tip}\nevent: ready\ndata: ${JSON.stringify({ lastIndex: tip })}\n\n`);
+    this.clients.add(client);
+    req.on('close', () => this.clients.delete(client));
+  }
+
+  send(client, block) {
+    if (!block.data || !block.data.type) return;
+    if (client.sessionId && block.data.sessionId !== client.sessionId) return;
+    client.res.write(`id: ${block.index}\nevent: ${block.data.type}\ndata: ${JSON.stringify(block)}\n\n`);
+  }
+
+  broadcast(block) {
+    this.clients.forEach(client => this.send(client, block));
+  }
+
+  /**
+   * Send an event that is not a block to every client.
+   *
+   * @param {string} type Event name
+   * @param {Object} data JSON payload
+   */
+  publish(type, data) {
+    this.clients.forEach(client => client.res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`));
+  }
+
+  /**
+   * Resume position of a request: the Last-Event-ID header sent by a
+   * reconnecting EventSource wins over the `since` query parameter.
+   *
+   * @param {http.IncomingMessage} req
+   * @param {string} [since] Query parameter value
+   * @returns {number|null}
+   */
+  static resumeIndex(req, since) {
+    const value = req.headers['last-event-id'] !== undefined ? req.headers['last-event-id'] : since;
+    const index = Number(value);
+    return value !== undefined && value !== '' && Number.isInteger(index) ? index : null;
+  }
+}
+
+module.exports = EventStream;
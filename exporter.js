@@ -0,0 +1,172 @@
+const qrcode = require('./qrcode');
+const { escapeHTML } = require('./html');
+
+/**
+ * Result exports served by /api/export besides the signed JSON bundle:
+ *
+ *   csv   one row per winner, voided winners included, as UTF-8 with a byte
+ *         order mark so Excel shows Chinese text correctly
+ *   html  a printable results certificate with the session's commitments,
+ *         timeline and winners, and a QR code linking to the verify page
+ *
+ * Both take participant records already reduced to what the requester may see
+ * (see participants.publicView()), so personal fields only appear in exports
+ * made by logged in operators.
+ */
+
+const STATUS_WON = '中奖';
+const STATUS_REPLACEMENT = '补抽';
+const STATUS_VOIDED = '已作废';
+
+/**
+ * Result rows in draw order: each tier's current winners followed by its
+ * voided winners. Tiers that are not configured prizes, such as the default
+ * tier of single draws, come last.
+ *
+ * @param {Array<Object>} prizes Prize tiers of the session in draw order
+ * @param {Object} winnersObj Winners record of the session
+ * @returns {Array<{prize: Object, id: string, status: string, note: string}>}
+ */
+function resultRows(prizes, winnersObj) {
+  const tiers = winnersObj.tiers || {};
+  const forfeited = winnersObj.forfeited || [];
+  const extra = Object.keys(tiers).filter(t => !prizes.some(p => p.id === t)).map(t => ({ id: t, name: t, prize: '' }));
+  const rows = [];
+  prizes.concat(extra).forEach(prize => {
+    const voided = forfeited.filter(f => f.tier === prize.id);
+    (tiers[prize.id] || []).forEach(id => {
+      const replaced = voided.find(f => f.replacement === id);
+      rows.push(replaced
+        ? { prize, id, status: STATUS_REPLACEMENT, note: `替补 ${replaced.user}` }
+        : { prize, id, status: STATUS_WON, note: '' });
+    });
+    voided.forEach(f => {
+      rows.push({ prize, id: f.user, status: STATUS_VOIDED, note: f.reason + (f.replacement ? `，由 ${f.replacement} 替补` : '') });
+    });
+  });
+  return rows;
+}
+
+// Quote a CSV field when needed. Cells starting with a formula character are
+// prefixed with an apostrophe so spreadsheets show them as text.
+function csvCell(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Results as CSV.
+ *
+ * @param {Array<Object>} prizes
+ * @param {Object} winnersObj
+ * @param {Map<string, Object>} records Participant records by id
+ * @param {boolean} full Whether the records include personal fields
+ * @returns {string}
+ */
+function toCSV(prizes, winnersObj, records, full) {
+  const header = ['奖项编号', '奖项', '奖品', '参与者标识', '姓名']
+    .concat(full ? ['部门', '工号'] : [], ['状态', '备注']);
+  const lines = [header.map(csvCell).join(',')];
+  resultRows(prizes, winnersObj).forEach(({ prize, id, status, note }) => {
+    const record = records.get(id) || {};
+    const cells = [prize.id, prize.name, prize.prize, id, record.name]
+      .concat(full ? [record.department, record.employeeNo] : [], [status, note]);
+    lines.push(cells.map(csvCell).join(','));
+  });
+  return '\ufeff' + lines.join('\r\n') + '\r\n';
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleString('zh-CN');
+}
+
+/**
+ * Key moments of a session taken from its blocks.
+ *
+ * @param {Array<Object>} blocks Blocks of the session
+ * @returns {Array<{label: string, block: Object}>}
+ */
+function timeline(blocks) {
+  const find = (type, to) => blocks.filter(b => b.data.type === type && (!to || b.data.to === to)).pop();
+  return [
+    ['场次创建', find('SESSION_CREATED')],
+    ['报名截止', find('SESSION_STATE', 'registration_closed')],
+    ['种子揭示', find('SEED_REVEALED')],
+    ['抽奖完成', find('SESSION_STATE', 'completed')]
+  ].filter(([, block]) => block).map(([label, block]) => ({ label, block }));
+}
+
+/**
+ * Printable results certificate.
+ *
+ * @param {Object} bundle Verification bundle of the session (see buildBundle() in server.js)
+ * @param {Map<string, Object>} records Participant records by id
+ * @param {Object} info
+ * @param {string} info.resultsHash Digest of the results, as anchored on the EVM chain
+ * @param {string} info.keyId Id of the key signing JSON exports
+ * @param {string} info.verifyUrl Verify page of the session
+ * @returns {string} HTML document
+ */
+function certificatePage(bundle, records, info) {
+  const { session } = bundle;
+  const blocks = bundle.blocks.filter(b => b.data && b.data.sessionId === session.id);
+  const last = blocks[blocks.length - 1];
+  const label = id => {
+    const record = records.get(id);
+    return record && record.name ? `${escapeHTML(record.name)}（${escapeHTML(id)}）` : escapeHTML(id);
+  };
+  const rows = resultRows(session.prizes, bundle.winners).map(({ prize, id, status, note }) =>
+    `<tr><td>${escapeHTML(prize.name)}</td><td>${escapeHTML(prize.prize)}</td><td>${label(id)}</td>` +
+    `<td>${status}</td><td>${escapeHTML(note)}</td></tr>`).join('\n');
+  const events = timeline(blocks).map(({ label: what, block }) =>
+    `<tr><th>${what}</th><td>${formatTime(block.timestamp)}（区块 #${block.index}）</td></tr>`).join('\n');
+  const name = escapeHTML(session.name);
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8">
+<title>抽奖结果证明 - ${name}</title>
+<style>
+  body { font-family: sans-serif; max-width: 800px; margin: 2em auto; color: #000; }
+  h1 { text-align: center; }
+  table { width: 100%; border-collapse: collapse; margin: 1em 0; }
+  th, td { border: 1px solid #000; padding: 0.3em 0.5em; text-align: left; vertical-align: top; }
+  code { word-break: break-all; }
+  .verify { display: flex; gap: 1em; align-items: center; }
+  .verify svg { width: 160px; height: 160px; flex: none; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>抽奖结果证明</h1>
+<table>
+<tr><th>场次</th><td>${name}（编号 ${escapeHTML(session.id)}）</td></tr>
+${events}
+<tr><th>参与人数</th><td>${bundle.participants.length}</td></tr>
+<tr><th>种子承诺值</th><td><code>${escapeHTML(session.seedHash)}</code></td></tr>
+<tr><th>随机种子</th><td><code>${escapeHTML(bundle.seed)}</code></td></tr>
+<tr><th>名单 Merkle 根</th><td><code>${escapeHTML(session.participantRoot || '无')}</code></td></tr>
+<tr><th>选择算法</th><td>${escapeHTML(session.selection)}${session.contractDraw ? '（链下按合约算法抽取，合约 draw() 不能复现本结果）' : ''}</td></tr>
+<tr><th>结果摘要</th><td><code>${escapeHTML(info.resultsHash)}</code></td></tr>
+<tr><th>最后区块</th><td>#${last ? last.index : '-'} <code>${last ? escapeHTML(last.hash) : ''}</code></td></tr>
+</table>
+<h2>中奖名单</h2>
+<table>
+<tr><th>奖项</th><th>奖品</th><th>中奖者</th><th>状态</th><th>备注</th></tr>
+${rows}
+</table>
+<div class="verify">
+${qrcode.toSVG(info.verifyUrl)}
+<p>扫描二维码或访问 <code>${escapeHTML(info.verifyUrl)}</code> 可在浏览器中重放本场次抽奖并核对以上结果。以 JSON 格式导出的验证包由服务器密钥 <code>${escapeHTML(info.keyId)}</code> 以 Ed25519 签名，公钥见 <code>/.well-known/lottery-signing-key.json</code>。</p>
+</div>
+<p>打印时间：${formatTime(Date.now())}</p>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  toCSV,
+  certificatePage
+};
@@ -0,0 +1,242 @@
+const lifecycle = require('./lifecycle');
+const participants = require('./participants');
+const { fail } = require('./errors');
+
+/**
+ * Cross-session history behind the /history dashboard: a session list with
+ * participant counts and how far each prize tier is filled, a participant's
+ * entries and wins across sessions, and aggregate statistics.
+ *
+ * Functions take a context `{ state, blocks, getPrizes }` (the server state,
+ * the chain's blocks and the server's prize lookup) and the query of the
+ * request. Every route filters sessions the same way:
+ *
+ *   status    comma separated lifecycle states
+ *   q         case-insensitive substring of the session name or id
+ *   from, to  creation time range, epoch milliseconds or a date string
+ *
+ * and lists are paginated with `page` (from 1) and `pageSize` (at most
+ * MAX_PAGE_SIZE), answered as `{ total, page, pageSize, items }`.
+ * Winners are the current ones: voided winners count as voided, not as wins.
+ */
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Query timestamps may also be given as epoch milliseconds in a string
+function queryTime(value) {
+  return lifecycle.parseTimestamp(/^\d+$/.test(String(value)) ? Number(value) : value);
+}
+
+/**
+ * Parse the filter and paging parameters of a request.
+ *
+ * @param {Object} query Parsed query string
+ * @returns {{filter: Object, paging: {page: number, pageSize: number}}|{error: string}}
+ */
+function parseQuery(query) {
+  const page = query.page === undefined || query.page === '' ? 1 : Number(query.page);
+  const pageSize = query.pageSize === undefined || query.pageSize === '' ? DEFAULT_PAGE_SIZE : Number(query.pageSize);
+  if (!Number.isInteger(page) || page < 1) return fail('PAGE_INVALID');
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return fail('PAGE_SIZE_INVALID', { max: MAX_PAGE_SIZE });
+  }
+  const statuses = query.status ? String(query.status).split(',').map(s => s.trim()).filter(Boolean) : [];
+  const states = Object.values(lifecycle.STATES);
+  const unknown = statuses.find(s => !states.includes(s));
+  if (unknown !== undefined) return fail('UNKNOWN_STATUS', { status: unknown });
+  const from = queryTime(query.from);
+  const to = queryTime(query.to);
+  if (from === undefined || to === undefined) return fail('DATE_RANGE_INVALID');
+  const q = String(query.q || '').trim().toLowerCase();
+  return { filter: { statuses, from, to, q }, paging: { page, pageSize } };
+}
+
+function paginate(items, { page, pageSize }) {
+  return { total: items.length, page, pageSize, items: items.slice((page - 1) * pageSize, page * pageSize) };
+}
+
+/**
+ * Sessions matching a filter, newest first.
+ *
+ * @param {Object} state
+ * @param {Object} filter See parseQuery()
+ * @returns {Array<Object>}
+ */
+function filterSessions(state, filter) {
+  return Object.values(state.sessions).filter(session => {
+    const createdAt = session.createdAt || Number(session.id) || 0;
+    if (filter.statuses.length > 0 && !filter.statuses.includes(session.status)) return false;
+    if (filter.from && createdAt < filter.from) return false;
+    if (filter.to && createdAt > filter.to) return false;
+    return !filter.q || session.id.toLowerCase().includes(filter.q) || String(session.name).toLowerCase().includes(filter.q);
+  }).sort((a, b) => (b.createdAt || Number(b.id) || 0) - (a.createdAt || Number(a.id) || 0));
+}
+
+/**
+ * When registration closed, the seed was revealed and the draw completed,
+ * per session, taken from the chain since sessions do not store these dates.
+ *
+ * @param {Array<Object>} blocks
+ * @returns {Object} Session id to `{ closedAt, revealedAt, completedAt }`
+ */
+function milestones(blocks) {
+  const dates = {};
+  blocks.forEach(b => {
+    const data = b.data || {};
+    if (!data.sessionId) return;
+    const entry = dates[data.sessionId] = dates[data.sessionId] || { closedAt: null, revealedAt: null, completedAt: null };
+    if (data.type === 'SESSION_STATE' && data.to === lifecycle.STATES.REGISTRATION_CLOSED) entry.closedAt = b.timestamp;
+    if (data.type === 'SEED_REVEALED') entry.revealedAt = b.timestamp;
+    if (data.type === 'SESSION_STATE' && data.to === lifecycle.STATES.COMPLETED) entry.completedAt = b.timestamp;
+  });
+  return dates;
+}
+
+// Current winners of a session with their tier
+function currentWins(winnersObj) {
+  const tiers = (winnersObj && winnersObj.tiers) || {};
+  return [].concat(...Object.keys(tiers).map(tier => tiers[tier].map(id => ({ id, tier }))));
+}
+
+/**
+ * Page of session summaries.
+ *
+ * @param {Object} ctx
+ * @param {Object} query
+ * @returns {Object} Page of `{ id, name, status, createdAt, registrationOpensAt,
+ *   registrationClosesAt, closedAt, revealedAt, completedAt, participantCount,
+ *   winnerCount, voidedCount, tiers: [{ id, name, count, filled }] }`, or `{ error }`
+ */
+function listSessions(ctx, query) {
+  const parsed = parseQuery(query);
+  if (parsed.error) return parsed;
+  const dates = milestones(ctx.blocks);
+  const items = filterSessions(ctx.state, parsed.filter).map(session => {
+    const winnersObj = ctx.state.winners[session.id] || { tiers: {} };
+    const tiers = winnersObj.tiers || {};
+    return Object.assign({
+      id: session.id,
+      name: session.name,
+      status: session.status,
+      createdAt: session.createdAt || null,
+      registrationOpensAt: session.registrationOpensAt || null,
+      registrationClosesAt: session.registrationClosesAt || null
+    }, dates[session.id] || { closedAt: null, revealedAt: null, completedAt: null }, {
+      participantCount: (ctx.state.participants[session.id] || []).length,
+      winnerCount: currentWins(winnersObj).length,
+      voidedCount: (winnersObj.forfeited || []).length,
+      tiers: ctx.getPrizes(session).map(p => ({ id: p.id, name: p.name, count: p.count, filled: (tiers[p.id] || []).length }))
+    });
+  });
+  return paginate(items, parsed.paging);
+}
+
+/**
+ * Page of the sessions a participant entered, with what they won there.
+ * Records include personal fields, so callers must be registrars.
+ *
+ * @param {Object} ctx
+ * @param {string} id Participant id, matched exactly
+ * @param {Object} query
+ * @returns {Object} Page of `{ sessionId, sessionName, status, createdAt,
+ *   participant, won: [{ tier, name }], voided: [{ tier, name, reason }], excluded }`
+ *   plus totals `entries` and `wins` over all pages, or `{ error }`
+ */
+function participantHistory(ctx, id, query) {
+  const parsed = parseQuery(query);
+  if (parsed.error) return parsed;
+  const items = [];
+  filterSessions(ctx.state, parsed.filter).forEach(session => {
+    const participant = (ctx.state.participants[session.id] || []).find(p => p.id === id);
+    if (!participant) return;
+    const prizeName = tier => (ctx.getPrizes(session).find(p => p.id === tier) || { name: tier }).name;
+    const winnersObj = ctx.state.winners[session.id] || { tiers: {} };
+    items.push({
+      sessionId: session.id,
+      sessionName: session.name,
+      status: session.status,
+      createdAt: session.createdAt || null,
+      participant: participants.publicView(participant, true),
+      won: currentWins(winnersObj).filter(w => w.id === id).map(w => ({ tier: w.tier, name: prizeName(w.tier) })),
+      voided: (winnersObj.forfeited || []).filter(f => f.user === id).map(f => ({ tier: f.tier, name: prizeName(f.tier), reason: f.reason })),
+      excluded: (session.excluded || []).filter(e => e.id === id)
+    });
+  });
+  return Object.assign(paginate(items, parsed.paging), {
+    entries: items.length,
+    wins: items.reduce((sum, e) => sum + e.won.length, 0)
+  });
+}
+
+/**
+ * Aggregate statistics over the matching sessions: totals, entries and wins
+ * per department, and a page of repeat winners (people with wins in more
+ * than one session), most wins first.
+ *
+ * @param {Object} ctx
+ * @param {Object} query
+ * @returns {Object} `{ sessions, completed, entries, uniqueParticipants,
+ *   winners, voided, departments: [{ department, entries, winners, winRate }],
+ *   repeatWinners: page of { id, name, wins, sessions: [{ sessionId, sessionName, tier, name }] } }`,
+ *   or `{ error }`
+ */
+function stats(ctx, query) {
+  const parsed = parseQuery(query);
+  if (parsed.error) return parsed;
+  const sessions = filterSessions(ctx.state, parsed.filter);
+  const departments = new Map();
+  const people = new Map();
+  const department = name => {
+    if (!departments.has(name)) departments.set(name, { department: name, entries: 0, winners: 0 });
+    return departments.get(name);
+  };
+  let entries = 0;
+  let winners = 0;
+  let voided = 0;
+  sessions.forEach(session => {
+    const records = new Map((ctx.state.participants[session.id] || []).map(p => [p.id, p]));
+    records.forEach(p => {
+      entries++;
+      department(p.department || null).entries++;
+      const person = people.get(p.id) || { id: p.id, name: null, wins: 0, sessions: [] };
+      if (p.name) person.name = person.name || p.name;
+      people.set(p.id, person);
+    });
+    const winnersObj = ctx.state.winners[session.id];
+    voided += ((winnersObj && winnersObj.forfeited) || []).length;
+    const prizes = ctx.getPrizes(session);
+    currentWins(winnersObj).forEach(({ id, tier }) => {
+      winners++;
+      const record = records.get(id) || {};
+      department(record.department || null).winners++;
+      const person = people.get(id) || { id, name: null, wins: 0, sessions: [] };
+      person.wins++;
+      const prize = prizes.find(p => p.id === tier);
+      person.sessions.push({ sessionId: session.id, sessionName: session.name, tier, name: prize ? prize.name : tier });
+      people.set(id, person);
+    });
+  });
+  const repeat = [...people.values()]
+    .filter(p => new Set(p.sessions.map(s => s.sessionId)).size > 1)
+    .sort((a, b) => b.wins - a.wins || a.id.localeCompare(b.id));
+  return {
+    sessions: sessions.length,
+    completed: sessions.filter(s => s.status === lifecycle.STATES.COMPLETED).length,
+    entries,
+    uniqueParticipants: people.size,
+    winners,
+    voided,
+    departments: [...departments.values()]
+      .map(d => Object.assign(d, { winRate: d.entries ? Math.round(d.winners / d.entries * 10000) / 10000 : 0 }))
+      .sort((a, b) => b.winners - a.winners || b.entries - a.entries),
+    repeatWinners: paginate(repeat, parsed.paging)
+  };
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  listSessions,
+  participantHistory,
+  stats
+};
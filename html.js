@@ -0,0 +1,20 @@
+/**
+ * Helpers for the HTML pages the server renders itself: the printable seed
+ * envelope (escrow.js) and the results certificate (exporter.js).
+ */
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escapes text for use in element content and quoted attribute values.
+ *
+ * @param {*} text Converted with String()
+ * @returns {string}
+ */
+function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, ch => HTML_ENTITIES[ch]);
+}
+
+module.exports = {
+  escapeHTML
+};
@@ -0,0 +1,283 @@
+const participants = require('./participants');
+const { fail } = require('./errors');
+
+/**
+ * Participant list import. Uploaded CSV, TSV or plain text files are decoded,
+ * parsed and checked against the session's current list before anything is
+ * committed, so the registrar can review a report (new entries, duplicates,
+ * blank and invalid rows, near-duplicates) in a dry run first.
+ *
+ *   decode()       UTF-8 with or without BOM, or GBK as written by Chinese Excel
+ *   parseRows()    RFC 4180: quoted fields, doubled quotes, line breaks in quotes
+ *   toCandidates() header detection or explicit choice, column mapping
+ *   review()       classify every row against the existing participants
+ *
+ * Functions return failures made with errors.fail() for input the registrar has to fix.
+ */
+
+// Header names recognised for each participant field; other columns are
+// imported as custom fields.
+const HEADER_ALIASES = {
+  id: ['id', '编号', '标识', '参与者标识'],
+  name: ['name', '姓名', '名字'],
+  department: ['department', 'dept', '部门'],
+  employeeNo: ['employeeno', 'employee_no', '工号', '员工编号'],
+  weight: ['weight', 'tickets', '权重', '票数']
+};
+
+const DELIMITERS = { comma: ',', tab: '\t' };
+
+/**
+ * Decode an uploaded file. A UTF-8 byte order mark wins; otherwise the bytes
+ * are tried as strict UTF-8 and fall back to GBK.
+ *
+ * @param {Buffer} buffer
+ * @returns {{text: string, encoding: string}|{error: string}}
+ */
+function decode(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return { text: buffer.slice(3).toString('utf8'), encoding: 'utf-8-bom' };
+  }
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' };
+  } catch (e) {
+    // not valid UTF-8, try GBK below
+  }
+  let gbk;
+  try {
+    gbk = new TextDecoder('gbk', { fatal: true });
+  } catch (e) {
+    return fail('GBK_UNSUPPORTED');
+  }
+  try {
+    return { text: gbk.decode(buffer), encoding: 'gbk' };
+  } catch (e) {
+    return fail('UNKNOWN_ENCODING');
+  }
+}
+
+/**
+ * Guess the delimiter from the first line: tab separated if it contains a tab
+ * and no comma, comma separated otherwise. Single column files parse the same
+ * either way.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/).find(l => l.trim()) || '';
+  return firstLine.includes('\t') && !firstLine.includes(',') ? '\t' : ',';
+}
+
+/**
+ * Split delimited text into records following RFC 4180. Both CRLF and LF line
+ * endings are accepted.
+ *
+ * @param {string} text
+ * @param {string} delimiter Single character
+ * @returns {{rows: Array<{line: number, cells: Array<string>}>}|{error: string}}
+ */
+function parseRows(text, delimiter) {
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let line = 1;
+  let rowLine = 1;
+  let quoted = false;
+  let quoteLine = 0;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else {
+        if (ch === '\n') line++;
+        cell += ch;
+      }
+      continue;
+    }
+    if (ch === '"' && cell === '') {
+      quoted = true;
+      quoteLine = line;
+    } else if (ch === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      cells.push(cell);
+      rows.push({ line: rowLine, cells });
+      cells = [];
+      cell = '';
+      line++;
+      rowLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+  if (quoted) return fail('UNTERMINATED_QUOTE', { line: quoteLine });
+  if (cell !== '' || cells.length > 0) {
+    cells.push(cell);
+    rows.push({ line: rowLine, cells });
+  }
+  return { rows };
+}
+
+function headerField(cell) {
+  const key = String(cell).trim().toLowerCase();
+  return Object.keys(HEADER_ALIASES).find(field => HEADER_ALIASES[field].includes(key)) || null;
+}
+
+function isBlank(cells) {
+  return cells.every(c => !c.trim());
+}
+
+/**
+ * Turn parsed rows into participant inputs.
+ *
+ * @param {Array<{line: number, cells: Array<string>}>} rows
+ * @param {Object} options
+ * @param {boolean|string} [options.header='auto'] Whether the first non-blank
+ *   row is a header; 'auto' treats it as one if any cell is a known column name
+ * @param {string|number} [options.idColumn] Header name or 1-based column
+ *   number holding the participant id. Defaults to the id column, then the
+ *   employee number column, then the first column.
+ * @returns {{header: boolean, columns: Array<string>|null, idColumn: number,
+ *   candidates: Array<{row: number, input: Object|null}>}|{error: string}}
+ */
+function toCandidates(rows, options = {}) {
+  const first = rows.findIndex(r => !isBlank(r.cells));
+  const headerRow = first >= 0 ? rows[first].cells.map(c => c.trim()) : [];
+  const mapped = headerRow.map(headerField);
+  const header = options.header === undefined || options.header === 'auto'
+    ? mapped.some(Boolean)
+    : options.header === true || options.header === 'true';
+  let idColumn = -1;
+  const requested = options.idColumn === undefined || options.idColumn === null ? '' : String(options.idColumn).trim();
+  if (/^\d+$/.test(requested)) {
+    idColumn = Number(requested) - 1;
+    if (idColumn < 0) return fail('ID_COLUMN_INVALID');
+  } else if (requested) {
+    if (!header) return fail('ID_COLUMN_NEEDS_HEADER');
+    idColumn = headerRow.indexOf(requested);
+    if (idColumn < 0) return fail('ID_COLUMN_NOT_FOUND', { column: requested });
+  } else if (header) {
+    idColumn = mapped.indexOf('id');
+    if (idColumn < 0) idColumn = mapped.indexOf('employeeNo');
+  }
+  if (idColumn < 0) idColumn = 0;
+  const width = rows.reduce((max, r) => Math.max(max, r.cells.length), 0);
+  if (rows.length > 0 && idColumn >= width) return fail('ID_COLUMN_OUT_OF_RANGE', { column: idColumn + 1, width });
+  const body = header ? rows.slice(first + 1) : rows;
+  const candidates = body.map(({ line, cells }) => {
+    if (isBlank(cells)) return { row: line, input: null };
+    const input = { id: cells[idColumn] || '' };
+    if (header) {
+      headerRow.forEach((col, i) => {
+        // an employee number column used as the id is still kept as employee number
+        if (!cells[i] || (i === idColumn && mapped[i] !== 'employeeNo')) return;
+        if (mapped[i] && mapped[i] !== 'id') {
+          input[mapped[i]] = cells[i];
+        } else if (!mapped[i] && col) {
+          input.fields = input.fields || {};
+          input.fields[col] = cells[i];
+        }
+      });
+    }
+    return { row: line, input };
+  });
+  return { header, columns: header ? headerRow : null, idColumn: idColumn + 1, candidates };
+}
+
+// Identifiers that differ only in width, case or whitespace share a key
+function similarityKey(id) {
+  return id.normalize('NFKC').replace(/\s+/g, '').toLowerCase();
+}
+
+/**
+ * Classify candidate rows against the session's existing participants.
+ * Near-duplicates (e.g. full-width vs half-width digits) are left out unless
+ * allowed, since they are usually the same person entered twice.
+ *
+ * @param {Array<{row: number, input: Object|string|null}>} candidates
+ * @param {Array<string>} existingIds Ids already registered in the session
+ * @param {Object} [options]
+ * @param {boolean} [options.allowNearDuplicates=false]
+ * @returns {{accepted: Array<Object>, report: Object}}
+ */
+function review(candidates, existingIds, options = {}) {
+  const known = new Map(existingIds.map(id => [id, 'existing']));
+  const keys = new Map(existingIds.map(id => [similarityKey(id), id]));
+  const accepted = [];
+  const report = { added: [], duplicates: [], blank: [], invalid: [], nearDuplicates: [] };
+  candidates.forEach(({ row, input }) => {
+    if (input === null || (typeof input === 'string' && !input.trim())) {
+      report.blank.push(row);
+      return;
+    }
+    const normalized = participants.normalizeParticipant(input);
+    if (normalized.error) {
+      report.invalid.push({ row, error: normalized.error, code: normalized.code });
+      return;
+    }
+    const participant = normalized.participant;
+    if (known.has(participant.id)) {
+      report.duplicates.push({ row, id: participant.id, of: known.get(participant.id) });
+      return;
+    }
+    const key = similarityKey(participant.id);
+    if (keys.has(key)) {
+      report.nearDuplicates.push({ row, id: participant.id, similarTo: keys.get(key) });
+      if (!options.allowNearDuplicates) return;
+    } else {
+      keys.set(key, participant.id);
+    }
+    known.set(participant.id, 'file');
+    accepted.push(participant);
+    report.added.push(participant.id);
+  });
+  return { accepted, report };
+}
+
+/**
+ * Decode and parse an uploaded participant file.
+ *
+ * @param {Buffer} buffer Raw upload
+ * @param {Object} options
+ * @param {string} [options.delimiter] 'comma', 'tab' or omitted to detect
+ * @param {boolean|string} [options.header] See toCandidates()
+ * @param {string|number} [options.idColumn] See toCandidates()
+ * @returns {{encoding: string, delimiter: string, header: boolean, columns: Array<string>|null,
+ *   idColumn: number, candidates: Array}|{error: string}}
+ */
+function parseUpload(buffer, options = {}) {
+  const decoded = decode(buffer);
+  if (decoded.error) return decoded;
+  let delimiter;
+  if (options.delimiter) {
+    delimiter = DELIMITERS[options.delimiter];
+    if (!delimiter) return fail('FIELD_ENUM', { field: 'delimiter', values: Object.keys(DELIMITERS).join(', ') });
+  } else {
+    delimiter = detectDelimiter(decoded.text);
+  }
+  const parsed = parseRows(decoded.text, delimiter);
+  if (parsed.error) return parsed;
+  const result = toCandidates(parsed.rows, options);
+  if (result.error) return result;
+  const delimiterName = Object.keys(DELIMITERS).find(k => DELIMITERS[k] === delimiter);
+  return Object.assign({ encoding: decoded.encoding, delimiter: delimiterName }, result);
+}
+
+module.exports = {
+  HEADER_ALIASES,
+  decode,
+  detectDelimiter,
+  parseRows,
+  toCandidates,
+  review,
+  parseUpload
+};
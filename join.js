@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const core = require('./public/lottery-core');
+const { fail } = require('./errors');
+
+/**
+ * Self-service registration through the public /join page, which the big
+ * screen shows as a QR code while registration is open. Registrars upload an
+ * allow-list of the people who may enter, in one of two modes:
+ *
+ *   code    every person on the list gets a one-time code, printed or sent
+ *           out beforehand, that they enter together with their id
+ *   roster  the list is the imported roster and the id alone is checked
+ *
+ * A session's list is kept in the state as
+ *
+ *   { mode, users: { [id]: { participant, codeHash } } }
+ *
+ * where `participant` is the record entered for that person, so attendees
+ * cannot change the personal fields HR provided, and `codeHash` is
+ * hashFields('join-code', sessionId, id, code); codes themselves are only
+ * returned when the list is uploaded. An id can enter once, which also uses
+ * up its code. Lists are dropped when the session leaves registration.
+ */
+
+const MODES = ['code', 'roster'];
+// Letters and digits that cannot be mistaken for each other when printed
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+function generateCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  return code;
+}
+
+// Codes are typed on phones: ignore case, spaces and dashes
+function codeHash(sessionId, id, code) {
+  const normalized = String(code || '').replace(/[\s-]/g, '').toUpperCase();
+  return core.toHex(core.hashFields('join-code', sessionId, id, normalized));
+}
+
+/**
+ * Ids typed on phones may use full-width characters or a different case;
+ * ids with the same key are taken to be the same person.
+ *
+ * @param {string} id
+ * @returns {string}
+ */
+function lookupKey(id) {
+  return String(id).normalize('NFKC').replace(/\s+/g, '').toLowerCase();
+}
+
+/**
+ * Build a session's join list from reviewed participants (see importer.review()).
+ *
+ * @param {string} sessionId
+ * @param {string} mode 'code' or 'roster'
+ * @param {Array<Object>} accepted Normalised participant records
+ * @returns {{list: Object, codes: Array<{id: string, code: string}>}} codes
+ *   is empty in roster mode
+ */
+function buildList(sessionId, mode, accepted) {
+  const list = { mode, users: {} };
+  const codes = [];
+  accepted.forEach(participant => {
+    const entry = { participant };
+    if (mode === 'code') {
+      const code = generateCode();
+      entry.codeHash = codeHash(sessionId, participant.id, code);
+      codes.push({ id: participant.id, code });
+    }
+    list.users[participant.id] = entry;
+  });
+  return { list, codes };
+}
+
+/**
+ * Check an attendee against a join list. Ids are matched exactly first, then
+ * ignoring width and case when that identifies a single person.
+ *
+ * @param {Object} list
+ * @param {string} sessionId
+ * @param {string} id Id as typed by the attendee
+ * @param {string} [code] One-time code, required in code mode
+ * @returns {{participant: Object}|{error: string}} A copy of the listed record
+ */
+function admit(list, sessionId, id, code) {
+  let entry = list.users[String(id).trim()];
+  if (!entry) {
+    const key = lookupKey(id);
+    const matches = Object.keys(list.users).filter(listed => lookupKey(listed) === key);
+    if (matches.length === 1) entry = list.users[matches[0]];
+  }
+  // in code mode, unknown ids and wrong codes get the same answer
+  if (list.mode === 'code') {
+    const expected = entry ? Buffer.from(entry.codeHash, 'hex') : null;
+    const given = Buffer.from(codeHash(sessionId, entry ? entry.participant.id : '', code), 'hex');
+    if (!expected || !crypto.timingSafeEqual(expected, given)) return fail('INVALID_JOIN_CODE');
+  } else if (!entry) {
+    return fail('NOT_ON_JOIN_LIST');
+  }
+  return { participant: JSON.parse(JSON.stringify(entry.participant)) };
+}
+
+/**
+ * Receipt of a self-service entry, to be signed by the server (see signing.js).
+ *
+ * @param {Object} session
+ * @param {Object} block The USER_ENTERED block
+ * @returns {Object}
+ */
+function receipt(session, block) {
+  return {
+    type: 'ENTRY_RECEIPT',
+    sessionId: session.id,
+    sessionName: session.name,
+    participant: block.data.user,
+    block: { index: block.index, hash: block.hash, timestamp: block.timestamp },
+    issuedAt: Date.now()
+  };
+}
+
+module.exports = {
+  MODES,
+  lookupKey,
+  buildList,
+  admit,
+  receipt
+};
@@ -0,0 +1,120 @@
+/**
+ * Session lifecycle for the lottery server. A session moves through
+ *
+ *   draft → registration_open → registration_closed → seed_revealed → drawing → completed
+ *
+ * and may be cancelled from any state before it completes. Routes consult
+ * this module to decide whether an operation is allowed in the current state;
+ * the server records every transition as a SESSION_STATE block.
+ *
+ * Sessions may carry an optional registration window (`registrationOpensAt`
+ * and `registrationClosesAt`, both epoch milliseconds). A draft session opens
+ * automatically once the window starts and an open session closes once it
+ * ends; see dueTransition().
+ */
+
+const STATES = {
+  DRAFT: 'draft',
+  REGISTRATION_OPEN: 'registration_open',
+  REGISTRATION_CLOSED: 'registration_closed',
+  SEED_REVEALED: 'seed_revealed',
+  DRAWING: 'drawing',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+// Allowed transitions, keyed by the current state
+const TRANSITIONS = {
+  draft: ['registration_open', 'cancelled'],
+  registration_open: ['registration_closed', 'cancelled'],
+  registration_closed: ['seed_revealed', 'cancelled'],
+  seed_revealed: ['drawing', 'cancelled'],
+  drawing: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+/**
+ * Whether a session may move from one state to another.
+ *
+ * @param {string} from Current state
+ * @param {string} to Target state
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Infer the state of a session stored before lifecycle states existed. Such
+ * sessions accepted entries at any time, so undrawn ones are treated as open.
+ *
+ * @param {Object} session Stored session
+ * @param {Object} [winners] Winners record of the session
+ * @returns {string} The inferred state
+ */
+function inferStatus(session, winners) {
+  if (session.drawn) return STATES.COMPLETED;
+  if (session.revealedSeed) {
+    const anyDrawn = winners && winners.all && winners.all.length > 0;
+    return anyDrawn ? STATES.DRAWING : STATES.SEED_REVEALED;
+  }
+  return STATES.REGISTRATION_OPEN;
+}
+
+/**
+ * Whether participants may currently be added to the session: it must be open
+ * and, if a registration window is configured, the clock must be inside it.
+ *
+ * @param {Object} session
+ * @param {number} [now] Current time in epoch milliseconds
+ * @returns {boolean}
+ */
+function isRegistrationOpen(session, now = Date.now()) {
+  if (session.status !== STATES.REGISTRATION_OPEN) return false;
+  if (session.registrationOpensAt && now < session.registrationOpensAt) return false;
+  if (session.registrationClosesAt && now >= session.registrationClosesAt) return false;
+  return true;
+}
+
+/**
+ * Returns the state a session should move to because its registration window
+ * started or ended, or null if nothing is due.
+ *
+ * @param {Object} session
+ * @param {number} [now] Current time in epoch milliseconds
+ * @returns {string|null}
+ */
+function dueTransition(session, now = Date.now()) {
+  const { status, registrationOpensAt: opensAt, registrationClosesAt: closesAt } = session;
+  if (status === STATES.DRAFT && opensAt && now >= opensAt && !(closesAt && now >= closesAt)) {
+    return STATES.REGISTRATION_OPEN;
+  }
+  if (status === STATES.REGISTRATION_OPEN && closesAt && now >= closesAt) {
+    return STATES.REGISTRATION_CLOSED;
+  }
+  return null;
+}
+
+/**
+ * Parse an optional timestamp from a request: epoch milliseconds or any string
+ * understood by Date.parse. Empty values yield null.
+ *
+ * @param {any} value
+ * @returns {number|null|undefined} Milliseconds, null if empty, undefined if invalid
+ */
+function parseTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const ms = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(ms) ? ms : undefined;
+}
+
+module.exports = {
+  STATES,
+  TRANSITIONS,
+  canTransition,
+  inferStatus,
+  isRegistrationOpen,
+  dueTransition,
+  parseTimestamp
+};
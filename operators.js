@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * Manage the operators allowed to use the lottery admin API.
+ *
+ * Usage:
+ *   node operators.js add <username> <admin|registrar|committer>  Add or update an operator (prompts for the password)
+ *   node operators.js token <username>                            Issue an API token for scripts
+ *   node operators.js remove <username>                           Remove an operator
+ *   node operators.js list                                        List operators and their roles
+ *
+ * The password may also be piped on stdin, e.g. for provisioning scripts.
+ * Operators are kept in operators.json in DATA_DIR, like the server's other
+ * files. Restart the server after changing operators.
+ */
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const Auth = require('./auth');
+
+const DATA_DIR = path.resolve(process.env.DATA_DIR || __dirname);
+const OPERATORS_FILE = path.join(DATA_DIR, 'operators.json');
+
+function readPassword(prompt) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+    // Suppress echo of the typed characters on interactive terminals
+    rl._writeToOutput = (str) => {
+      if (str === prompt || !process.stdin.isTTY) rl.output.write(str);
+    };
+    rl.question(prompt, (answer) => {
+      rl.close();
+      if (process.stdin.isTTY) process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+async function main(argv) {
+  const [command, username, role] = argv.slice(2);
+  const auth = new Auth(OPERATORS_FILE);
+  if (command === 'add' && username && role) {
+    if (!Auth.ROLES.includes(role)) {
+      console.error(`Role must be one of: ${Auth.ROLES.join(', ')}`);
+      return 2;
+    }
+    const password = await readPassword('Password: ');
+    if (password.length < 8) {
+      console.error('Password must be at least 8 characters');
+      return 2;
+    }
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    auth.setOperator(username, role, password);
+    console.log(`Operator ${username} saved with role ${role}`);
+    return 0;
+  }
+  if (command === 'token' && username) {
+    console.log(auth.issueToken(username));
+    return 0;
+  }
+  if (command === 'remove' && username) {
+    console.log(auth.removeOperator(username) ? `Operator ${username} removed` : `No operator ${username}`);
+    return 0;
+  }
+  if (command === 'list') {
+    auth.operators.forEach(o => console.log(`${o.username}\t${o.role}${o.tokenHash ? '\t(token)' : ''}`));
+    return 0;
+  }
+  console.error('Usage: node operators.js add <username> <admin|registrar> | token <username> | remove <username> | list');
+  return 2;
+}
+
+main(process.argv).then(code => { process.exitCode = code; }, (err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const core = require('./public/lottery-core');
+const { fail } = require('./errors');
+
+/**
+ * Participant records. A participant is identified by `id`, which is what the
+ * chain, the Merkle commitment and winner selection operate on, and may carry
+ * optional personal fields: a display name, department, employee number and
+ * free-form custom fields. A participant may also hold several tickets: an
+ * integer `weight` that weighted sessions draw by (see eligibility.js). It is
+ * not personal and is recorded on the chain as is; records without it hold
+ * one ticket.
+ *
+ * Personal fields are kept in the state file only. Blocks carry a salted
+ * SHA‑256 hash of them instead, so the published chain commits to the data
+ * entered for each participant without revealing it. The salt is random per
+ * participant and stays on the server alongside the record.
+ */
+
+const PERSONAL_FIELDS = ['name', 'department', 'employeeNo'];
+const MAX_ID_LENGTH = 128;
+const MAX_FIELD_LENGTH = 256;
+const MAX_CUSTOM_FIELDS = 20;
+
+/**
+ * Validate and normalise a participant from a request. Bare strings are
+ * accepted as an id without personal fields.
+ *
+ * @param {string|Object} input
+ * @returns {{participant: Object}|{error: string}}
+ */
+function normalizeParticipant(input) {
+  const raw = typeof input === 'string' ? { id: input } : input;
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return fail('PARTICIPANT_INVALID');
+  }
+  const id = String(raw.id === undefined || raw.id === null ? '' : raw.id).trim();
+  if (!id) return fail('PARTICIPANT_ID_REQUIRED');
+  if (id.length > MAX_ID_LENGTH) return fail('PARTICIPANT_ID_TOO_LONG', { max: MAX_ID_LENGTH });
+  const participant = { id };
+  if (raw.weight !== undefined && raw.weight !== null && raw.weight !== '') {
+    const weight = Number(raw.weight);
+    if (!Number.isInteger(weight) || weight < 1 || weight > core.MAX_WEIGHT) {
+      return fail('WEIGHT_INVALID', { max: core.MAX_WEIGHT });
+    }
+    if (weight !== 1) participant.weight = weight;
+  }
+  for (const key of PERSONAL_FIELDS) {
+    if (raw[key] === undefined || raw[key] === null) continue;
+    const value = String(raw[key]).trim();
+    if (value.length > MAX_FIELD_LENGTH) return fail('FIELD_TOO_LONG', { field: key, limit: MAX_FIELD_LENGTH });
+    if (value) participant[key] = value;
+  }
+  if (raw.fields !== undefined && raw.fields !== null) {
+    if (typeof raw.fields !== 'object' || Array.isArray(raw.fields)) return fail('FIELD_TYPE', { field: 'fields', type: 'object' });
+    const entries = Object.entries(raw.fields)
+      .map(([k, v]) => [String(k).trim(), v === undefined || v === null ? '' : String(v).trim()])
+      .filter(([k, v]) => k && v);
+    if (entries.length > MAX_CUSTOM_FIELDS) return fail('CUSTOM_FIELDS_TOO_MANY', { max: MAX_CUSTOM_FIELDS });
+    if (entries.some(([k, v]) => k.length > MAX_FIELD_LENGTH || v.length > MAX_FIELD_LENGTH)) {
+      return fail('CUSTOM_FIELD_TOO_LONG', { max: MAX_FIELD_LENGTH });
+    }
+    if (entries.length > 0) participant.fields = Object.fromEntries(entries);
+  }
+  return { participant };
+}
+
+function hasPersonalFields(participant) {
+  return PERSONAL_FIELDS.some(key => participant[key] !== undefined) || !!participant.fields;
+}
+
+// Personal fields serialised with a fixed key order so the hash is reproducible
+function canonicalFields(participant) {
+  const out = {};
+  PERSONAL_FIELDS.forEach(key => {
+    if (participant[key] !== undefined) out[key] = participant[key];
+  });
+  if (participant.fields) {
+    out.fields = {};
+    Object.keys(participant.fields).sort().forEach(key => { out.fields[key] = participant.fields[key]; });
+  }
+  return JSON.stringify(out);
+}
+
+/**
+ * Salted hash committing to a participant's personal fields:
+ * hashFields('participant', salt, id, canonical JSON of the fields).
+ *
+ * @param {Object} participant Record with a `salt`
+ * @returns {string} Hex digest
+ */
+function fieldsHash(participant) {
+  return core.toHex(core.hashFields('participant', participant.salt, participant.id, canonicalFields(participant)));
+}
+
+/**
+ * Give a new record its salt and return the hash to record on the chain, or
+ * null when the record has no personal fields.
+ *
+ * @param {Object} participant
+ * @returns {string|null}
+ */
+function seal(participant) {
+  if (!hasPersonalFields(participant)) return null;
+  participant.salt = crypto.randomBytes(16).toString('hex');
+  return fieldsHash(participant);
+}
+
+/**
+ * The part of a record that may be returned by the API. Anyone may see the id
+ * and display name shown on the draw screen and the weight, which is on the
+ * chain anyway; operators get every field. The salt is never returned.
+ *
+ * @param {Object} participant
+ * @param {boolean} full Whether to include all personal fields
+ * @returns {Object}
+ */
+function publicView(participant, full) {
+  if (!full) {
+    const view = { id: participant.id };
+    if (participant.name) view.name = participant.name;
+    if (participant.weight) view.weight = participant.weight;
+    return view;
+  }
+  const { salt, ...rest } = participant;
+  return rest;
+}
+
+/**
+ * Tickets held by each participant of a list, for weighted selection. Only
+ * records with a weight other than one are listed.
+ *
+ * @param {Array<Object>} list
+ * @returns {Object} Map of participant id to weight
+ */
+function weights(list) {
+  const out = {};
+  (list || []).forEach(p => {
+    if (p.weight) out[p.id] = p.weight;
+  });
+  return out;
+}
+
+function ids(list) {
+  return (list || []).map(p => p.id);
+}
+
+/**
+ * Upgrade a participant list stored as bare identifier strings.
+ *
+ * @param {Array} list
+ * @returns {Array<Object>}
+ */
+function migrate(list) {
+  return (list || []).map(p => (typeof p === 'string' ? { id: p } : p));
+}
+
+module.exports = {
+  PERSONAL_FIELDS,
+  normalizeParticipant,
+  hasPersonalFields,
+  fieldsHash,
+  seal,
+  publicView,
+  weights,
+  ids,
+  migrate
+};
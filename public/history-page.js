@@ -0,0 +1,165 @@
+// history-page.js
+// 历史记录页面：分页列出所有场次，按参与者标识查询其参与和中奖记录，并统计各部门中奖情况和多次中奖者
+
+// 场次状态的中文名称，与服务端 lifecycle.js 中的状态对应
+const STATUS_NAMES = {
+  draft: '草稿',
+  registration_open: '报名中',
+  registration_closed: '报名已截止',
+  seed_revealed: '种子已揭示',
+  drawing: '抽奖中',
+  completed: '已完成',
+  cancelled: '已取消'
+};
+const PAGE_SIZE = 20;
+
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString('zh-CN') : '-';
+}
+
+// 筛选条件，三个接口共用。日期按本地时间换算为当天起止的毫秒时间戳
+function filterParams(page) {
+  const params = new URLSearchParams({ page, pageSize: PAGE_SIZE });
+  const status = document.getElementById('filter-status').value;
+  const q = document.getElementById('filter-q').value.trim();
+  const from = document.getElementById('filter-from').value;
+  const to = document.getElementById('filter-to').value;
+  if (status) params.set('status', status);
+  if (q) params.set('q', q);
+  if (from) params.set('from', new Date(`${from}T00:00:00`).getTime());
+  if (to) params.set('to', new Date(`${to}T23:59:59.999`).getTime());
+  return params;
+}
+
+// 请求接口；未登录或权限不足时返回可直接显示的提示
+async function fetchJSON(url) {
+  const res = await fetch(url);
+  const data = await res.json();
+  if (res.status === 401) return { error: '请先在主持人控制台以报名员或管理员身份登录' };
+  if (res.status === 403) return { error: '当前账号无权查看，需要报名员或管理员角色' };
+  if (!res.ok) return { error: data.error || `请求失败（${res.status}）` };
+  return { data };
+}
+
+// 填充表格，单元格可以是文本或 DOM 节点
+function renderRows(tbody, rows) {
+  tbody.innerHTML = '';
+  rows.forEach(cells => {
+    const tr = document.createElement('tr');
+    cells.forEach(cell => {
+      const td = document.createElement('td');
+      if (cell instanceof Node) td.appendChild(cell);
+      else td.textContent = cell;
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+}
+
+// 分页控件：显示总数和页码，翻页时以新页码调用 load
+function renderPager(el, result, load) {
+  el.innerHTML = '';
+  const pages = Math.max(1, Math.ceil(result.total / result.pageSize));
+  const prev = document.createElement('button');
+  prev.textContent = '上一页';
+  prev.disabled = result.page <= 1;
+  prev.addEventListener('click', () => load(result.page - 1));
+  const next = document.createElement('button');
+  next.textContent = '下一页';
+  next.disabled = result.page >= pages;
+  next.addEventListener('click', () => load(result.page + 1));
+  const info = document.createElement('span');
+  info.textContent = `第 ${result.page}/${pages} 页，共 ${result.total} 条`;
+  el.append(prev, info, next);
+}
+
+function sessionLabel(name, id) {
+  return `${name}（${id}）`;
+}
+
+async function loadSessions(page) {
+  const { data, error } = await fetchJSON(`/api/history/sessions?${filterParams(page)}`);
+  if (error) {
+    alert(error);
+    return;
+  }
+  renderRows(document.querySelector('#session-table tbody'), data.items.map(s => {
+    const link = document.createElement('a');
+    link.href = `/verify.html?session=${encodeURIComponent(s.id)}`;
+    link.target = '_blank';
+    link.textContent = '验证';
+    const tiers = s.tiers.map(t => `${t.name} ${t.filled}/${t.count}`).join('，') || '-';
+    const voided = s.voidedCount ? `（作废 ${s.voidedCount}）` : '';
+    return [sessionLabel(s.name, s.id), STATUS_NAMES[s.status] || s.status, formatTime(s.createdAt),
+      formatTime(s.completedAt), String(s.participantCount), tiers + voided, link];
+  }));
+  renderPager(document.getElementById('session-pager'), data, loadSessions);
+}
+
+async function loadParticipant(page) {
+  const id = document.getElementById('participant-id').value.trim();
+  const summary = document.getElementById('participant-summary');
+  const table = document.getElementById('participant-table');
+  const pager = document.getElementById('participant-pager');
+  if (!id) return;
+  const params = filterParams(page);
+  params.set('id', id);
+  const { data, error } = await fetchJSON(`/api/history/participant?${params}`);
+  if (error) {
+    summary.textContent = error;
+    table.classList.add('hidden');
+    pager.innerHTML = '';
+    return;
+  }
+  summary.textContent = data.entries
+    ? `${id} 参加了 ${data.entries} 个场次，中奖 ${data.wins} 次`
+    : `未找到 ${id} 的参与记录`;
+  table.classList.toggle('hidden', data.entries === 0);
+  renderRows(table.querySelector('tbody'), data.items.map(e => {
+    const result = e.won.map(w => `中奖：${w.name}`)
+      .concat(e.voided.map(v => `作废：${v.name}（${v.reason}）`))
+      .concat(e.excluded.map(x => x.rule === 'list' ? `被名单“${x.name}”排除` : `因在场次 ${x.sessionId} 中奖被排除`));
+    return [sessionLabel(e.sessionName, e.sessionId), STATUS_NAMES[e.status] || e.status, formatTime(e.createdAt),
+      result.join('；') || '未中奖'];
+  }));
+  renderPager(pager, data, loadParticipant);
+}
+
+async function loadStats(page) {
+  const summary = document.getElementById('stats-summary');
+  const result = document.getElementById('stats-result');
+  const { data, error } = await fetchJSON(`/api/history/stats?${filterParams(page)}`);
+  if (error) {
+    summary.textContent = error;
+    result.classList.add('hidden');
+    return;
+  }
+  summary.textContent = `共 ${data.sessions} 个场次（已完成 ${data.completed}），参与 ${data.entries} 人次、` +
+    `${data.uniqueParticipants} 人，中奖 ${data.winners} 人次，作废 ${data.voided} 人次`;
+  renderRows(document.querySelector('#department-table tbody'), data.departments.map(d =>
+    [d.department || '未填写', String(d.entries), String(d.winners), `${(d.winRate * 100).toFixed(1)}%`]));
+  renderRows(document.querySelector('#repeat-table tbody'), data.repeatWinners.items.map(p =>
+    [p.name ? `${p.name}（${p.id}）` : p.id, String(p.wins),
+      p.sessions.map(s => `${s.sessionName}：${s.name}`).join('；')]));
+  renderPager(document.getElementById('repeat-pager'), data.repeatWinners, loadStats);
+  result.classList.remove('hidden');
+}
+
+function init() {
+  const select = document.getElementById('filter-status');
+  Object.keys(STATUS_NAMES).forEach(status => {
+    const opt = document.createElement('option');
+    opt.value = status;
+    opt.textContent = STATUS_NAMES[status];
+    select.appendChild(opt);
+  });
+  document.getElementById('filter-btn').addEventListener('click', () => loadSessions(1));
+  document.getElementById('participant-btn').addEventListener('click', () => loadParticipant(1));
+  document.getElementById('participant-id').addEventListener('keydown', e => {
+    if (e.key === 'Enter') loadParticipant(1);
+  });
+  document.getElementById('stats-btn').addEventListener('click', () => loadStats(1));
+  loadSessions(1);
+}
+
+document.addEventListener('DOMContentLoaded', init);
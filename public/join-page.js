@@ -0,0 +1,116 @@
+// join-page.js
+// 自助报名页面：参与者扫描大屏二维码打开，输入标识（和一次性验证码）报名，成功后显示服务器签名的报名回执
+
+const sessionId = new URLSearchParams(location.search).get('session');
+// 最近一次报名的回执保存在本机，刷新页面后仍可查看和保存
+const RECEIPT_KEY = `join-receipt:${sessionId}`;
+
+function showStatus(text) {
+  document.getElementById('join-status').textContent = text;
+}
+
+// 读取场次信息，报名开放时显示表单；场次状态变化时重新调用
+async function refresh() {
+  const res = await fetch(`/api/join?session=${encodeURIComponent(sessionId)}`);
+  const data = await res.json();
+  const form = document.getElementById('join-form');
+  if (!res.ok) {
+    showStatus('该场次未开放自助报名');
+    form.classList.add('hidden');
+    return;
+  }
+  document.getElementById('join-title').textContent = `${data.session.name} - 自助报名`;
+  document.getElementById('join-code-label').classList.toggle('hidden', data.mode !== 'code');
+  form.classList.toggle('hidden', !data.open);
+  if (!data.open) showStatus('报名未开放或已截止');
+  else if (data.mode === 'code') showStatus('请输入您的标识（工号）和收到的一次性验证码。');
+  else showStatus('请输入您的标识（工号），系统将核对报名名单。');
+}
+
+function renderReceipt(receipt) {
+  const rows = [
+    ['场次', `${receipt.sessionName}（${receipt.sessionId}）`],
+    ['参与者标识', receipt.participant],
+    ['报名区块', `#${receipt.block.index}`],
+    ['区块哈希', receipt.block.hash],
+    ['报名时间', new Date(receipt.block.timestamp).toLocaleString('zh-CN')],
+    ['签名密钥', receipt.signature.keyId]
+  ];
+  const tbody = document.querySelector('#receipt-table tbody');
+  tbody.innerHTML = '';
+  rows.forEach(([label, value]) => {
+    const tr = document.createElement('tr');
+    const th = document.createElement('th');
+    th.textContent = label;
+    const td = document.createElement('td');
+    td.textContent = value;
+    tr.append(th, td);
+    tbody.appendChild(tr);
+  });
+  const params = new URLSearchParams({ session: receipt.sessionId, user: receipt.participant });
+  document.getElementById('receipt-proof-link').href = `/proof?${params}`;
+  document.getElementById('join-receipt').classList.remove('hidden');
+}
+
+async function handleJoin() {
+  const id = document.getElementById('join-id').value.trim();
+  const code = document.getElementById('join-code').value.trim();
+  if (!id) {
+    alert('请输入标识');
+    return;
+  }
+  const btn = document.getElementById('join-btn');
+  btn.disabled = true;
+  try {
+    const res = await fetch('/api/join', {
+      method: 'POST',
+      // 页面只有中文，错误信息也始终使用中文，不随手机系统语言变化
+      headers: { 'Content-Type': 'application/json', 'Accept-Language': 'zh-CN' },
+      body: JSON.stringify({ sessionId, id, code })
+    });
+    const data = await res.json();
+    if (!res.ok) {
+      alert(data.error || '报名失败');
+      if (data.code === 'REGISTRATION_NOT_OPEN') await refresh();
+    } else {
+      localStorage.setItem(RECEIPT_KEY, JSON.stringify(data.receipt));
+      renderReceipt(data.receipt);
+      // 同一台手机可以继续为其他人报名
+      document.getElementById('join-id').value = '';
+      document.getElementById('join-code').value = '';
+    }
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+function saveReceipt() {
+  const receipt = localStorage.getItem(RECEIPT_KEY);
+  if (!receipt) return;
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(new Blob([receipt], { type: 'application/json' }));
+  a.download = `receipt-${sessionId}-${JSON.parse(receipt).participant}.json`;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+async function init() {
+  if (!sessionId) {
+    showStatus('链接缺少场次编号，请重新扫描大屏上的二维码');
+    return;
+  }
+  document.getElementById('join-btn').addEventListener('click', handleJoin);
+  document.getElementById('receipt-save-btn').addEventListener('click', saveReceipt);
+  const saved = localStorage.getItem(RECEIPT_KEY);
+  if (saved) renderReceipt(JSON.parse(saved));
+  await refresh();
+  // 报名截止或名单更新时由服务端推送，表单随之关闭或更新
+  if (typeof EventSource !== 'undefined') {
+    const source = new EventSource(`/api/events?session=${encodeURIComponent(sessionId)}`);
+    ['SESSION_STATE', 'JOIN_LIST_SET'].forEach(type => {
+      source.addEventListener(type, () => refresh().catch(err => console.error(err)));
+    });
+  }
+}
+
+document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,1181 @@
+// lottery-core.js
+// Lottery core: random base derivation, winner selection and verification bundle checks. Loaded by
+// both the server (require) and the browser (<script>) so that live draws and offline verification
+// run the exact same code. SHA-256 is implemented in plain synchronous JavaScript.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LotteryCore = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // ====== Byte helpers ======
+
+  // Encodes a string as UTF-8 bytes
+  function utf8(str) {
+    return new TextEncoder().encode(String(str));
+  }
+
+  // Concatenates byte arrays
+  function concatBytes(...parts) {
+    const total = parts.reduce((sum, p) => sum + p.length, 0);
+    const out = new Uint8Array(total);
+    let offset = 0;
+    parts.forEach(p => {
+      out.set(p, offset);
+      offset += p.length;
+    });
+    return out;
+  }
+
+  function toHex(bytes) {
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  function fromHex(hex) {
+    const clean = String(hex).replace(/^0x/, '');
+    const out = new Uint8Array(clean.length / 2);
+    for (let i = 0; i < out.length; i++) {
+      out[i] = parseInt(clean.substr(i * 2, 2), 16);
+    }
+    return out;
+  }
+
+  // ====== SHA-256 ======
+
+  const K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+  ]);
+
+  /**
+   * Computes a SHA-256 digest.
+   * @param {Uint8Array|string} input bytes, or a string encoded as UTF-8
+   * @returns {Uint8Array} 32-byte digest
+   */
+  function sha256(input) {
+    const msg = typeof input === 'string' ? utf8(input) : input;
+    const bitLen = msg.length * 8;
+    const padded = new Uint8Array(((msg.length + 9 + 63) >> 6) << 6);
+    padded.set(msg);
+    padded[msg.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 8, Math.floor(bitLen / 0x100000000));
+    view.setUint32(padded.length - 4, bitLen >>> 0);
+    const h = new Uint32Array([
+      0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ]);
+    const w = new Uint32Array(64);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+    for (let offset = 0; offset < padded.length; offset += 64) {
+      for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+      for (let i = 16; i < 64; i++) {
+        const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+        const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+        w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+      }
+      let a = h[0], b = h[1], c = h[2], d = h[3], e = h[4], f = h[5], g = h[6], k = h[7];
+      for (let i = 0; i < 64; i++) {
+        const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+        const ch = (e & f) ^ (~e & g);
+        const t1 = (k + S1 + ch + K[i] + w[i]) >>> 0;
+        const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+        const maj = (a & b) ^ (a & c) ^ (b & c);
+        const t2 = (S0 + maj) >>> 0;
+        k = g; g = f; f = e; e = (d + t1) >>> 0;
+        d = c; c = b; b = a; a = (t1 + t2) >>> 0;
+      }
+      h[0] += a; h[1] += b; h[2] += c; h[3] += d;
+      h[4] += e; h[5] += f; h[6] += g; h[7] += k;
+    }
+    const out = new Uint8Array(32);
+    const outView = new DataView(out.buffer);
+    for (let i = 0; i < 8; i++) outView.setUint32(i * 4, h[i]);
+    return out;
+  }
+
+  function sha256Hex(input) {
+    return toHex(sha256(input));
+  }
+
+  // ====== Keccak-256 ======
+
+  // Keccak-256 as used by Ethereum (original Keccak padding 0x01, not the 0x06 of NIST SHA3-256),
+  // for contract function selectors and event topics. Each 64-bit lane is a BigInt
+  const KECCAK_RC = [
+    0x0000000000000001n, 0x0000000000008082n, 0x800000000000808An, 0x8000000080008000n,
+    0x000000000000808Bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+    0x000000000000008An, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000An,
+    0x000000008000808Bn, 0x800000000000008Bn, 0x8000000000008089n, 0x8000000000008003n,
+    0x8000000000008002n, 0x8000000000000080n, 0x000000000000800An, 0x800000008000000An,
+    0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+  ];
+  // Rotation offsets of lane (x, y), indexed by x + 5y
+  const KECCAK_ROT = [
+    0, 1, 62, 28, 27,
+    36, 44, 6, 55, 20,
+    3, 10, 43, 25, 39,
+    41, 45, 15, 21, 8,
+    18, 2, 61, 56, 14
+  ];
+  const MASK_64 = (1n << 64n) - 1n;
+
+  function rotl64(x, n) {
+    return n === 0 ? x : ((x << BigInt(n)) | (x >> BigInt(64 - n))) & MASK_64;
+  }
+
+  function keccakF(state) {
+    const c = new Array(5);
+    const b = new Array(25);
+    for (let round = 0; round < 24; round++) {
+      for (let x = 0; x < 5; x++) {
+        c[x] = state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20];
+      }
+      for (let x = 0; x < 5; x++) {
+        const d = c[(x + 4) % 5] ^ rotl64(c[(x + 1) % 5], 1);
+        for (let y = 0; y < 25; y += 5) state[x + y] ^= d;
+      }
+      for (let x = 0; x < 5; x++) {
+        for (let y = 0; y < 5; y++) {
+          b[y + 5 * ((2 * x + 3 * y) % 5)] = rotl64(state[x + 5 * y], KECCAK_ROT[x + 5 * y]);
+        }
+      }
+      for (let y = 0; y < 25; y += 5) {
+        for (let x = 0; x < 5; x++) {
+          state[x + y] = b[x + y] ^ (~b[(x + 1) % 5 + y] & MASK_64 & b[(x + 2) % 5 + y]);
+        }
+      }
+      state[0] ^= KECCAK_RC[round];
+    }
+  }
+
+  /**
+   * Computes a Keccak-256 digest, identical to Solidity's keccak256.
+   * @param {Uint8Array|string} input bytes, or a string encoded as UTF-8
+   * @returns {Uint8Array} 32-byte digest
+   */
+  function keccak256(input) {
+    const msg = typeof input === 'string' ? utf8(input) : input;
+    const rate = 136;
+    const padded = new Uint8Array((Math.floor(msg.length / rate) + 1) * rate);
+    padded.set(msg);
+    padded[msg.length] ^= 0x01;
+    padded[padded.length - 1] ^= 0x80;
+    const state = new Array(25).fill(0n);
+    for (let offset = 0; offset < padded.length; offset += rate) {
+      for (let i = 0; i < rate / 8; i++) {
+        let lane = 0n;
+        for (let j = 7; j >= 0; j--) lane = (lane << 8n) | BigInt(padded[offset + i * 8 + j]);
+        state[i] ^= lane;
+      }
+      keccakF(state);
+    }
+    const out = new Uint8Array(32);
+    for (let i = 0; i < 4; i++) {
+      let lane = state[i];
+      for (let j = 0; j < 8; j++) {
+        out[i * 8 + j] = Number(lane & 0xffn);
+        lane >>= 8n;
+      }
+    }
+    return out;
+  }
+
+  // ====== Blocks and random bases ======
+
+  /**
+   * Block hash, matching computeHash in blockchain.js: SHA-256 of the JSON string of the block
+   * without its hash field.
+   */
+  function computeBlockHash(block) {
+    const { hash, ...clone } = block;
+    return sha256Hex(JSON.stringify(clone));
+  }
+
+  /**
+   * Random base used by /api/drawTier: SHA-256(tip hash + seed + tier). The tip hash is the
+   * previousHash of the draw block.
+   */
+  function tierRandBase(tip, seed, tier) {
+    return sha256(tip + seed + tier);
+  }
+
+  /**
+   * Random bases used when /api/draw draws several tiers at once: the tip hash, seed and
+   * participant count give an overall base, which is joined with each tier name.
+   */
+  function drawRandBase(tip, seed, count) {
+    return sha256(tip + seed + count);
+  }
+
+  function drawTierRandBase(base, tier) {
+    return sha256(concatBytes(base, utf8(tier)));
+  }
+
+  // ====== Participant list commitment ======
+
+  /**
+   * Length-prefixed SHA-256 over several fields: each field is encoded as a 4-byte big-endian
+   * length followed by its content, so concatenation is unambiguous.
+   * @param {...(Uint8Array|string)} fields fields, strings encoded as UTF-8
+   */
+  function hashFields(...fields) {
+    const parts = [];
+    fields.forEach(field => {
+      const bytes = typeof field === 'string' ? utf8(field) : field;
+      const len = new Uint8Array(4);
+      new DataView(len.buffer).setUint32(0, bytes.length);
+      parts.push(len, bytes);
+    });
+    return sha256(concatBytes(...parts));
+  }
+
+  // Lists are sorted in JavaScript's default string order (UTF-16 code units); draws use it too
+  function sortedParticipants(participants) {
+    return participants.slice().sort();
+  }
+
+  function merkleLeaf(id) {
+    return sha256(concatBytes(new Uint8Array([0]), utf8(id)));
+  }
+
+  function merkleNode(left, right) {
+    return sha256(concatBytes(new Uint8Array([1]), left, right));
+  }
+
+  /**
+   * Merkle root of the participant list. Leaves are SHA-256(0x00 || id), inner nodes SHA-256(0x01
+   * || left || right); the last node of an odd level is promoted as is. The list is sorted first,
+   * so the root depends only on its contents, not on join order. The root of an empty list is
+   * SHA-256 of the empty string.
+   *
+   * @param {Array<string>} participants participant ids
+   * @returns {string} hex Merkle root
+   */
+  function merkleRoot(participants) {
+    let level = sortedParticipants(participants).map(merkleLeaf);
+    if (level.length === 0) return sha256Hex(new Uint8Array(0));
+    while (level.length > 1) {
+      const next = [];
+      for (let i = 0; i < level.length; i += 2) {
+        next.push(i + 1 < level.length ? merkleNode(level[i], level[i + 1]) : level[i]);
+      }
+      level = next;
+    }
+    return toHex(level[0]);
+  }
+
+  /**
+   * Inclusion proof for one participant in the list's Merkle tree: the position in the sorted list,
+   * the list size and the sibling at each level from leaf to root (none where a node is promoted).
+   *
+   * @param {Array<string>} participants participant ids
+   * @param {string} id participant to prove
+   * @returns {{index: number, count: number, siblings: Array<string>}|null}
+   *   null when not in the list; siblings are hex
+   */
+  function merkleProof(participants, id) {
+    const sorted = sortedParticipants(participants);
+    const index = sorted.indexOf(id);
+    if (index < 0) return null;
+    let level = sorted.map(merkleLeaf);
+    const siblings = [];
+    let pos = index;
+    while (level.length > 1) {
+      const sibling = pos % 2 === 0 ? pos + 1 : pos - 1;
+      if (sibling < level.length) siblings.push(toHex(level[sibling]));
+      const next = [];
+      for (let i = 0; i < level.length; i += 2) {
+        next.push(i + 1 < level.length ? merkleNode(level[i], level[i + 1]) : level[i]);
+      }
+      level = next;
+      pos = Math.floor(pos / 2);
+    }
+    return { index, count: participants.length, siblings };
+  }
+
+  /**
+   * Checks an inclusion proof by rehashing from the id up to the root. Whether each sibling sits
+   * left or right follows from position and size, so the proof also fixes the participant's
+   * position in the sorted list.
+   *
+   * @param {string} id participant id
+   * @param {{index: number, count: number, siblings: Array<string>}} proof
+   * @param {string} root hex Merkle root
+   * @returns {boolean}
+   */
+  function verifyMerkleProof(id, proof, root) {
+    if (!proof || !Array.isArray(proof.siblings)) return false;
+    if (!Number.isInteger(proof.index) || !Number.isInteger(proof.count) || proof.index < 0 || proof.index >= proof.count) {
+      return false;
+    }
+    let node = merkleLeaf(id);
+    let pos = proof.index;
+    let size = proof.count;
+    let used = 0;
+    while (size > 1) {
+      if (pos % 2 === 1) {
+        if (used >= proof.siblings.length) return false;
+        node = merkleNode(fromHex(proof.siblings[used++]), node);
+      } else if (pos + 1 < size) {
+        if (used >= proof.siblings.length) return false;
+        node = merkleNode(node, fromHex(proof.siblings[used++]));
+      }
+      pos = Math.floor(pos / 2);
+      size = Math.ceil(size / 2);
+    }
+    return used === proof.siblings.length && toHex(node) === String(root).toLowerCase();
+  }
+
+  /**
+   * Random base under the list commitment: hashFields('tier', seed, Merkle root, tier id). All
+   * inputs are fixed before the seed is revealed, so the operator cannot steer the result by
+   * appending blocks.
+   *
+   * @param {string} seed revealed seed
+   * @param {string} root Merkle root recorded when registration closed (hex)
+   * @param {string} tier tier id
+   * @returns {Uint8Array}
+   */
+  function commitmentRandBase(seed, root, tier) {
+    return hashFields('tier', seed, fromHex(root), tier);
+  }
+
+  /**
+   * Random base of a replacement draw: hashFields('replacement', seed, Merkle root, tier id,
+   * index), where index counts the tier's replacements from 0 (4-byte big-endian). Like a normal
+   * draw it depends only on inputs fixed before the reveal, so replacements are reproducible too.
+   *
+   * @param {string} seed revealed seed
+   * @param {string} root Merkle root recorded when registration closed (hex)
+   * @param {string} tier tier id
+   * @param {number} index replacement index
+   * @returns {Uint8Array}
+   */
+  function replacementRandBase(seed, root, tier, index) {
+    const indexBytes = new Uint8Array(4);
+    new DataView(indexBytes.buffer).setUint32(0, index);
+    return hashFields('replacement', seed, fromHex(root), tier, indexBytes);
+  }
+
+  // ====== Multi-party seed commitments ======
+
+  // Sorted by committer username and flattened to [user1, value1, user2, value2, ...]
+  function byCommitter(entries, key) {
+    const fields = [];
+    entries.slice()
+      .sort((a, b) => (a.committer < b.committer ? -1 : a.committer > b.committer ? 1 : 0))
+      .forEach(e => fields.push(e.committer, e[key]));
+    return fields;
+  }
+
+  /**
+   * Combined commitment of a multi-party session: hashFields('commitments', user1, commitment1,
+   * ...) with committers sorted by username. Written to the block that closes registration as the
+   * session's seed commitment.
+   *
+   * @param {Array<{committer: string, seedHash: string}>} commitments
+   * @returns {string} hex digest
+   */
+  function commitmentsHash(commitments) {
+    return toHex(hashFields('commitments', ...byCommitter(commitments, 'seedHash')));
+  }
+
+  /**
+   * Draw seed derived from the committers' revealed seeds: hex of hashFields('seeds', user1, seed1,
+   * ...) with committers sorted by username. One unpredictable seed makes the result unpredictable.
+   *
+   * @param {Array<{committer: string, seed: string}>} shares
+   * @returns {string}
+   */
+  function combineSeeds(shares) {
+    return toHex(hashFields('seeds', ...byCommitter(shares, 'seed')));
+  }
+
+  /**
+   * Results digest, anchored to the Ethereum contract as the session outcome: hashFields('results',
+   * session id, winners JSON per tier, forfeits JSON). Tiers are sorted by id and winners keep
+   * their draw order; recomputable from the bundle's winners.
+   *
+   * @param {string} sessionId session id
+   * @param {Object} winners results { tiers, forfeited }
+   * @returns {Uint8Array}
+   */
+  function resultsHash(sessionId, winners) {
+    const tiers = (winners && winners.tiers) || {};
+    const entries = Object.keys(tiers).sort().map(tier => [tier, tiers[tier]]);
+    const forfeited = ((winners && winners.forfeited) || []).map(f => [f.tier, f.user]);
+    return hashFields('results', sessionId, JSON.stringify(entries), JSON.stringify(forfeited));
+  }
+
+  // ====== Winner selection ======
+
+  // Selection algorithm versions. Draw blocks record the version used; older blocks without one
+  // replay as v1
+  const SELECTION_V1 = 'fy-sha256-v1';
+  const SELECTION_V2 = 'fy-sha256-v2';
+
+  /**
+   * v1: Fisher–Yates selection. Pseudo-random indices come from the random base and a loop counter
+   * and winners are swapped to the front. The counter is a single byte (wraps past 256 people) and
+   * indices are 32-bit integers taken modulo, so it is biased; only used to replay old sessions.
+   */
+  function selectWinnersV1(participants, k, randBase) {
+    const arr = participants.slice();
+    const n = arr.length;
+    for (let i = 0; i < k; i++) {
+      const h = sha256(concatBytes(randBase, new Uint8Array([i & 0xff])));
+      const rnd = new DataView(h.buffer).getUint32(0);
+      const j = (rnd % (n - i)) + i;
+      const temp = arr[i];
+      arr[i] = arr[j];
+      arr[j] = temp;
+    }
+    return arr.slice(0, k);
+  }
+
+  // Encodes a non-negative integer as 32 bytes big-endian (same as Solidity's uint256)
+  function uint256(value) {
+    const out = new Uint8Array(32);
+    let v = BigInt(value);
+    for (let i = 31; i >= 0 && v > 0n; i--) {
+      out[i] = Number(v & 0xffn);
+      v >>= 8n;
+    }
+    return out;
+  }
+
+  function bytesToBigInt(bytes) {
+    return bytes.length === 0 ? 0n : BigInt('0x' + toHex(bytes));
+  }
+
+  const TWO_256 = 1n << 256n;
+
+  /**
+   * v2: unbiased Fisher–Yates selection. A counter c starts at 0; each step takes x =
+   * uint256(SHA-256(randBase || uint256(c))) and increments c. For winner i (m = n - i remaining) x
+   * is accepted only if x < 2^256 - (2^256 mod m), giving j = i + (x mod m); otherwise the next x
+   * is taken (rejection sampling), so every index is exactly equally likely. The counter is encoded
+   * as a full 256 bits, so the number of winners is unbounded.
+   */
+  function selectWinnersV2(participants, k, randBase) {
+    const arr = participants.slice();
+    const n = arr.length;
+    let counter = 0;
+    for (let i = 0; i < k; i++) {
+      const m = BigInt(n - i);
+      const limit = TWO_256 - (TWO_256 % m);
+      let x;
+      do {
+        x = bytesToBigInt(sha256(concatBytes(randBase, uint256(counter))));
+        counter++;
+      } while (x >= limit);
+      const j = i + Number(x % m);
+      const temp = arr[i];
+      arr[i] = arr[j];
+      arr[j] = temp;
+    }
+    return arr.slice(0, k);
+  }
+
+  // Weighted selection: participants are drawn by votes (positive integer weights, default 1), for
+  // sessions with a weighted rule
+  const SELECTION_WEIGHTED = 'weighted-sha256-v1';
+  const MAX_WEIGHT = 1000;
+
+  function participantWeight(weights, id) {
+    const w = weights && Object.prototype.hasOwnProperty.call(weights, id) ? weights[id] : 1;
+    return Number.isInteger(w) && w > 0 ? w : 1;
+  }
+
+  /**
+   * Weighted sampling without replacement: winners are drawn one at a time in proportion to the
+   * remaining votes. Random numbers are taken as in v2: counter c from 0, x =
+   * uint256(SHA-256(randBase || uint256(c))); with W total votes remaining, x is accepted only if x
+   * < 2^256 - (2^256 mod W), giving r = x mod W. Votes are summed in list order and the first
+   * participant whose running total exceeds r wins and is removed. All integer arithmetic, so
+   * browser and server agree bit for bit.
+   *
+   * @param {Array<string>} participants participants
+   * @param {number} k number of winners
+   * @param {Uint8Array} randBase random base
+   * @param {Object} weights participant id to votes; unlisted ids count as 1
+   * @returns {Array<string>}
+   */
+  function selectWinnersWeighted(participants, k, randBase, weights) {
+    const arr = participants.slice();
+    const result = [];
+    let counter = 0;
+    for (let i = 0; i < k && arr.length > 0; i++) {
+      const total = BigInt(arr.reduce((sum, id) => sum + participantWeight(weights, id), 0));
+      const limit = TWO_256 - (TWO_256 % total);
+      let x;
+      do {
+        x = bytesToBigInt(sha256(concatBytes(randBase, uint256(counter))));
+        counter++;
+      } while (x >= limit);
+      let r = x % total;
+      let j = 0;
+      while (r >= BigInt(participantWeight(weights, arr[j]))) {
+        r -= BigInt(participantWeight(weights, arr[j]));
+        j++;
+      }
+      result.push(arr.splice(j, 1)[0]);
+    }
+    return result;
+  }
+
+  /**
+   * Removes participants according to the eligibility rules. Rules are { weighted, exclusions: [{
+   * name, ids }], excludeWinnersOf: [session ids] }; priorWinners holds the winners of each
+   * referenced session when registration closed. A participant matching several rules is counted
+   * once per rule.
+   *
+   * @param {Array<string>} participants participants
+   * @param {Object} rules eligibility rules
+   * @param {Object} [priorWinners] session id to list of winners
+   * @returns {{eligible: Array<string>, excluded: Array<{id: string, rule: string, name?: string, sessionId?: string}>}}
+   */
+  function applyRules(participants, rules, priorWinners) {
+    const members = new Set(participants);
+    const excluded = [];
+    ((rules && rules.exclusions) || []).forEach(list => {
+      list.ids.forEach(id => {
+        if (members.has(id)) excluded.push({ id, rule: 'list', name: list.name });
+      });
+    });
+    ((rules && rules.excludeWinnersOf) || []).forEach(sessionId => {
+      ((priorWinners || {})[sessionId] || []).forEach(id => {
+        if (members.has(id)) excluded.push({ id, rule: 'winnerOf', sessionId });
+      });
+    });
+    const out = new Set(excluded.map(e => e.id));
+    return { eligible: participants.filter(id => !out.has(id)), excluded };
+  }
+
+  // ====== Contract-algorithm mode ======
+
+  // Selection that follows the Lottery.sol draw() formula and matches the contract bit for bit
+  // given the same block hash, seed and participants in enter() order. Sessions using it are
+  // contract-algorithm sessions: the seed is 32 bytes and the commitment is keccak256(seed), so it
+  // can be revealed on the contract; the draw runs off chain on other inputs (see CONTRACT_DRAW)
+  const SELECTION_CONTRACT = 'lottery-sol-v1';
+
+  // How contract-algorithm sessions differ from the contract's draw(). The off-chain draw uses the
+  // list's Merkle root instead of blockhash(block.number - 1) and shuffles the sorted list rather
+  // than enter() order, so calling draw() on the contract gives different winners. The note is
+  // written into the session, its creation block and the bundle so checkers need not learn it from
+  // the code
+  const CONTRACT_DRAW = Object.freeze({
+    reproducibleByContract: false,
+    blockHash: 'participantRoot',
+    participantOrder: 'sorted',
+    note: 'Lottery.sol draw() does not reproduce these winners: the participant Merkle root stands in for ' +
+      'blockhash(block.number - 1) and participants are shuffled in sorted order, not enter() order. ' +
+      'Replay the draw off-chain with the same algorithm instead.'
+  });
+
+  function isBytes32(hex) {
+    return /^(0x)?[0-9a-fA-F]{64}$/.test(String(hex));
+  }
+
+  /**
+   * Commitment checked by the contract's revealSeed(): keccak256(abi.encodePacked(bytes32 seed)).
+   * @param {string} seed 32-byte hex seed, optionally 0x-prefixed
+   * @returns {string} hex digest
+   */
+  function contractSeedHash(seed) {
+    return toHex(keccak256(fromHex(seed)));
+  }
+
+  /**
+   * Random base of the contract's draw():
+   * keccak256(abi.encodePacked(bytes32 blockHash, bytes32 revealedSeed, uint256 participants.length)).
+   * The contract uses the previous Ethereum block hash; the off-chain draw uses the Merkle root
+   * recorded when registration closed instead, also 32 bytes and fixed before the reveal.
+   *
+   * @param {string} blockHash 32-byte hex
+   * @param {string} seed 32-byte hex seed
+   * @param {number} count number of participants
+   * @returns {Uint8Array}
+   */
+  function contractRandBase(blockHash, seed, count) {
+    return keccak256(concatBytes(fromHex(blockHash), fromHex(seed), uint256(count)));
+  }
+
+  /**
+   * Replays the contract's draw() shuffle: for position i take
+   * j = uint256(keccak256(abi.encodePacked(randBase, uint256(i)))) % (n - i) + i，
+   * swap positions i and j, and position i is the i-th winner. The contract draws all winners at
+   * once; drawing by tier off chain takes consecutive positions tier after tier, so the shuffle is
+   * replayed from the start and count winners from position start are returned. The contract's
+   * modulo bias is kept so results match the contract.
+   *
+   * @param {Array<string>} participants full list in join order (enter calls on the contract)
+   * @param {number} start number already drawn
+   * @param {number} count number to draw now
+   * @param {Uint8Array} randBase random base
+   * @returns {Array<string>}
+   */
+  function contractWinners(participants, start, count, randBase) {
+    const arr = participants.slice();
+    const n = arr.length;
+    if (start + count > n) throw new Error(`参与人数 ${n} 不足 ${start + count} 人`);
+    for (let i = 0; i < start + count; i++) {
+      const x = bytesToBigInt(keccak256(concatBytes(randBase, uint256(i))));
+      const j = i + Number(x % BigInt(n - i));
+      const temp = arr[i];
+      arr[i] = arr[j];
+      arr[j] = temp;
+    }
+    return arr.slice(start, start + count);
+  }
+
+  /**
+   * Seed commitment of a session: keccak256(bytes32 seed) for contract-algorithm sessions,
+   * SHA-256(seed) otherwise.
+   * @param {string} seed
+   * @param {string} [selection] the session's selection algorithm version
+   * @returns {string} hex digest
+   */
+  function seedCommitment(seed, selection) {
+    return selection === SELECTION_CONTRACT ? contractSeedHash(seed) : sha256Hex(seed);
+  }
+
+  /**
+   * Deterministically selects k distinct winners from the participants.
+   *
+   * @param {Array<string>} participants participants
+   * @param {number} k number of winners
+   * @param {Uint8Array} randBase random base
+   * @param {string} [version] selection algorithm version, v1 by default
+   * @param {Object} [weights] participants' votes for weighted selection
+   * @returns {Array<string>} winners
+   */
+  function selectWinners(participants, k, randBase, version, weights) {
+    if (!version || version === SELECTION_V1) return selectWinnersV1(participants, k, randBase);
+    if (version === SELECTION_V2) return selectWinnersV2(participants, k, randBase);
+    if (version === SELECTION_WEIGHTED) return selectWinnersWeighted(participants, k, randBase, weights);
+    throw new Error(`未知的选择算法版本 ${version}`);
+  }
+
+  // ====== Export signatures ======
+
+  /**
+   * Canonical JSON for signing: object keys sorted lexicographically, no whitespace, otherwise as
+   * JSON.stringify. Exported bundles are serialized this way without their signature field and
+   * signed with the server's Ed25519 key, so reformatting or reordering keys does not break it.
+   *
+   * @param {*} value
+   * @returns {string}
+   */
+  function canonicalJSON(value) {
+    if (Array.isArray(value)) return `[${value.map(v => (v === undefined ? 'null' : canonicalJSON(v))).join(',')}]`;
+    if (value && typeof value === 'object') {
+      const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+      return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  // ====== Bundle verification ======
+
+  function sameList(a, b) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((v, i) => v === b[i]);
+  }
+
+  /**
+   * Replays a whole session from its bundle and reports the result of each check. Bundles are
+   * exported by /api/bundle and hold the session, seed, participants, tier order and the contiguous
+   * blocks from session creation to the last draw.
+   *
+   * @param {Object} bundle verification bundle
+   * @returns {{ok: boolean, steps: Array<{step: string, ok: boolean, detail: string}>}}
+   */
+  // Chinese labels of the seed sources, see seeds.js and escrow.js on the server
+  const SEED_SOURCE_NAMES = {
+    tianxuan: '网易天玄链', local: '服务器本地随机数', beacon: '随机信标文件', manual: '手动输入', escrow: '服务器托管（种子信封）'
+  };
+
+  /**
+   * Checks the seed of a multi-party session (step 1 of verifyBundle): each committer committed
+   * once before registration closed, the combined commitment in the closing block is derived from
+   * those commitments, each revealed seed matches its commitment and the draw seed combines the
+   * revealed seeds. If anyone did not reveal, the deadline must have passed with a quorum revealed.
+   *
+   * @param {Object} created SESSION_CREATED block
+   * @param {Array<Object>} sessionBlocks the session's blocks
+   * @param {Object} session session info from the bundle
+   * @param {string} seed seed from the bundle
+   * @param {function} record records a check step
+   */
+  function verifyCommitters(created, sessionBlocks, session, seed, record) {
+    const listed = created.data.committers;
+    const closed = sessionBlocks.find(b => b.data.type === 'SESSION_STATE' && b.data.to === 'registration_closed');
+    const revealed = sessionBlocks.find(b => b.data.type === 'SEED_REVEALED');
+
+    const commitments = {};
+    let commitError = closed ? null : '链上没有报名截止记录';
+    sessionBlocks.filter(b => b.data.type === 'SEED_COMMITTED').forEach(b => {
+      const who = b.data.committer;
+      if (commitError) return;
+      if (!listed.includes(who)) commitError = `区块 #${b.index}：${who} 不是本场次的承诺人`;
+      else if (commitments[who]) commitError = `区块 #${b.index}：${who} 重复承诺`;
+      else if (b.index > closed.index) commitError = `区块 #${b.index}：${who} 在报名截止后才承诺`;
+      else commitments[who] = b.data.seedHash;
+    });
+    const committedNames = Object.keys(commitments);
+    if (!commitError) {
+      const computed = commitmentsHash(committedNames.map(c => ({ committer: c, seedHash: commitments[c] })));
+      const ok = computed === closed.data.seedHash && computed === session.seedHash;
+      record('多方承诺', ok, `${committedNames.length}/${listed.length} 名承诺人已承诺，` +
+        `重算总承诺值 ${computed}，区块 #${closed.index} 记录 ${closed.data.seedHash}`);
+    } else {
+      record('多方承诺', false, commitError);
+    }
+
+    const shares = {};
+    let shareError = null;
+    sessionBlocks.filter(b => b.data.type === 'SEED_SHARE_REVEALED').forEach(b => {
+      const who = b.data.committer;
+      if (shareError) return;
+      if (!commitments[who]) shareError = `区块 #${b.index}：${who} 没有有效的承诺`;
+      else if (shares[who] !== undefined) shareError = `区块 #${b.index}：${who} 重复揭示`;
+      else if (b.index < closed.index) shareError = `区块 #${b.index}：${who} 在报名截止前揭示`;
+      else if (sha256Hex(b.data.seed) !== commitments[who]) shareError = `区块 #${b.index}：${who} 的种子与承诺不符`;
+      else if (revealed && b.index > revealed.index) shareError = `区块 #${b.index}：${who} 在种子确定后才揭示`;
+      else shares[who] = b.data.seed;
+    });
+    const included = Object.keys(shares);
+    const missing = committedNames.filter(c => shares[c] === undefined);
+    record('种子揭示', !shareError && !commitError, shareError ||
+      `${included.length}/${committedNames.length} 份种子与承诺一致` + (missing.length ? `，未揭示：${missing.join('、')}` : ''));
+
+    if (!seed || !revealed) {
+      record('种子合成', false, '验证包中没有已揭示的种子');
+      return;
+    }
+    const computed = combineSeeds(included.map(c => ({ committer: c, seed: shares[c] })));
+    let ok = computed === seed && revealed.data.seed === seed;
+    let detail = `由 ${included.length} 份种子合成 ${computed}，验证包种子 ${seed}`;
+    if (missing.length > 0) {
+      const quorum = created.data.quorum || listed.length;
+      const deadline = created.data.revealDeadline;
+      if (included.length < quorum) {
+        ok = false;
+        detail = `仅 ${included.length} 份种子揭示，不足法定人数 ${quorum}`;
+      } else if (!deadline || revealed.timestamp < deadline) {
+        ok = false;
+        detail = `揭示期限前缺少 ${missing.join('、')} 的种子即确定了抽奖种子`;
+      } else {
+        detail += `；揭示期限后按法定人数 ${quorum} 确定，未计入 ${missing.join('、')}`;
+      }
+    }
+    record('种子合成', ok, detail);
+  }
+
+  function verifyBundle(bundle) {
+    const steps = [];
+    const record = (step, ok, detail) => steps.push({ step, ok: !!ok, detail });
+    const session = (bundle && bundle.session) || {};
+    const blocks = (bundle && bundle.blocks) || [];
+    const seed = bundle && bundle.seed;
+    const sessionBlocks = blocks.filter(b => b.data && b.data.sessionId === session.id);
+
+    // 1. Seed commitment: keccak256 for contract-algorithm sessions, SHA-256 otherwise
+    const created = sessionBlocks.find(b => b.data.type === 'SESSION_CREATED');
+    const contractMode = !!created && created.data.selection === SELECTION_CONTRACT;
+    const multiParty = !!created && Array.isArray(created.data.committers);
+    if (multiParty) {
+      verifyCommitters(created, sessionBlocks, session, seed, record);
+    } else if (!seed) {
+      record('种子承诺', false, '验证包中没有已揭示的种子');
+    } else if (contractMode && !isBytes32(seed)) {
+      record('种子承诺', false, '合约算法场次的种子须为 32 字节十六进制');
+    } else {
+      const computed = seedCommitment(seed, contractMode ? SELECTION_CONTRACT : null);
+      record('种子承诺', computed === session.seedHash,
+        `${contractMode ? 'keccak256' : 'SHA-256'}(seed) = ${computed}，承诺值 ${session.seedHash}`);
+    }
+    if (!multiParty) {
+      record('创建区块', !!created && created.data.seedHash === session.seedHash,
+        created ? `区块 #${created.index} 记录的承诺值 ${created.data.seedHash}` : '缺少 SESSION_CREATED 区块');
+    }
+    // Prize tiers are written to the creation block; early sessions without them are not checked
+    const prizes = session.prizes || null;
+    if (created && created.data.prizes) {
+      record('奖项设置', JSON.stringify(created.data.prizes) === JSON.stringify(prizes),
+        created.data.prizes.map(p => `${p.name}×${p.count}`).join('，'));
+    }
+    const revealed = sessionBlocks.find(b => b.data.type === 'SEED_REVEALED');
+    // The seed source is recorded in the creation block; the provider's raw response may contain
+    // the seed, is only published on reveal and must match the digest recorded at creation
+    const seedSource = created && created.data.seedSource;
+    if (seedSource) {
+      let detail = `${SEED_SOURCE_NAMES[seedSource.source] || seedSource.source}`;
+      if (seedSource.source !== seedSource.provider) {
+        detail += `（${SEED_SOURCE_NAMES[seedSource.provider] || seedSource.provider}不可用：${seedSource.fallbackReason || '未知原因'}）`;
+      }
+      if (seedSource.fetchedAt) detail += `，获取于 ${new Date(seedSource.fetchedAt).toISOString()}`;
+      let ok = true;
+      if (seedSource.responseHash) {
+        const response = revealed && revealed.data.sourceResponse;
+        const computed = response === undefined || response === null ? null : sha256Hex(JSON.stringify(response));
+        ok = computed === seedSource.responseHash;
+        if (ok) detail += '，原始响应与记录的摘要一致';
+        else if (computed === null) detail += '，揭示时未公开原始响应，无法核对记录的摘要';
+        else detail += `，原始响应摘要 ${computed} 与记录 ${seedSource.responseHash} 不符`;
+      }
+      record('种子来源', ok, detail);
+    }
+    record('揭示区块', !!revealed && revealed.data.seed === seed,
+      revealed ? `区块 #${revealed.index} 记录的种子 ${revealed.data.seed}` : '缺少 SEED_REVEALED 区块');
+
+    // 2. Block hashes and links
+    let linkOk = blocks.length > 0;
+    let linkDetail = `共 ${blocks.length} 个区块`;
+    for (let i = 0; i < blocks.length && linkOk; i++) {
+      const b = blocks[i];
+      if (computeBlockHash(b) !== b.hash) {
+        linkOk = false;
+        linkDetail = `区块 #${b.index} 哈希不匹配`;
+      } else if (i > 0 && (b.previousHash !== blocks[i - 1].hash || b.index !== blocks[i - 1].index + 1)) {
+        linkOk = false;
+        linkDetail = `区块 #${b.index} 未正确链接到前一区块`;
+      }
+    }
+    record('区块链接', linkOk, linkDetail);
+
+    // 3. Participant list, rebuilt from the join blocks in order
+    const entryBlocks = sessionBlocks.filter(b => b.data.type === 'USER_ENTERED' || b.data.type === 'USERS_IMPORTED');
+    const chainParticipants = [];
+    // Votes are written with each join; unrecorded ones count as 1
+    const weights = {};
+    entryBlocks.forEach(b => {
+      if (b.data.type === 'USER_ENTERED') {
+        chainParticipants.push(b.data.user);
+        if (b.data.weight) weights[b.data.user] = b.data.weight;
+      } else {
+        chainParticipants.push(...b.data.users);
+        if (b.data.weights) b.data.users.forEach((u, i) => { weights[u] = b.data.weights[i]; });
+      }
+    });
+    const fromChain = entryBlocks.length > 0;
+    if (fromChain) {
+      record('参与者名单', sameList(chainParticipants, bundle.participants),
+        `链上记录 ${chainParticipants.length} 人，验证包 ${(bundle.participants || []).length} 人`);
+    } else {
+      record('参与者名单', false, '链上没有该场次的报名记录，无法确认抽奖时的名单');
+    }
+
+    // Sessions that record their state: joins must precede the close and the seed can only be
+    // revealed after it
+    const closed = sessionBlocks.find(b => b.data.type === 'SESSION_STATE' && b.data.to === 'registration_closed');
+    if (sessionBlocks.some(b => b.data.type === 'SESSION_STATE')) {
+      const lateEntries = closed ? entryBlocks.filter(b => b.index > closed.index) : [];
+      const ok = !!closed && lateEntries.length === 0 && (!revealed || revealed.index > closed.index);
+      let detail = closed ? `报名于区块 #${closed.index} 截止` : '链上没有报名截止记录';
+      if (lateEntries.length > 0) detail = `截止后仍有 ${lateEntries.length} 条报名记录`;
+      else if (closed && revealed && revealed.index < closed.index) detail = '种子在报名截止前被揭示';
+      record('报名截止', ok, detail);
+    }
+
+    // List commitment recorded at close: the Merkle root must match the bundle's list
+    const committedRoot = closed && closed.data.participantRoot;
+    if (committedRoot) {
+      const computedRoot = merkleRoot(bundle.participants || []);
+      const ok = computedRoot === committedRoot && (!session.participantRoot || session.participantRoot === committedRoot)
+        && closed.data.participantCount === (bundle.participants || []).length;
+      record('名单承诺', ok, `重算 Merkle 根 ${computedRoot}，区块 #${closed.index} 记录 ${committedRoot}`);
+    }
+
+    // Eligibility rules: written in the creation block or a RULES_SET block before the close; the
+    // closing block records the participants excluded by the rules and the winners of referenced
+    // sessions at that time. Excluded participants take part in no draw of this session
+    const drawBlocks = sessionBlocks.filter(b => b.data.type === 'TIER_DRAWN' || b.data.type === 'DRAWN');
+    const rulesBlocks = sessionBlocks.filter(b => b.data.type === 'RULES_SET');
+    const rulesBefore = rulesBlocks.filter(b => closed && b.index < closed.index);
+    const rules = rulesBefore.length > 0 ? rulesBefore[rulesBefore.length - 1].data.rules : created && created.data.rules;
+    const excludedIds = new Set();
+    if (rules || rulesBlocks.length > 0) {
+      const recorded = (closed && closed.data.excluded) || [];
+      recorded.forEach(e => excludedIds.add(e.id));
+      const expected = applyRules(bundle.participants || [], rules || {}, closed && closed.data.priorWinners).excluded;
+      const selection = rules && rules.weighted ? SELECTION_WEIGHTED : SELECTION_V2;
+      const wrongSelection = drawBlocks.find(b => b.data.selection !== selection);
+      let ok = !!closed && rulesBefore.length === rulesBlocks.length && JSON.stringify(expected) === JSON.stringify(recorded) && !wrongSelection;
+      let detail;
+      if (!closed) detail = '链上没有报名截止记录';
+      else if (rulesBefore.length !== rulesBlocks.length) detail = '报名截止后仍修改了资格规则';
+      else if (wrongSelection) detail = `区块 #${wrongSelection.index} 按 ${wrongSelection.data.selection} 抽奖，资格规则要求 ${selection}`;
+      else if (!ok) detail = `按规则应排除 ${expected.length} 条记录，区块 #${closed.index} 记录 ${recorded.length} 条`;
+      else {
+        const eligible = (bundle.participants || []).filter(u => !excludedIds.has(u));
+        const parts = [];
+        if (rules && rules.weighted) {
+          parts.push(`按票数加权抽取，${eligible.length} 人共 ${eligible.reduce((sum, u) => sum + participantWeight(weights, u), 0)} 票`);
+        }
+        const groups = [];
+        recorded.forEach(e => {
+          const label = e.rule === 'list' ? `名单“${e.name}”` : `场次 ${e.sessionId} 的中奖者`;
+          let group = groups.find(g => g.label === label);
+          if (!group) groups.push(group = { label, ids: [] });
+          group.ids.push(e.id);
+        });
+        groups.forEach(g => parts.push(`${g.label}排除 ${g.ids.join('、')}`));
+        if (groups.length === 0) parts.push('没有参与者被排除');
+        detail = parts.join('；');
+      }
+      record('资格规则', ok, detail);
+    }
+
+    // List at draw time: all joins before the block
+    const poolAt = (drawBlock) => {
+      if (!fromChain) return (bundle.participants || []).slice();
+      const list = [];
+      entryBlocks.filter(b => b.index < drawBlock.index).forEach(b => {
+        if (b.data.type === 'USER_ENTERED') list.push(b.data.user);
+        else list.push(...b.data.users);
+      });
+      return list;
+    };
+
+    // 4. Replay the draws tier by tier. Under the list commitment the random base depends only on
+    // seed, Merkle root and tier id, and winners come from the sorted list; early sessions derive
+    // it from the hash of the block before the draw. Forfeit and replacement blocks are replayed
+    // with the draws in chain order, as they change the remaining list for later tiers
+    const eventTypes = ['TIER_DRAWN', 'DRAWN', 'WINNER_VOIDED', 'REPLACEMENT_DRAWN'];
+    const eventBlocks = sessionBlocks.filter(b => eventTypes.includes(b.data.type));
+    const drawn = [];
+    const forfeited = [];
+    // Per tier: forfeited winners not yet replaced, and replacements done so far
+    const pendingVoids = {};
+    const replacements = {};
+    const tierOrder = [];
+    const tiers = {};
+    // Returns a note when the recorded random base differs from the recomputed one, otherwise null
+    const baseMismatch = (computed, recorded) => (toHex(computed) === recorded
+      ? null : `随机基数不一致：重算 ${toHex(computed)}，区块记录 ${recorded}`);
+    // Contract-algorithm sessions shuffle the full sorted list once; tiers and replacements take
+    // the following positions in turn
+    const contractPool = () => sortedParticipants(bundle.participants || []);
+    const contractBase = () => contractRandBase(committedRoot, seed, (bundle.participants || []).length);
+    const pick = (remaining, k, base, selection) => (selection === SELECTION_CONTRACT
+      ? contractWinners(contractPool(), drawn.length, k, base)
+      : selectWinners(remaining, k, base, selection, weights));
+    // Under the list commitment the draw is among sorted participants not excluded by the
+    // eligibility rules
+    const eligiblePool = () => sortedParticipants(bundle.participants || []).filter(u => !excludedIds.has(u));
+    const replayTier = (tier, recorded, remaining, base, baseError, selection) => {
+      let expected = null;
+      let error = baseError;
+      try {
+        expected = pick(remaining, recorded.length, base, selection);
+      } catch (e) {
+        error = error || e.message;
+      }
+      // With tiers configured, the number of winners must equal the configured count (or all
+      // remaining if fewer)
+      const prize = prizes && prizes.find(p => p.id === tier);
+      const countOk = !prize || recorded.length === Math.min(prize.count, remaining.length);
+      let detail = error;
+      if (!error) {
+        detail = countOk
+          ? `按 ${selection || SELECTION_V1} 从 ${remaining.length} 人中重算出 ${expected.join(', ')}`
+          : `中奖人数 ${recorded.length} 与奖项设置 ${prize.count} 不符`;
+      }
+      record(`抽奖 ${tier}`, !error && countOk && sameList(expected, recorded), detail);
+      drawn.push(...recorded);
+      tierOrder.push(tier);
+      tiers[tier] = recorded.slice();
+    };
+    const replayVoid = (b) => {
+      const { tier, user, reason } = b.data;
+      const current = tiers[tier] || [];
+      const ok = current.includes(user);
+      if (ok) {
+        tiers[tier] = current.filter(u => u !== user);
+        (pendingVoids[tier] = pendingVoids[tier] || []).push(user);
+        forfeited.push(user);
+      }
+      record(`作废 ${tier}`, ok, ok ? `区块 #${b.index} 作废 ${user}：${reason}` : `${user} 不是该奖项当前的中奖者`);
+    };
+    const replayReplacement = (b) => {
+      const { tier, index, replaces, winner } = b.data;
+      const step = `补抽 ${tier} #${index + 1}`;
+      const pending = pendingVoids[tier] || [];
+      const expectedIndex = replacements[tier] || 0;
+      if (!committedRoot) {
+        record(step, false, '补抽需要报名截止时的 Merkle 根');
+        return;
+      }
+      if (index !== expectedIndex || !pending.includes(replaces)) {
+        record(step, false, index !== expectedIndex
+          ? `补抽序号应为 ${expectedIndex}，区块记录 ${index}`
+          : `${replaces} 没有待补抽的作废记录`);
+        return;
+      }
+      const remaining = eligiblePool().filter(u => !drawn.includes(u));
+      let expected = null;
+      let error = null;
+      try {
+        const base = b.data.selection === SELECTION_CONTRACT
+          ? contractBase()
+          : replacementRandBase(seed || '', committedRoot, tier, index);
+        error = baseMismatch(base, b.data.randBase);
+        expected = pick(remaining, 1, base, b.data.selection)[0];
+      } catch (e) {
+        error = error || e.message;
+      }
+      record(step, !error && expected === winner,
+        error || `从 ${remaining.length} 人中重算出 ${expected}${expected === winner ? '' : `，区块记录 ${winner}`}，替补 ${replaces}`);
+      pendingVoids[tier] = pending.filter(u => u !== replaces);
+      replacements[tier] = expectedIndex + 1;
+      drawn.push(winner);
+      tiers[tier] = (tiers[tier] || []).concat(winner);
+    };
+    eventBlocks.forEach(b => {
+      if (b.data.type === 'WINNER_VOIDED') return replayVoid(b);
+      if (b.data.type === 'REPLACEMENT_DRAWN') return replayReplacement(b);
+      const committed = b.data.randomness === 'participant-root';
+      if (committed && !committedRoot) {
+        record(`抽奖 ${b.data.tier || ''}`.trim(), false, '区块声明使用名单承诺，但链上没有报名截止时的 Merkle 根');
+        return;
+      }
+      const pool = committed ? eligiblePool() : poolAt(b);
+      const baseFor = tier => commitmentRandBase(seed || '', committedRoot, tier);
+      if (b.data.type === 'TIER_DRAWN') {
+        const { tier } = b.data;
+        const remaining = pool.filter(u => !drawn.includes(u));
+        let base;
+        try {
+          base = b.data.selection === SELECTION_CONTRACT ? contractBase()
+            : committed ? baseFor(tier) : tierRandBase(b.previousHash, seed || '', tier);
+        } catch (e) {
+          record(`抽奖 ${tier}`, false, e.message);
+          return;
+        }
+        replayTier(tier, b.data.winners, remaining, base, baseMismatch(base, b.data.randBase), b.data.selection);
+      } else {
+        const base = committed ? null : drawRandBase(b.previousHash, seed || '', pool.length);
+        let remaining = pool.slice();
+        Object.keys(b.data.tiers).forEach(tier => {
+          const recorded = b.data.tiers[tier];
+          if (committed) {
+            replayTier(tier, recorded, tier === 'default' ? pool : remaining, baseFor(tier), null, b.data.selection);
+          } else {
+            const tierBase = tier === 'default' ? base : drawTierRandBase(base, tier);
+            replayTier(tier, recorded, tier === 'default' ? pool : remaining, tierBase, baseMismatch(base, b.data.randBase), b.data.selection);
+          }
+          remaining = remaining.filter(u => !recorded.includes(u));
+        });
+      }
+    });
+    if (drawBlocks.length === 0) {
+      record('抽奖重放', false, '链上没有该场次的抽奖区块');
+    }
+
+    // 5. Tier order and final results
+    if (Array.isArray(bundle.tierOrder)) {
+      // Chain order must match the bundle and be a prefix of the draw order in the tier settings
+      const legacyDraw = drawBlocks.some(b => b.data.type === 'DRAWN');
+      const configured = prizes && !legacyDraw ? prizes.map(p => p.id).slice(0, tierOrder.length) : tierOrder;
+      record('奖项顺序', sameList(tierOrder, bundle.tierOrder) && sameList(tierOrder, configured),
+        `链上顺序 ${tierOrder.join(' → ')}`);
+    }
+    const winners = bundle.winners || {};
+    const tiersOk = Object.keys(tiers).every(t => sameList(tiers[t], (winners.tiers || {})[t]));
+    const forfeitedOk = sameList(forfeited, (winners.forfeited || []).map(f => f.user));
+    record('中奖结果', tiersOk && forfeitedOk && sameList(drawn, winners.all),
+      `共 ${drawn.length - forfeited.length} 名中奖者${forfeited.length ? `，${forfeited.length} 人作废` : ''}`);
+
+
+    // 6. Ethereum anchoring: the commitment recorded on chain and the results digest of the last
+    // anchoring must match the bundle. Transaction hashes can be looked up on the matching Ethereum
+    // node or block explorer
+    const anchors = sessionBlocks.filter(b => b.data.type === 'ANCHORED');
+    const commitmentAnchor = anchors.find(b => b.data.kind === 'commitment');
+    if (commitmentAnchor) {
+      record('锚定种子承诺', commitmentAnchor.data.seedHash === session.seedHash,
+        `合约 ${commitmentAnchor.data.contract} 交易 ${commitmentAnchor.data.txHash}`);
+    }
+    const revealAnchor = anchors.find(b => b.data.kind === 'reveal');
+    if (revealAnchor) {
+      record('锚定种子揭示', revealAnchor.data.seed === seed,
+        `合约 revealSeed 已校验 keccak256(seed)，交易 ${revealAnchor.data.txHash}`);
+    }
+    const resultAnchors = anchors.filter(b => b.data.kind === 'results');
+    if (resultAnchors.length > 0) {
+      const last = resultAnchors[resultAnchors.length - 1].data;
+      const computed = toHex(resultsHash(session.id, bundle.winners || {}));
+      record('锚定抽奖结果', last.resultsHash === computed,
+        `结果摘要 ${computed}，交易 ${last.txHash}`);
+    }
+    if (sessionBlocks.some(b => b.data.type === 'ANCHOR_FAILED')) {
+      const failed = sessionBlocks.filter(b => b.data.type === 'ANCHOR_FAILED').map(b => b.data.kind);
+      const recovered = failed.every(kind => anchors.some(b => b.data.kind === kind));
+      record('锚定状态', recovered, recovered ? '曾失败的锚定已重试成功' : `未完成的锚定：${failed.join('、')}`);
+    }
+
+    // Informational entries have ok null and do not affect the overall result
+    if (contractMode) {
+      steps.push({
+        step: '合约复现',
+        ok: null,
+        detail: '合约的 draw() 不能复现本场次的中奖者：随机基数用名单 Merkle 根代替上一区块哈希，洗牌按排序后的名单而非 enter() 顺序；以上结果按相同算法在链下重放'
+      });
+    }
+
+    return { ok: steps.every(s => s.ok !== false), steps };
+  }
+
+  return {
+    utf8,
+    concatBytes,
+    toHex,
+    fromHex,
+    sha256,
+    sha256Hex,
+    keccak256,
+    computeBlockHash,
+    hashFields,
+    sortedParticipants,
+    merkleRoot,
+    merkleProof,
+    verifyMerkleProof,
+    commitmentRandBase,
+    replacementRandBase,
+    resultsHash,
+    commitmentsHash,
+    combineSeeds,
+    tierRandBase,
+    drawRandBase,
+    drawTierRandBase,
+    uint256,
+    bytesToBigInt,
+    SELECTION_V1,
+    SELECTION_V2,
+    SELECTION_CONTRACT,
+    CONTRACT_DRAW,
+    SELECTION_WEIGHTED,
+    MAX_WEIGHT,
+    selectWinners,
+    applyRules,
+    isBytes32,
+    contractSeedHash,
+    contractRandBase,
+    contractWinners,
+    seedCommitment,
+    SEED_SOURCE_NAMES,
+    canonicalJSON,
+    verifyBundle
+  };
+});
@@ -0,0 +1,130 @@
+// proof-page.js
+// 参与者查询页面：取得某位参与者的 Merkle 包含证明和中奖记录，在浏览器本地重算 Merkle 根和区块哈希
+
+const RESULT_NAMES = { won: '中奖', replacement: '补抽中奖', voided: '中奖作废' };
+
+// 区块哈希正确且区块记录了该参与者的这项结果
+function checkOutcomeBlock(outcome, user) {
+  const { block } = outcome;
+  if (LotteryCore.computeBlockHash(block) !== block.hash) return false;
+  const data = block.data;
+  if (outcome.result === 'won') {
+    const winners = data.type === 'DRAWN' ? data.tiers[outcome.tier] : data.winners;
+    return (data.type === 'TIER_DRAWN' || data.type === 'DRAWN') && Array.isArray(winners) && winners.includes(user);
+  }
+  if (outcome.result === 'replacement') return data.type === 'REPLACEMENT_DRAWN' && data.winner === user;
+  return data.type === 'WINNER_VOIDED' && data.user === user;
+}
+
+// 逐项校验服务器返回的证明，返回与验证页面相同格式的步骤
+function checkProof(data) {
+  const steps = [];
+  const { user, proof, root, closeBlock } = data;
+  const inList = LotteryCore.verifyMerkleProof(user, proof, root);
+  steps.push({
+    step: '名单包含证明',
+    ok: inList,
+    detail: inList
+      ? `按排序后的名单为第 ${proof.index + 1} 位（共 ${proof.count} 人），由 ${proof.siblings.length} 个兄弟节点重算得到 Merkle 根 ${root}`
+      : `由证明重算的 Merkle 根与 ${root} 不符`
+  });
+  const closeOk = !!closeBlock && LotteryCore.computeBlockHash(closeBlock) === closeBlock.hash &&
+    closeBlock.data.sessionId === data.session.id && closeBlock.data.participantRoot === root;
+  steps.push({
+    step: '名单承诺',
+    ok: closeOk,
+    detail: closeBlock
+      ? `报名截止区块 #${closeBlock.index}，哈希 ${closeBlock.hash}${closeOk ? '' : '，区块哈希或记录的 Merkle 根不符'}`
+      : '缺少报名截止区块'
+  });
+  data.outcomes.forEach(outcome => {
+    const ok = checkOutcomeBlock(outcome, user);
+    steps.push({
+      step: `${RESULT_NAMES[outcome.result]}：${outcome.name}`,
+      ok,
+      detail: `区块 #${outcome.block.index}，哈希 ${outcome.block.hash}${ok ? '' : '，区块哈希或内容不符'}`
+    });
+  });
+  return steps;
+}
+
+// 用一句话说明查询结果
+function summarize(data) {
+  const { user, session, outcomes, excluded } = data;
+  const parts = [`${user} 在场次“${session.name}”的抽奖名单中。`];
+  if (excluded.length > 0) {
+    const reasons = excluded.map(x => (x.rule === 'list' ? `排除名单“${x.name}”` : `场次 ${x.sessionId} 的中奖者`));
+    parts.push(`按资格规则（${reasons.join('、')}）不参加本场次抽奖。`);
+    return parts.join('');
+  }
+  const voided = outcomes.filter(o => o.result === 'voided');
+  const wins = outcomes.filter(o => o.result !== 'voided' && !voided.some(v => v.tier === o.tier && v.block.index > o.block.index));
+  wins.forEach(o => parts.push(`${o.result === 'replacement' ? '补抽' : ''}中奖：${o.name}${o.prize ? `（${o.prize}）` : ''}，抽奖区块 #${o.block.index}。`));
+  voided.forEach(o => parts.push(`${o.name}的中奖已作废（${o.reason}）。`));
+  if (outcomes.length === 0) parts.push(session.status === 'completed' ? '未中奖。' : '抽奖尚未完成，目前未中奖。');
+  return parts.join('');
+}
+
+function renderSteps(steps) {
+  const tbody = document.querySelector('#proof-table tbody');
+  tbody.innerHTML = '';
+  steps.forEach(({ step, ok, detail }) => {
+    const tr = document.createElement('tr');
+    [step, ok ? '通过' : '失败', detail].forEach((text, idx) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (idx === 1) td.className = ok ? 'pass' : 'fail';
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+}
+
+async function lookup() {
+  const sessionId = document.getElementById('proof-session').value;
+  const user = document.getElementById('proof-user').value.trim();
+  if (!sessionId || !user) {
+    alert('请选择场次并输入参与者标识');
+    return;
+  }
+  const res = await fetch(`/api/proof?session=${encodeURIComponent(sessionId)}&user=${encodeURIComponent(user)}`);
+  const data = await res.json();
+  const title = document.getElementById('proof-title');
+  const summary = document.getElementById('proof-summary');
+  document.getElementById('proof-result').classList.remove('hidden');
+  if (!res.ok) {
+    title.textContent = res.status === 404 ? '名单中没有该参与者' : '暂时无法查询';
+    title.className = 'fail';
+    summary.textContent = res.status === 404 ? `场次名单中没有 ${user}，请确认标识是否正确。` : data.error;
+    renderSteps([]);
+    return;
+  }
+  const steps = checkProof(data);
+  const ok = steps.every(s => s.ok);
+  title.textContent = ok ? '证明有效' : '证明无效';
+  title.className = ok ? 'pass' : 'fail';
+  summary.textContent = ok ? summarize(data) : '服务器返回的证明未能通过校验，请联系主办方。';
+  renderSteps(steps);
+}
+
+async function init() {
+  const params = new URLSearchParams(location.search);
+  const select = document.getElementById('proof-session');
+  const { sessions } = await (await fetch('/api/sessions')).json();
+  // 只有报名已截止、记录了名单承诺的场次可以查询
+  Object.values(sessions).filter(s => s.participantRoot).reverse().forEach(s => {
+    const opt = document.createElement('option');
+    opt.value = s.id;
+    opt.textContent = `${s.name}（${s.id}）`;
+    select.appendChild(opt);
+  });
+  if (params.get('session')) select.value = params.get('session');
+  if (params.get('user')) document.getElementById('proof-user').value = params.get('user');
+  document.getElementById('proof-btn').addEventListener('click', lookup);
+  document.getElementById('proof-user').addEventListener('keydown', e => {
+    if (e.key === 'Enter') lookup();
+  });
+  if (params.get('session') && params.get('user')) await lookup();
+}
+
+document.addEventListener('DOMContentLoaded', init);
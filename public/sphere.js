@@ -27,43 +27,76 @@ async function sha256(message) {
 
 // 全局变量保存当前场次及参与者
 let currentSessionId = null;
+// 参与者记录 { id, name?, department?, employeeNo?, fields? }，未登录时服务端只返回 id 和姓名
 let participants = [];
-// winners 数组保存所有中奖者，一旦抽奖完成将填充
+// 参与者标识到记录的索引，用于把中奖者标识显示为姓名
+let participantsById = new Map();
+// winners 数组保存所有中奖者，一旦抽奖完成将填充（包括已作废的中奖者）
 let winners = [];
+// 已作废的中奖记录 { tier, user, reason, replacement }
+let forfeited = [];
+// 所有场次，键为场次 ID
+let sessionsById = {};
+// 当前登录的操作员 { username, role }，未登录时为 null
+let currentOperator = null;
+const ROLE_NAMES = { admin: '管理员', registrar: '报名员', committer: '承诺人' };
+// 以太坊锚定状态的中文名称，见服务端 anchor.js
+const ANCHOR_STATUS_NAMES = { pending: '进行中', anchored: '已锚定', failed: '失败' };
+// 场次状态的中文名称，与服务端 lifecycle.js 中的状态对应
+const STATUS_NAMES = {
+  draft: '草稿',
+  registration_open: '报名中',
+  registration_closed: '报名已截止',
+  seed_revealed: '种子已揭示',
+  drawing: '抽奖中',
+  completed: '已完成',
+  cancelled: '已取消'
+};
 
-// 抽奖轮次顺序：按三等奖→二等奖→一等奖→特等奖执行
-// 如果需要自定义顺序，请修改此数组。此顺序将在 handleStartDraw 中依次抽取
-const drawSequence = ['third', 'second', 'first', 'special'];
+// 创建场次时奖项编辑器的默认内容，与服务端未指定奖项时的默认设置一致
+const DEFAULT_PRIZES = [
+  { id: 'third', name: '三等奖', prize: '咖啡厅优惠券', count: 20, order: 1 },
+  { id: 'second', name: '二等奖', prize: '文化衫', count: 5, order: 2 },
+  { id: 'first', name: '一等奖', prize: '阿伯丁小熊', count: 5, order: 3 },
+  { id: 'special', name: '特等奖', prize: '索尼蓝牙耳机', count: 1, order: 4 }
+];
+// 当前场次的奖项设置，已按抽奖顺序排列；侧边栏、按钮文本和浮层均由它驱动
+let prizes = DEFAULT_PRIZES;
 // 当前抽奖轮次索引，-1 表示尚未揭示种子
 let drawStage = -1;
 
 const sphere = document.getElementById('sphere');
-// 奖项档次及对应中奖人数，可根据实际奖品修改
-const prizeCountMap = {
-  special: 1,
-  first: 5,
-  second: 5,
-  third: 20
-};
+// 大屏展示页（display.html）只读：不绑定操作按钮，场次跟随主持人投屏的场次，
+// 或由地址中的 ?session=ID 固定
+const DISPLAY_MODE = document.body.classList.contains('display');
+const pinnedSessionId = DISPLAY_MODE ? new URLSearchParams(location.search).get('session') : null;
 
 /**
  * 在屏幕中央显示本轮的中奖者。生成一个浮层，包含每位中奖者的卡片，
  * 浮层会一直保留，直到下一次抽奖时才会隐藏。这避免了自动消失带来的突兀
  * 体验，符合用户希望每轮结果保留直至下一次点击的要求。
  * @param {string} tier 奖项档次，例如 'third'
- * @param {Array<string>} names 中奖者列表
+ * @param {Array<string>} names 中奖者标识列表
+ * @param {string} [subtitle] 标题后附加的说明，例如补抽时的替补信息
  */
-function showWinnerOverlay(tier, names) {
+function showWinnerOverlay(tier, names, subtitle) {
   const overlay = document.getElementById('winner-overlay');
   if (!overlay) return;
   // 清空旧内容
   overlay.innerHTML = '';
+  // 标题显示奖项名称及奖品
+  const prize = getPrize(tier);
+  const title = document.createElement('div');
+  title.className = 'winner-overlay-title';
+  title.textContent = prize && prize.prize ? `${prize.name} · ${prize.prize}` : getTierName(tier);
+  if (subtitle) title.textContent += ` · ${subtitle}`;
+  overlay.appendChild(title);
   // 为每个获奖者创建卡片
-  names.forEach((name, idx) => {
+  names.forEach((id, idx) => {
     const card = document.createElement('div');
     card.className = 'winner-card';
-    // 卡片内容可以包含奖项级别名和编号，如需扩展可在此修改
-    card.textContent = name;
+    // 卡片显示姓名，未填写姓名时显示参与者标识
+    card.textContent = displayName(id);
     // 为动画添加延迟，错开出现
     card.style.animationDelay = `${idx * 0.1}s`;
     overlay.appendChild(card);
@@ -72,6 +105,24 @@ function showWinnerOverlay(tier, names) {
   overlay.classList.remove('hidden');
 }
 
+// 浮层当前展示的结果，避免本页操作和实时事件重复展示同一结果
+let shownResultKey = null;
+
+/**
+ * 隐藏上一轮浮层并展示一次抽奖或补抽结果，浮层将在下一轮开始时被隐藏。
+ * 同一结果已在展示时不再重复播放动画。
+ * @param {string} tier 奖项档次
+ * @param {Array<string>} ids 中奖者标识列表
+ * @param {string} [subtitle] 标题附加说明
+ */
+function showDrawResult(tier, ids, subtitle) {
+  const key = JSON.stringify([tier, ids, subtitle || '']);
+  if (key === shownResultKey) return;
+  hideWinnerOverlay();
+  showWinnerOverlay(tier, ids, subtitle);
+  shownResultKey = key;
+}
+
 /**
  * 隐藏中奖浮层并清空内容。该函数在新一轮抽奖开始前调用，以清除
  * 上一轮的展示。
@@ -81,6 +132,19 @@ function hideWinnerOverlay() {
   if (!overlay) return;
   overlay.classList.add('hidden');
   overlay.innerHTML = '';
+  shownResultKey = null;
+}
+
+// 更新参与者列表及其索引
+function setParticipants(list) {
+  participants = list || [];
+  participantsById = new Map(participants.map(p => [p.id, p]));
+}
+
+// 参与者的显示名称：有姓名时显示姓名，否则显示标识
+function displayName(id) {
+  const record = participantsById.get(id);
+  return (record && record.name) || id;
 }
 
 // 创建球体显示
@@ -93,24 +157,30 @@ function buildSphere() {
   participants.forEach((user, idx) => {
     const card = document.createElement('div');
     card.className = 'card';
-    card.textContent = user;
+    card.dataset.id = user.id;
+    card.textContent = user.name || user.id;
+    if (user.name) card.title = user.id;
     const p = points[idx];
     card.style.transform = `translate3d(${p.x}px, ${p.y}px, ${p.z}px)`;
-    if (winners.includes(user)) {
+    if (isForfeited(user.id)) {
+      card.classList.add('forfeited');
+    } else if (winners.includes(user.id)) {
       card.classList.add('winner');
     }
     sphere.appendChild(card);
   });
 }
 
+function isForfeited(id) {
+  return forfeited.some(f => f.user === id);
+}
+
 function highlightWinners() {
   const cards = sphere.querySelectorAll('.card');
   cards.forEach(card => {
-    if (winners.includes(card.textContent)) {
-      card.classList.add('winner');
-    } else {
-      card.classList.remove('winner');
-    }
+    const id = card.dataset.id;
+    card.classList.toggle('forfeited', isForfeited(id));
+    card.classList.toggle('winner', winners.includes(id) && !isForfeited(id));
   });
 }
 
@@ -131,47 +201,268 @@ async function fetchWinners(sessionId) {
   return list;
 }
 
+// 查询当前登录状态并切换登录表单/登录信息的显示
+async function refreshOperator() {
+  const res = await fetch('/api/me');
+  const { operator } = await res.json();
+  currentOperator = operator;
+  const form = document.getElementById('admin-login-form');
+  const status = document.getElementById('admin-login-status');
+  if (!form || !status) return;
+  form.classList.toggle('hidden', !!operator);
+  status.classList.toggle('hidden', !operator);
+  if (operator) {
+    document.getElementById('admin-operator').textContent =
+      `当前登录：${operator.username}（${ROLE_NAMES[operator.role] || operator.role}）`;
+  }
+}
+
+async function handleLogin() {
+  const username = document.getElementById('admin-username').value.trim();
+  const passwordInput = document.getElementById('admin-password');
+  if (!username || !passwordInput.value) {
+    alert('请输入用户名和密码');
+    return;
+  }
+  const res = await fetch('/api/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password: passwordInput.value })
+  });
+  const data = await res.json();
+  passwordInput.value = '';
+  if (data.error) {
+    alert(data.error);
+    return;
+  }
+  await refreshOperator();
+  // 重新加载以显示管理员才有的作废、补抽操作
+  await loadParticipants();
+}
+
+async function handleLogout() {
+  await fetch('/api/logout', { method: 'POST' });
+  await refreshOperator();
+  await loadParticipants();
+}
+
 // 管理员面板初始化
 async function initAdmin() {
   const sessionSelect = document.getElementById('admin-session-select');
   const sessions = await fetchSessions();
+  sessionsById = sessions;
+  // 大屏页没有场次选择框，只需刷新场次信息
+  if (!sessionSelect) return;
   sessionSelect.innerHTML = '';
   Object.values(sessions).forEach(({ id, name }) => {
     const opt = document.createElement('option');
     opt.value = id;
     opt.textContent = `${name} (ID: ${id})`;
+    const status = sessions[id].status;
+    if (status) opt.textContent += ` [${STATUS_NAMES[status] || status}]`;
     sessionSelect.appendChild(opt);
   });
-  // 设置当前会话为第一个
-  if (Object.keys(sessions).length > 0) {
+  // 保留刚创建或已选择的场次，否则默认选中第一个
+  if (currentSessionId && sessions[currentSessionId]) {
+    sessionSelect.value = currentSessionId;
+  } else if (Object.keys(sessions).length > 0) {
     currentSessionId = Object.keys(sessions)[0];
   } else {
     currentSessionId = null;
   }
+  updateStatusDisplay();
+}
+
+// 显示所选场次的状态和报名时间窗口
+function updateStatusDisplay() {
+  const elem = document.getElementById('admin-session-status');
+  if (!elem) return;
+  const session = sessionsById[currentSessionId];
+  if (!session) {
+    elem.textContent = '尚未选择场次';
+    return;
+  }
+  let text = `当前状态：${STATUS_NAMES[session.status] || session.status}`;
+  if (session.registrationOpensAt) text += `；报名开始 ${new Date(session.registrationOpensAt).toLocaleString()}`;
+  if (session.registrationClosesAt) text += `；报名截止 ${new Date(session.registrationClosesAt).toLocaleString()}`;
+  if (session.selection === 'lottery-sol-v1') text += '；合约算法模式（仅在链下沿用合约 draw() 的算法，合约不能复现结果）';
+  if (session.seedSource) text += `；${seedSourceText(session.seedSource)}`;
+  if (session.committers) text += `；${committerProgress(session)}`;
+  if (session.rules) text += `；${rulesText(session)}`;
+  if (session.participantRoot) text += `；名单承诺（${session.participantCount} 人）${session.participantRoot}`;
+  const anchor = session.anchor || {};
+  [['commitment', '种子承诺'], ['results', '抽奖结果']].forEach(([kind, label]) => {
+    const entry = anchor[kind];
+    if (!entry) return;
+    text += `；${label}链上锚定：${ANCHOR_STATUS_NAMES[entry.status] || entry.status}`;
+    if (entry.txHash) text += `（交易 ${entry.txHash}）`;
+    if (entry.error) text += `（${entry.error}）`;
+  });
+  elem.textContent = text;
+  fillRulesForm(session);
+  const retryBtn = document.getElementById('admin-retry-anchor');
+  if (retryBtn) retryBtn.classList.toggle('hidden', !Object.values(anchor).some(e => e && e.status === 'failed'));
+}
+
+// 多方承诺场次各承诺人的进度，以及法定人数和揭示期限
+function committerProgress(session) {
+  const states = session.committers.map(c => `${c.username}（${c.seed ? '已揭示' : c.seedHash ? '已承诺' : '未承诺'}）`);
+  let text = `多方承诺人：${states.join('、')}，法定人数 ${session.quorum}`;
+  if (session.revealDeadline) text += `，揭示期限 ${new Date(session.revealDeadline).toLocaleString()}`;
+  // 报名时间已到但承诺不足法定人数，暂不截止
+  if (session.closeDeferred) text += `，承诺不足法定人数（${session.closeDeferred.committed}/${session.closeDeferred.quorum}），报名时间已过但暂不截止`;
+  return text;
+}
+
+// 资格规则摘要；报名截止后附上被排除的人数
+function rulesText(session) {
+  const { rules } = session;
+  const parts = [rules.weighted ? '按票数加权' : '等权抽取'];
+  if (rules.exclusions.length > 0) parts.push(`排除名单 ${rules.exclusions.map(l => l.name).join('、')}`);
+  if (rules.excludeWinnersOf.length > 0) parts.push(`排除场次 ${rules.excludeWinnersOf.join('、')} 的中奖者`);
+  let text = `资格规则：${parts.join('，')}`;
+  if (session.excluded) text += `，已排除 ${new Set(session.excluded.map(e => e.id)).size} 人`;
+  return text;
+}
+
+// 切换场次时把该场次的规则填入“资格规则”表单；同一场次刷新时保留正在编辑的内容
+let rulesFormSessionId = null;
+function fillRulesForm(session) {
+  const weighted = document.getElementById('admin-rules-weighted');
+  if (!weighted || rulesFormSessionId === session.id) return;
+  rulesFormSessionId = session.id;
+  const rules = session.rules || { weighted: false, exclusions: [], excludeWinnersOf: [] };
+  weighted.checked = rules.weighted;
+  document.getElementById('admin-rules-exclusions').value = rules.exclusions.map(l => `${l.name}：${l.ids.join(', ')}`).join('\n');
+  document.getElementById('admin-rules-winners-of').value = rules.excludeWinnersOf.join(', ');
+}
+
+async function handleSaveRules() {
+  if (!currentSessionId) {
+    alert('请先选择场次');
+    return;
+  }
+  const exclusions = [];
+  const lines = document.getElementById('admin-rules-exclusions').value.split('\n').filter(l => l.trim());
+  for (const line of lines) {
+    const match = line.match(/^([^:：]+)[:：](.*)$/);
+    if (!match) {
+      alert(`排除名单格式应为“名单名称：标识1, 标识2”：${line}`);
+      return;
+    }
+    exclusions.push({ name: match[1].trim(), ids: match[2].split(/[,，\s]+/).filter(Boolean) });
+  }
+  const rules = {
+    weighted: document.getElementById('admin-rules-weighted').checked,
+    exclusions,
+    excludeWinnersOf: document.getElementById('admin-rules-winners-of').value.split(/[,，\s]+/).filter(Boolean)
+  };
+  const res = await fetch('/api/sessionRules', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sessionId: currentSessionId, rules })
+  });
+  const data = await res.json();
+  if (data.error) {
+    alert(data.error);
+    return;
+  }
+  alert('资格规则已保存');
+  await initAdmin();
+}
+
+// 锚定失败后由管理员重试；结果通过 ANCHORED / ANCHOR_FAILED 事件更新
+async function handleRetryAnchor() {
+  if (!currentSessionId) return;
+  const res = await fetch('/api/anchor', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sessionId: currentSessionId })
+  });
+  const data = await res.json();
+  if (!res.ok) {
+    alert(data.error || '重试失败');
+    return;
+  }
+  await initAdmin();
+}
+
+// 手动切换场次状态：开放报名、截止报名或取消场次
+async function handleTransition(endpoint, confirmText) {
+  const sessionId = document.getElementById('admin-session-select').value;
+  if (!sessionId) {
+    alert('请先选择场次');
+    return;
+  }
+  if (confirmText && !confirm(confirmText)) return;
+  const body = { sessionId };
+  if (endpoint === '/api/cancelSession') {
+    const reason = prompt('请输入取消原因');
+    if (reason === null) return;
+    body.reason = reason;
+  }
+  const res = await fetch(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await res.json();
+  if (data.error) {
+    alert(data.error);
+    return;
+  }
+  currentSessionId = sessionId;
+  await initAdmin();
+  await loadParticipants();
 }
 
 async function loadParticipants() {
   if (!currentSessionId) return;
-  participants = await fetchParticipants(currentSessionId);
+  const session = sessionsById[currentSessionId];
+  prizes = (session && session.prizes) || DEFAULT_PRIZES;
+  const title = document.getElementById('display-session-name');
+  if (title && session) title.textContent = session.name;
+  renderJoinPanel(session);
+  renderPrizeList();
+  setParticipants(await fetchParticipants(currentSessionId));
   const wobj = await fetchWinners(currentSessionId);
   winners = (wobj && wobj.all) || (Array.isArray(wobj) ? wobj : []);
+  forfeited = (wobj && wobj.forfeited) || [];
   buildSphere();
   updatePrizeCounts((wobj && wobj.tiers) || {});
+  updateDrawStage(wobj);
+  updateDrawButton();
+}
 
-  // 设置抽奖阶段：根据已有中奖档次数决定当前轮次
+// 大屏：开放自助报名的场次在报名期间显示 /join 页面的二维码
+function renderJoinPanel(session) {
+  const panel = document.getElementById('join-panel');
+  if (!panel) return;
+  const show = !!(session && session.selfService && session.status === 'registration_open');
+  panel.classList.toggle('hidden', !show);
+  const qr = document.getElementById('join-qr');
+  const src = show ? `/api/joinQR?session=${encodeURIComponent(session.id)}` : '';
+  if (show && qr.getAttribute('src') !== src) qr.setAttribute('src', src);
+}
+
+// 设置抽奖阶段：根据已有中奖档次数决定当前轮次；种子已揭示的场次无需再次输入种子
+function updateDrawStage(wobj) {
+  const session = sessionsById[currentSessionId];
   drawStage = -1;
   if (wobj && wobj.tiers) {
     let idx = 0;
-    for (const tier of drawSequence) {
-      if (wobj.tiers[tier] && wobj.tiers[tier].length > 0) {
+    for (const { id: tier } of prizes) {
+      // 中奖者全部作废的奖项仍算已抽取，由补抽补足
+      if ((wobj.tiers[tier] && wobj.tiers[tier].length > 0) || forfeited.some(f => f.tier === tier)) {
         idx++;
       } else {
         break;
       }
     }
-    if (idx > 0) drawStage = idx;
+    const revealed = session && ['seed_revealed', 'drawing', 'completed'].includes(session.status);
+    if (idx > 0 || revealed) drawStage = idx;
+    if (session && session.status === 'completed') drawStage = prizes.length;
   }
-  updateDrawButton();
 }
 
 // 管理员操作事件
@@ -183,55 +474,337 @@ async function handleCreateSession() {
     alert('请填写名称');
     return;
   }
-  // 当种子为空时，可以提示用户使用随机生成按钮获取；对于天玄链生成的种子，可通过按钮填充
-  if (!seed) {
+  // 多方承诺场次的种子由各承诺人分别承诺，不需要填写随机种子
+  const committers = document.getElementById('admin-committers').value.split(/[,，]/).map(u => u.trim()).filter(Boolean);
+  // 托管种子由服务器生成，只需设置信封密码
+  const escrowBox = document.getElementById('admin-escrow');
+  const escrowed = !!(escrowBox && escrowBox.checked);
+  if (escrowed) {
+    if (seed || committers.length > 0) {
+      alert('托管种子的场次不需要填写随机种子或多方承诺人');
+      return;
+    }
+    const password = document.getElementById('admin-escrow-password').value;
+    if (password.length < 8) {
+      alert('信封密码至少 8 位');
+      return;
+    }
+    if (password !== document.getElementById('admin-escrow-password2').value) {
+      alert('两次输入的信封密码不一致');
+      return;
+    }
+  }
+  // 当种子为空时，可以提示用户使用随机生成按钮获取
+  if (!seed && committers.length === 0 && !escrowed) {
     alert('请先生成随机种子');
     return;
   }
-  const seedHash = await sha256(seed);
+  if (seed && committers.length > 0) {
+    alert('多方承诺场次的种子由承诺人各自提交，请清空随机种子');
+    return;
+  }
+  // 合约算法模式：种子须为 32 字节十六进制，承诺值与合约 revealSeed() 一样使用 keccak256
+  const contractAlgorithm = isContractMode();
+  if (contractAlgorithm && committers.length > 0) {
+    alert('合约算法模式不支持多方承诺');
+    return;
+  }
+  if (contractAlgorithm && !LotteryCore.isBytes32(seed)) {
+    alert('合约算法模式的种子须为 64 位十六进制字符（32 字节），可点击“生成随机种子”获取');
+    return;
+  }
+  const prizeList = readPrizeEditor();
+  if (prizeList.length === 0) {
+    alert('请至少设置一个奖项');
+    return;
+  }
+  // 报名时间窗口可选，datetime-local 的值按本地时间解析
+  const opensValue = document.getElementById('admin-reg-opens').value;
+  const closesValue = document.getElementById('admin-reg-closes').value;
+  const registrationOpensAt = opensValue ? new Date(opensValue).getTime() : null;
+  const registrationClosesAt = closesValue ? new Date(closesValue).getTime() : null;
+  const body = { name, prizes: prizeList, registrationOpensAt, registrationClosesAt, contractAlgorithm };
+  if (committers.length > 0) {
+    const quorumValue = document.getElementById('admin-quorum').value;
+    const deadlineValue = document.getElementById('admin-reveal-deadline').value;
+    Object.assign(body, {
+      committers,
+      quorum: quorumValue ? Number(quorumValue) : null,
+      revealDeadline: deadlineValue ? new Date(deadlineValue).getTime() : null
+    });
+  } else if (escrowed) {
+    body.escrowPassword = document.getElementById('admin-escrow-password').value;
+  } else {
+    body.seedHash = contractAlgorithm ? LotteryCore.contractSeedHash(seed) : await sha256(seed);
+    const fetched = fetchedSeed && fetchedSeed.seed === seed;
+    body.seedProvider = fetched ? fetchedSeed.provider : 'manual';
+    body.seedFallback = fetched ? fetchedSeed.fallback : 'none';
+  }
   const res = await fetch('/api/createSession', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ name, seedHash })
+    body: JSON.stringify(body)
   });
   const data = await res.json();
   if (data.error) {
     alert(data.error);
   } else {
     alert(`创建成功，ID: ${data.sessionId}`);
+    if (data.envelope) {
+      document.getElementById('admin-escrow-password').value = '';
+      document.getElementById('admin-escrow-password2').value = '';
+      alert('种子信封已生成，请在打开的页面中打印并妥善保管');
+      window.open(`/api/envelope?id=${encodeURIComponent(data.sessionId)}`, '_blank');
+    }
     currentSessionId = data.sessionId;
     await initAdmin();
+    await loadParticipants();
   }
 }
 
-// 从天玄链获取随机种子并填入管理员种子输入框。如果后端无法连通，将退回本地生成的随机数。
+// 奖项编辑器：每行对应一个奖项，包含编号、名称、奖品、人数和抽奖顺序
+function addPrizeRow(prize) {
+  const editor = document.getElementById('admin-prize-editor');
+  if (!editor) return;
+  const row = document.createElement('div');
+  row.className = 'prize-row';
+  const fields = [
+    ['id', '编号', 'text'],
+    ['name', '名称', 'text'],
+    ['prize', '奖品', 'text'],
+    ['count', '人数', 'number'],
+    ['order', '顺序', 'number']
+  ];
+  fields.forEach(([key, placeholder, type]) => {
+    const input = document.createElement('input');
+    input.type = type;
+    input.placeholder = placeholder;
+    input.dataset.field = key;
+    if (type === 'number') input.min = '1';
+    input.value = prize && prize[key] !== undefined ? prize[key] : '';
+    row.appendChild(input);
+  });
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.textContent = '×';
+  removeBtn.title = '删除该奖项';
+  removeBtn.addEventListener('click', () => row.remove());
+  row.appendChild(removeBtn);
+  editor.appendChild(row);
+}
+
+function initPrizeEditor() {
+  const editor = document.getElementById('admin-prize-editor');
+  if (!editor) return;
+  editor.innerHTML = '';
+  DEFAULT_PRIZES.forEach(addPrizeRow);
+}
+
+// 读取编辑器中的奖项，忽略完全空白的行；数值校验由服务端完成
+function readPrizeEditor() {
+  const rows = document.querySelectorAll('#admin-prize-editor .prize-row');
+  const list = [];
+  rows.forEach(row => {
+    const prize = {};
+    row.querySelectorAll('input').forEach(input => {
+      prize[input.dataset.field] = input.value.trim();
+    });
+    if (!Object.values(prize).some(v => v)) return;
+    prize.count = parseInt(prize.count, 10);
+    prize.order = prize.order === '' ? undefined : Number(prize.order);
+    list.push(prize);
+  });
+  return list;
+}
+
+function isContractMode() {
+  const box = document.getElementById('admin-contract-mode');
+  return !!(box && box.checked);
+}
+
+// 最近一次从服务端获取的种子 { seed, provider, fallback }；创建场次时若种子未被修改，
+// 按此来源创建，否则视为手动输入
+let fetchedSeed = null;
+
+function seedSourceText(source) {
+  const names = LotteryCore.SEED_SOURCE_NAMES;
+  let text = `种子来源：${names[source.source] || source.source}`;
+  if (source.fetchedAt) text += `，获取于 ${new Date(source.fetchedAt).toLocaleString()}`;
+  if (source.fallbackReason) text += `（${names[source.fallbackFrom || source.provider] || source.provider}获取失败：${source.fallbackReason}）`;
+  return text;
+}
+
+function readFileText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+// 从所选来源获取随机种子并填入管理员种子输入框，并显示种子的实际来源
 async function handleGenerateSeed() {
+  const provider = document.getElementById('admin-seed-provider').value;
+  const fallback = document.getElementById('admin-seed-fallback').value;
+  if (provider === 'manual') {
+    alert('手动输入时请直接在“随机种子”中填写');
+    return;
+  }
+  const body = { provider, fallback, bytes32: isContractMode() };
+  if (provider === 'beacon') {
+    const file = document.getElementById('admin-seed-beacon').files[0];
+    if (!file) {
+      alert('请先选择信标文件');
+      return;
+    }
+    body.beacon = await readFileText(file);
+  }
   try {
-    const res = await fetch('/api/tianxuanSeed');
+    const res = await fetch('/api/seed', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
     const data = await res.json();
     if (data.error) {
-      alert(`生成随机种子失败：${data.error}`);
+      alert(data.error);
       return;
     }
-    const seedInput = document.getElementById('admin-seed');
-    if (seedInput && data.seed) {
-      seedInput.value = data.seed;
-      alert('随机种子已生成并填入');
-    } else {
-      alert('未能获取有效的随机种子');
-    }
+    // 合约算法模式下服务端已把种子转换为 32 字节
+    document.getElementById('admin-seed').value = data.seed;
+    fetchedSeed = { seed: data.seed, provider, fallback };
+    document.getElementById('admin-seed-source').textContent = seedSourceText(data);
+    alert(data.fallbackReason ? `所选来源获取失败，已改用${LotteryCore.SEED_SOURCE_NAMES[data.source]}生成种子` : '随机种子已生成并填入');
   } catch (e) {
     alert('生成随机种子出错');
   }
 }
 
+// ====== 多方种子 ======
+// 承诺人在本机生成种子，只把 SHA-256 承诺发送给服务端，种子在报名截止后才揭示
+
+function handleGenerateShare() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  document.getElementById('admin-share-seed').value = Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+  alert('种子已生成，请复制并妥善保存，揭示时需要再次输入');
+}
+
+async function postSeedAction(endpoint, body) {
+  const res = await fetch(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(Object.assign({ sessionId: currentSessionId }, body))
+  });
+  const data = await res.json();
+  if (data.error) {
+    alert(data.error);
+    return null;
+  }
+  await initAdmin();
+  return data;
+}
+
+async function handleCommitSeed() {
+  const seed = document.getElementById('admin-share-seed').value.trim();
+  if (!currentSessionId || !seed) {
+    alert('请先选择场次并生成或输入种子');
+    return;
+  }
+  if (!confirm('提交后无法更改，请确认已保存好这份种子')) return;
+  if (await postSeedAction('/api/commitSeed', { seedHash: await sha256(seed) })) alert('承诺已提交');
+}
+
+async function handleRevealShare() {
+  const seed = document.getElementById('admin-share-seed').value.trim();
+  if (!currentSessionId || !seed) {
+    alert('请先选择场次并输入提交承诺时保存的种子');
+    return;
+  }
+  const data = await postSeedAction('/api/revealSeed', { seed });
+  if (data) alert(data.finalized ? '种子已揭示，全部承诺人已揭示，抽奖种子已确定' : '种子已揭示，等待其他承诺人揭示');
+}
+
+async function handleFinalizeSeed() {
+  if (!currentSessionId) return;
+  if (!confirm('将只使用已揭示的种子确定抽奖种子，未揭示的承诺人将被排除，确认吗？')) return;
+  if (await postSeedAction('/api/finalizeSeed', {})) alert('抽奖种子已确定');
+}
+
+// ====== 种子信封 ======
+
+// 从文件读取信封：文本文件直接读取，二维码图片由浏览器的 BarcodeDetector 识别
+async function readEnvelopeFile(file) {
+  if (!file.type.startsWith('image/')) return (await readFileText(file)).trim();
+  if (!('BarcodeDetector' in window)) throw new Error('此浏览器无法识别二维码图片，请用手机扫码后粘贴信封文字');
+  const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+  const codes = await detector.detect(await createImageBitmap(file));
+  if (codes.length === 0) throw new Error('图片中没有识别到二维码');
+  return codes[0].rawValue.trim();
+}
+
+async function revealEscrowed(password, envelope) {
+  const body = { sessionId: currentSessionId, password };
+  if (envelope) body.envelope = envelope;
+  const res = await fetch('/api/revealSeed', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return res.json();
+}
+
+async function handleEnvelopeReveal() {
+  if (!currentSessionId) {
+    alert('请先选择场次');
+    return;
+  }
+  const password = document.getElementById('admin-envelope-password').value;
+  if (!password) {
+    alert('请输入信封密码');
+    return;
+  }
+  let envelope = document.getElementById('admin-envelope-text').value.trim();
+  const file = document.getElementById('admin-envelope-file').files[0];
+  if (!envelope && file) {
+    try {
+      envelope = await readEnvelopeFile(file);
+    } catch (e) {
+      alert(e.message);
+      return;
+    }
+  }
+  const data = await revealEscrowed(password, envelope);
+  if (data.error) {
+    alert(data.error);
+    return;
+  }
+  document.getElementById('admin-envelope-password').value = '';
+  alert('种子已揭示');
+  await initAdmin();
+  await loadParticipants();
+}
+
+function handleEnvelopeDownload() {
+  if (!currentSessionId) return;
+  window.open(`/api/envelope?id=${encodeURIComponent(currentSessionId)}`, '_blank');
+}
+
 async function handleEnter() {
-  const user = document.getElementById('admin-user').value.trim();
+  const id = document.getElementById('admin-user').value.trim();
   const sessionId = document.getElementById('admin-session-select').value;
-  if (!user) {
+  if (!id) {
     alert('请输入参与者标识');
     return;
   }
+  // 姓名、部门、工号和票数均为可选项
+  const user = {
+    id,
+    name: document.getElementById('admin-user-name').value.trim(),
+    department: document.getElementById('admin-user-department').value.trim(),
+    employeeNo: document.getElementById('admin-user-employee-no').value.trim(),
+    weight: document.getElementById('admin-user-weight').value.trim()
+  };
   const res = await fetch('/api/enter', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
@@ -243,13 +816,36 @@ async function handleEnter() {
   } else {
     alert('报名成功');
     if (sessionId === currentSessionId) {
-      participants = data.participants;
+      setParticipants(data.participants);
       buildSphere();
     }
   }
 }
 
-// 处理批量导入参与者
+const ENCODING_NAMES = { 'utf-8': 'UTF-8', 'utf-8-bom': 'UTF-8（带 BOM）', gbk: 'GBK' };
+
+// 把导入报告整理成提示文字，行号为文件中的行号
+function formatImportReport(report) {
+  const lines = [];
+  if (report.encoding) {
+    const columns = report.header ? `表头：${report.columns.join('、')}` : '无表头';
+    lines.push(`文件编码：${ENCODING_NAMES[report.encoding] || report.encoding}，${columns}，标识取第 ${report.idColumn} 列`);
+  }
+  lines.push(`新增：${report.added.length} 人`);
+  if (report.duplicates.length) {
+    lines.push(`重复（跳过）：${report.duplicates.map(d => `第 ${d.row} 行 ${d.id}`).join('；')}`);
+  }
+  if (report.nearDuplicates.length) {
+    lines.push(`疑似重复（跳过）：${report.nearDuplicates.map(d => `第 ${d.row} 行 ${d.id} ≈ ${d.similarTo}`).join('；')}`);
+  }
+  if (report.blank.length) lines.push(`空行：第 ${report.blank.join('、')} 行`);
+  if (report.invalid.length) {
+    lines.push(`无效行：${report.invalid.map(d => `第 ${d.row} 行（${d.error}）`).join('；')}`);
+  }
+  return lines.join('\n');
+}
+
+// 处理批量导入参与者：文件原样上传由服务端解析，先试运行查看报告，确认后再正式导入
 async function handleImport() {
   const fileInput = document.getElementById('admin-import-file');
   const file = fileInput.files[0];
@@ -262,38 +858,92 @@ async function handleImport() {
     alert('请先选择场次');
     return;
   }
-  const reader = new FileReader();
-  reader.onload = async (e) => {
-    const text = e.target.result;
-    // 解析 CSV：假设每行一个参与者标识，可有表头
-    const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l);
-    // 如果第一行包含非数字/字母字符，认为是表头，跳过
-    let start = 0;
-    if (lines.length && /[^\w\-@\.]/.test(lines[0])) {
-      start = 1;
-    }
-    const users = lines.slice(start);
-    if (users.length === 0) {
-      alert('文件中没有有效的参与者');
-      return;
-    }
-    const res = await fetch('/api/importParticipants', {
+  const query = new URLSearchParams({ sessionId, header: document.getElementById('admin-import-header').value });
+  const idColumn = document.getElementById('admin-import-id-column').value.trim();
+  if (idColumn) query.set('idColumn', idColumn);
+  const upload = async (dryRun) => {
+    const params = new URLSearchParams(query);
+    if (dryRun) params.set('dryRun', '1');
+    const res = await fetch(`/api/importParticipants?${params}`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ sessionId, users })
+      headers: { 'Content-Type': 'text/csv' },
+      body: file
     });
-    const data = await res.json();
-    if (data.error) {
-      alert(data.error);
-    } else {
-      alert(`成功导入 ${data.added.length} 位参与者`);
-      if (sessionId === currentSessionId) {
-        participants = data.participants;
-        buildSphere();
-      }
+    return res.json();
+  };
+  const preview = await upload(true);
+  if (preview.error) {
+    alert(preview.error);
+    return;
+  }
+  const summary = formatImportReport(preview.report);
+  if (preview.report.added.length === 0) {
+    alert(`文件中没有可导入的参与者\n${summary}`);
+    return;
+  }
+  if (!confirm(`${summary}\n\n确认导入吗？`)) return;
+  const data = await upload(false);
+  if (data.error) {
+    alert(data.error);
+  } else {
+    alert(`成功导入 ${data.added.length} 位参与者`);
+    if (sessionId === currentSessionId) {
+      setParticipants(data.participants);
+      buildSphere();
     }
+  }
+}
+
+// 上传自助报名名单：与批量导入一样先试运行查看报告；一次性验证码只在上传时返回一次，下载为表格分发
+async function handleJoinList() {
+  const file = document.getElementById('admin-join-file').files[0];
+  if (!file) {
+    alert('请选择名单文件');
+    return;
+  }
+  const sessionId = document.getElementById('admin-session-select').value;
+  if (!sessionId) {
+    alert('请先选择场次');
+    return;
+  }
+  const mode = document.getElementById('admin-join-mode').value;
+  const query = new URLSearchParams({ sessionId, mode, header: document.getElementById('admin-import-header').value });
+  const idColumn = document.getElementById('admin-import-id-column').value.trim();
+  if (idColumn) query.set('idColumn', idColumn);
+  const upload = async (dryRun) => {
+    const params = new URLSearchParams(query);
+    if (dryRun) params.set('dryRun', '1');
+    const res = await fetch(`/api/joinList?${params}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/csv' },
+      body: file
+    });
+    return res.json();
   };
-  reader.readAsText(file);
+  const preview = await upload(true);
+  if (preview.error) {
+    alert(preview.report ? `${preview.error}\n${formatImportReport(preview.report)}` : preview.error);
+    return;
+  }
+  const replace = sessionsById[sessionId] && sessionsById[sessionId].selfService
+    ? '\n\n将替换现有名单，之前发放的验证码全部失效。' : '';
+  if (!confirm(`${formatImportReport(preview.report)}${replace}\n\n确认上传吗？`)) return;
+  const data = await upload(false);
+  if (data.error) {
+    alert(data.error);
+    return;
+  }
+  if (data.codes.length > 0) {
+    const cell = text => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+    const lines = ['参与者标识,验证码'].concat(data.codes.map(c => `${cell(c.id)},${c.code}`));
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob(['\ufeff' + lines.join('\r\n') + '\r\n'], { type: 'text/csv' }));
+    a.download = `join-codes-${sessionId}.csv`;
+    a.click();
+    URL.revokeObjectURL(a.href);
+  }
+  alert(`自助报名名单已上传，共 ${data.size} 人${data.codes.length > 0 ? '，验证码表格已下载，请妥善保管并分发' : ''}`);
+  await initAdmin();
 }
 
 async function handleReveal() {
@@ -326,16 +976,37 @@ async function handleStartDraw() {
     alert('请先创建或选择一个场次');
     return;
   }
+  if (!currentOperator || currentOperator.role !== 'admin') {
+    alert('请先在管理员面板以管理员身份登录');
+    return;
+  }
+  const session = sessionsById[currentSessionId];
+  if (drawStage < 0 && session && session.status && session.status !== 'registration_closed') {
+    alert(session.status === 'cancelled' ? '该场次已取消' : '请先在管理员面板截止报名，再开始抽奖');
+    return;
+  }
+  // 多方承诺场次的种子由承诺人在管理员面板中揭示
+  if (drawStage < 0 && session && session.committers) {
+    alert(`抽奖种子尚未确定，请等待承诺人揭示种子。${committerProgress(session)}`);
+    return;
+  }
+  // 托管种子的场次输入信封密码，由服务器打开保存的种子信封
+  if (drawStage < 0 && session && session.escrow) {
+    const password = prompt('请输入种子信封密码以解锁抽奖');
+    if (!password) return;
+    const revealData = await revealEscrowed(password);
+    if (revealData.error) {
+      alert(revealData.error);
+      return;
+    }
+    drawStage = 0;
+    updateDrawButton();
+    await drawNextTier();
+    return;
+  }
   // 如果还未揭示种子
   if (drawStage < 0) {
-    // 检查是否已有中奖
-    const prev = await fetchWinners(currentSessionId);
-    if (prev.all && prev.all.length > 0) {
-      if (!confirm('该场次已经抽奖，确认要重新抽奖并覆盖结果吗？')) {
-        return;
-      }
-    }
-    // 提示主持人在现场输入随机种子（由天玄链生成或手动生成）
+    // 提示主持人在现场输入创建场次时保存的随机种子
     const seed = prompt('请输入随机种子以解锁抽奖');
     if (!seed) {
       // 用户取消或输入为空，则不继续
@@ -365,57 +1036,71 @@ async function handleStartDraw() {
 
 // 绘制下一档奖项
 async function drawNextTier() {
-  if (drawStage >= drawSequence.length) {
+  if (drawStage >= prizes.length) {
     alert('所有奖项已抽取完毕');
     return;
   }
-  const tier = drawSequence[drawStage];
-  const count = prizeCountMap[tier] || 1;
+  // 中奖人数由服务端按场次的奖项设置决定
+  const tier = prizes[drawStage].id;
   const res = await fetch('/api/drawTier', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ sessionId: currentSessionId, tier, count })
+    body: JSON.stringify({ sessionId: currentSessionId, tier })
   });
   const data = await res.json();
   if (data.error) {
     alert(data.error);
     return;
   }
-  // 更新 winners 集合
-  winners.push(...data.winners);
-  highlightWinners();
-  // 更新奖项数量显示
-  const currentTiers = (await fetchWinners(currentSessionId)).tiers || {};
-  updatePrizeCounts(currentTiers);
-  // 隐藏上一轮浮层并展示本轮结果。浮层将在下一轮开始时被隐藏。
-  hideWinnerOverlay();
-  showWinnerOverlay(tier, data.winners);
-  drawStage++;
-  updateDrawButton();
+  // 按服务端记录刷新中奖者、计数和抽奖阶段（参与者不足时服务端会提前结束抽奖）。
+  // 实时事件可能先于响应到达，因此这里不在本地累加，以免重复计入
+  await initAdmin();
+  await refreshWinners();
+  showDrawResult(tier, data.winners);
 }
 
-// 根据奖项代码返回中文名称
+function getPrize(tier) {
+  return prizes.find(p => p.id === tier) || null;
+}
+
+// 根据奖项编号返回显示名称
 function getTierName(tier) {
-  switch (tier) {
-    case 'special': return '特等奖';
-    case 'first': return '一等奖';
-    case 'second': return '二等奖';
-    case 'third': return '三等奖';
-    default: return tier;
-  }
+  const prize = getPrize(tier);
+  return prize ? prize.name : tier;
+}
+
+// 按奖项设置生成侧边栏列表：最后抽取的（通常是最高奖项）排在最上方
+function renderPrizeList() {
+  const list = document.getElementById('prize-list');
+  if (!list) return;
+  list.innerHTML = '';
+  prizes.slice().reverse().forEach(prize => {
+    const li = document.createElement('li');
+    li.dataset.level = prize.id;
+    const nameSpan = document.createElement('span');
+    nameSpan.className = 'prize-name';
+    nameSpan.textContent = prize.prize ? `${prize.name} ${prize.prize}` : prize.name;
+    const countSpan = document.createElement('span');
+    countSpan.className = 'prize-count';
+    countSpan.textContent = `0/${prize.count}`;
+    li.appendChild(nameSpan);
+    li.appendChild(countSpan);
+    list.appendChild(li);
+  });
 }
 
 // 更新抽奖按钮文本和状态
 function updateDrawButton() {
   const btn = document.getElementById('start-draw-btn');
+  if (!btn) return;
   if (drawStage < 0) {
     btn.textContent = '开始抽奖';
     btn.disabled = false;
-  } else if (drawStage >= drawSequence.length) {
+  } else if (drawStage >= prizes.length) {
     btn.textContent = '抽奖完成';
     btn.disabled = true;
   } else {
-    const tier = drawSequence[drawStage];
+    const tier = prizes[drawStage].id;
     btn.textContent = `抽${getTierName(tier)}`;
     btn.disabled = false;
   }
@@ -423,10 +1108,9 @@ function updateDrawButton() {
 
 // 根据抽奖结果更新侧边栏奖项数量显示
 function updatePrizeCounts(tiers) {
-  Object.keys(prizeCountMap).forEach(level => {
-    const total = prizeCountMap[level];
+  prizes.forEach(({ id: level, count: total }) => {
     const won = (tiers[level] || []).length;
-    const elem = document.getElementById(`${level}-count`);
+    const elem = document.querySelector(`#prize-list li[data-level="${level}"] .prize-count`);
     if (elem) {
       elem.textContent = `${won}/${total}`;
     }
@@ -435,28 +1119,99 @@ function updatePrizeCounts(tiers) {
   updateResultsDisplay(tiers);
 }
 
-// 在侧边栏的结果展示区域列出每个奖项的中奖者
+// 在侧边栏的结果展示区域列出每个奖项的中奖者。作废的中奖者以删除线显示在后面；
+// 管理员点击中奖者可作废其中奖资格，有待补抽的奖项显示“补抽”按钮
 function updateResultsDisplay(tiers) {
   const resultList = document.getElementById('result-list');
   if (!resultList) return;
   resultList.innerHTML = '';
-  Object.keys(prizeCountMap).forEach(level => {
+  const isAdmin = currentOperator && currentOperator.role === 'admin';
+  prizes.forEach(({ id: level }) => {
     const names = tiers[level] || [];
-    if (names.length > 0) {
+    const voided = forfeited.filter(f => f.tier === level);
+    if (names.length > 0 || voided.length > 0) {
       const li = document.createElement('li');
       const tierSpan = document.createElement('span');
       tierSpan.className = 'tier-name';
       tierSpan.textContent = getTierName(level) + ':';
       const winnersSpan = document.createElement('span');
       winnersSpan.className = 'winner-names';
-      winnersSpan.textContent = names.join(', ');
+      const entries = names.map(id => ({ id, void: null })).concat(voided.map(f => ({ id: f.user, void: f })));
+      entries.forEach((entry, idx) => {
+        if (idx > 0) winnersSpan.appendChild(document.createTextNode(', '));
+        const nameSpan = document.createElement('span');
+        nameSpan.textContent = displayName(entry.id);
+        if (entry.void) {
+          nameSpan.className = 'forfeited';
+          nameSpan.title = `已作废：${entry.void.reason}`;
+        } else if (isAdmin) {
+          nameSpan.className = 'voidable';
+          nameSpan.title = '点击作废中奖资格';
+          nameSpan.addEventListener('click', () => handleVoidWinner(level, entry.id));
+        }
+        winnersSpan.appendChild(nameSpan);
+      });
       li.appendChild(tierSpan);
       li.appendChild(winnersSpan);
+      if (isAdmin && voided.some(f => !f.replacement)) {
+        const btn = document.createElement('button');
+        btn.className = 'replacement-btn';
+        btn.textContent = '补抽';
+        btn.addEventListener('click', () => handleDrawReplacement(level));
+        li.appendChild(btn);
+      }
       resultList.appendChild(li);
     }
   });
 }
 
+// 重新获取中奖记录并刷新球体高亮、奖项计数、侧边栏和抽奖按钮
+async function refreshWinners() {
+  const wobj = await fetchWinners(currentSessionId);
+  winners = wobj.all || [];
+  forfeited = wobj.forfeited || [];
+  highlightWinners();
+  updatePrizeCounts(wobj.tiers || {});
+  updateDrawStage(wobj);
+  updateDrawButton();
+}
+
+// 作废某位中奖者（如未到场），随后可立即补抽
+async function handleVoidWinner(tier, user) {
+  const reason = prompt(`作废 ${displayName(user)} 的${getTierName(tier)}中奖资格，请输入原因（如：未到场）`);
+  if (!reason || !reason.trim()) return;
+  const res = await fetch('/api/voidWinner', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sessionId: currentSessionId, tier, user, reason: reason.trim() })
+  });
+  const data = await res.json();
+  if (data.error) {
+    alert(data.error);
+    return;
+  }
+  await refreshWinners();
+  if (confirm('是否立即为该奖项补抽一名中奖者？')) {
+    await handleDrawReplacement(tier);
+  }
+}
+
+// 补抽：从剩余参与者中为最早作废的中奖者抽取替补，并在浮层中展示
+async function handleDrawReplacement(tier) {
+  const res = await fetch('/api/drawReplacement', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sessionId: currentSessionId, tier })
+  });
+  const data = await res.json();
+  if (data.error) {
+    alert(data.error);
+    return;
+  }
+  await refreshWinners();
+  showDrawResult(tier, [data.winner], `补抽（替补 ${displayName(data.replaces)}）`);
+}
+
 // 用户按钮绑定
 function initUserButtons() {
   // 绑定用户按钮时需检查元素是否存在，避免绑定不存在的按钮产生错误
@@ -467,24 +1222,45 @@ function initUserButtons() {
   // 重抽奖按钮已删除，因此不再绑定事件
   const exportBtn = document.getElementById('export-btn');
   if (exportBtn) {
-    exportBtn.addEventListener('click', async () => {
-      // 导出结果包含参与者和各档中奖者
+    exportBtn.addEventListener('click', () => {
+      // 结果由服务端导出：CSV 表格、可打印的结果证明或带签名的验证包；登录后导出的表格包含参与者的部门和工号
+      if (!currentSessionId) return;
+      const format = document.getElementById('export-format').value;
+      const href = `/api/export?id=${encodeURIComponent(currentSessionId)}&format=${format}`;
+      if (format === 'html') {
+        window.open(href, '_blank');
+        return;
+      }
+      const a = document.createElement('a');
+      a.href = href;
+      a.download = `results-${currentSessionId}.${format}`;
+      a.click();
+    });
+  }
+  // 验证包由服务端生成，包含种子、名单和相关区块，可用 verify.js 或验证页面离线重放
+  const bundleBtn = document.getElementById('bundle-btn');
+  if (bundleBtn) {
+    bundleBtn.addEventListener('click', () => {
       if (!currentSessionId) return;
-      const wobj = await fetchWinners(currentSessionId);
-      const exportData = {
-        participants,
-        winners: wobj.tiers || {},
-        all: wobj.all || []
-      };
-      const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
       const a = document.createElement('a');
-      a.href = url;
-      a.download = `winners-${Date.now()}.json`;
+      a.href = `/api/bundle?id=${encodeURIComponent(currentSessionId)}`;
+      a.download = `bundle-${currentSessionId}.json`;
       a.click();
-      URL.revokeObjectURL(url);
     });
   }
+  const verifyBtn = document.getElementById('verify-link-btn');
+  if (verifyBtn) {
+    verifyBtn.addEventListener('click', () => {
+      const query = currentSessionId ? `?session=${encodeURIComponent(currentSessionId)}` : '';
+      window.open(`/verify.html${query}`, '_blank');
+    });
+  }
+  // 大屏页面跟随投屏的场次，主持人用“投屏此场次”切换
+  const displayBtn = document.getElementById('display-link-btn');
+  if (displayBtn) displayBtn.addEventListener('click', () => window.open('/display', '_blank'));
+  // 历史记录页面汇总所有场次，按参与者查询和统计需登录报名员或管理员
+  const historyBtn = document.getElementById('history-link-btn');
+  if (historyBtn) historyBtn.addEventListener('click', () => window.open('/history', '_blank'));
   const adminBtn = document.getElementById('toggle-admin-btn');
   if (adminBtn) {
     adminBtn.addEventListener('click', () => {
@@ -501,10 +1277,20 @@ function initAdminButtons() {
   // 加载参与者按钮已移除，不再绑定
   const importBtn = document.getElementById('admin-import-btn');
   if (importBtn) importBtn.addEventListener('click', handleImport);
+  const joinUploadBtn = document.getElementById('admin-join-upload');
+  if (joinUploadBtn) joinUploadBtn.addEventListener('click', handleJoinList);
+  const joinOpenBtn = document.getElementById('admin-join-open');
+  if (joinOpenBtn) {
+    joinOpenBtn.addEventListener('click', () => {
+      const sessionId = document.getElementById('admin-session-select').value;
+      if (sessionId) window.open(`/join?session=${encodeURIComponent(sessionId)}`, '_blank');
+    });
+  }
   const sessionSelect = document.getElementById('admin-session-select');
   if (sessionSelect) {
     sessionSelect.addEventListener('change', async (e) => {
       currentSessionId = e.target.value;
+      updateStatusDisplay();
       await loadParticipants();
       updatePrizeCounts((await fetchWinners(currentSessionId)).tiers || {});
     });
@@ -513,17 +1299,193 @@ function initAdminButtons() {
   if (closeBtn) closeBtn.addEventListener('click', () => {
     document.getElementById('admin-panel').classList.add('hidden');
   });
+  const escrowBox = document.getElementById('admin-escrow');
+  if (escrowBox) {
+    escrowBox.addEventListener('change', () => {
+      document.getElementById('admin-escrow-fields').classList.toggle('hidden', !escrowBox.checked);
+    });
+  }
+  const envelopeRevealBtn = document.getElementById('admin-envelope-reveal');
+  if (envelopeRevealBtn) envelopeRevealBtn.addEventListener('click', handleEnvelopeReveal);
+  const envelopeDownloadBtn = document.getElementById('admin-envelope-download');
+  if (envelopeDownloadBtn) envelopeDownloadBtn.addEventListener('click', handleEnvelopeDownload);
+  const providerSelect = document.getElementById('admin-seed-provider');
+  if (providerSelect) {
+    providerSelect.addEventListener('change', () => {
+      document.getElementById('admin-seed-beacon-label').classList.toggle('hidden', providerSelect.value !== 'beacon');
+    });
+  }
+  const seedInput = document.getElementById('admin-seed');
+  if (seedInput) {
+    seedInput.addEventListener('input', () => {
+      if (!fetchedSeed || fetchedSeed.seed !== seedInput.value.trim()) {
+        document.getElementById('admin-seed-source').textContent = '种子来源：手动输入';
+      }
+    });
+  }
   const genBtn = document.getElementById('admin-gen-seed');
   if (genBtn) {
     genBtn.addEventListener('click', handleGenerateSeed);
   }
+  const openBtn = document.getElementById('admin-open-reg');
+  if (openBtn) openBtn.addEventListener('click', () => handleTransition('/api/openRegistration'));
+  const closeRegBtn = document.getElementById('admin-close-reg');
+  if (closeRegBtn) {
+    closeRegBtn.addEventListener('click', () => handleTransition('/api/closeRegistration', '截止报名后将无法再添加参与者，确认截止吗？'));
+  }
+  const cancelBtn = document.getElementById('admin-cancel-session');
+  if (cancelBtn) {
+    cancelBtn.addEventListener('click', () => handleTransition('/api/cancelSession', '取消后该场次将无法继续报名或抽奖，确认取消吗？'));
+  }
+  const loginBtn = document.getElementById('admin-login-btn');
+  if (loginBtn) loginBtn.addEventListener('click', handleLogin);
+  const logoutBtn = document.getElementById('admin-logout-btn');
+  if (logoutBtn) logoutBtn.addEventListener('click', handleLogout);
+  const activateBtn = document.getElementById('admin-activate-session');
+  if (activateBtn) activateBtn.addEventListener('click', handleActivateSession);
+  const retryAnchorBtn = document.getElementById('admin-retry-anchor');
+  if (retryAnchorBtn) retryAnchorBtn.addEventListener('click', handleRetryAnchor);
+  const saveRulesBtn = document.getElementById('admin-save-rules');
+  if (saveRulesBtn) saveRulesBtn.addEventListener('click', handleSaveRules);
+  const seedActions = {
+    'admin-gen-share': handleGenerateShare,
+    'admin-commit-seed': handleCommitSeed,
+    'admin-reveal-share': handleRevealShare,
+    'admin-finalize-seed': handleFinalizeSeed
+  };
+  Object.keys(seedActions).forEach(id => {
+    const btn = document.getElementById(id);
+    if (btn) btn.addEventListener('click', seedActions[id]);
+  });
+  const addPrizeBtn = document.getElementById('admin-add-prize');
+  if (addPrizeBtn) addPrizeBtn.addEventListener('click', () => addPrizeRow(null));
+  initPrizeEditor();
+}
+
+// ====== 实时事件 ======
+// 服务端每追加一个区块就通过 /api/events 推送，大屏、主持人电脑和手机因此无需刷新即可同步。
+// 事件编号即区块序号，断线重连时浏览器会自动带上最后收到的编号，从该区块之后继续
+
+// 最后处理的区块序号
+let lastEventIndex = null;
+let eventQueue = Promise.resolve();
+const SESSION_EVENTS = [
+  'SESSION_CREATED', 'SESSION_STATE', 'RULES_SET', 'JOIN_LIST_SET', 'SEED_COMMITTED', 'SEED_SHARE_REVEALED',
+  'SEED_REVEALED', 'ANCHORED', 'ANCHOR_FAILED', 'CLOSE_DEFERRED'
+];
+const PARTICIPANT_EVENTS = ['USER_ENTERED', 'USERS_IMPORTED'];
+const DRAW_EVENTS = ['TIER_DRAWN', 'DRAWN', 'WINNER_VOIDED', 'REPLACEMENT_DRAWN'];
+
+function connectEvents() {
+  if (typeof EventSource === 'undefined') return;
+  const query = lastEventIndex === null ? '' : `?since=${lastEventIndex}`;
+  const source = new EventSource(`/api/events${query}`);
+  source.addEventListener('ready', (e) => {
+    if (lastEventIndex === null) lastEventIndex = JSON.parse(e.data).lastIndex;
+    // 投屏场次不在区块链上，断线期间可能已切换，重连后重新读取
+    if (DISPLAY_MODE) eventQueue = eventQueue.then(followActiveSession).catch(err => console.error(err));
+  });
+  source.addEventListener('ACTIVE_SESSION', () => {
+    if (DISPLAY_MODE) eventQueue = eventQueue.then(followActiveSession).catch(err => console.error(err));
+  });
+  SESSION_EVENTS.concat(PARTICIPANT_EVENTS, DRAW_EVENTS).forEach(type => {
+    source.addEventListener(type, (e) => {
+      const block = JSON.parse(e.data);
+      // 逐个处理，保证界面按区块顺序更新
+      eventQueue = eventQueue.then(() => handleChainEvent(block)).catch(err => console.error(err));
+    });
+  });
+  // 浏览器会自动重连；连接被彻底关闭时（如服务端返回错误）稍后从最后的区块重新订阅
+  source.onerror = () => {
+    if (source.readyState === EventSource.CLOSED) setTimeout(connectEvents, 3000);
+  };
+}
+
+async function handleChainEvent(block) {
+  if (lastEventIndex !== null && block.index <= lastEventIndex) return;
+  lastEventIndex = block.index;
+  const data = block.data;
+  if (SESSION_EVENTS.includes(data.type)) {
+    await initAdmin();
+    if (data.sessionId === currentSessionId) await loadParticipants();
+    return;
+  }
+  if (data.sessionId !== currentSessionId) return;
+  if (PARTICIPANT_EVENTS.includes(data.type)) {
+    setParticipants(await fetchParticipants(currentSessionId));
+    buildSphere();
+    return;
+  }
+  await refreshWinners();
+  if (data.type === 'TIER_DRAWN') showDrawResult(data.tier, data.winners);
+  if (data.type === 'REPLACEMENT_DRAWN') {
+    showDrawResult(data.tier, [data.winner], `补抽（替补 ${displayName(data.replaces)}）`);
+  }
+}
+
+// 大屏页切换到主持人当前投屏的场次；固定了场次的大屏不跟随
+async function followActiveSession() {
+  if (pinnedSessionId) return;
+  const res = await fetch('/api/activeSession');
+  const { sessionId } = await res.json();
+  if (!sessionId || sessionId === currentSessionId) return;
+  currentSessionId = sessionId;
+  if (!sessionsById[sessionId]) await initAdmin();
+  hideWinnerOverlay();
+  await loadParticipants();
+}
+
+// 主持人控制台：让所有大屏切换到当前选中的场次
+async function handleActivateSession() {
+  if (!currentSessionId) {
+    alert('请先选择场次');
+    return;
+  }
+  const res = await fetch('/api/activeSession', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ sessionId: currentSessionId })
+  });
+  const data = await res.json();
+  if (!res.ok) {
+    alert(data.error || '投屏失败');
+    return;
+  }
+  alert('大屏已切换到该场次');
+}
+
+async function initDisplay() {
+  await initAdmin();
+  if (pinnedSessionId) {
+    currentSessionId = pinnedSessionId;
+  } else {
+    const res = await fetch('/api/activeSession');
+    currentSessionId = (await res.json()).sessionId || Object.keys(sessionsById).pop() || null;
+  }
+  await loadParticipants();
+  connectEvents();
+  sphere.parentElement.style.animation = 'rotate 20s linear infinite';
+  // 双击切换全屏，便于投影
+  document.addEventListener('dblclick', () => {
+    if (document.fullscreenElement) {
+      document.exitFullscreen();
+    } else if (document.documentElement.requestFullscreen) {
+      document.documentElement.requestFullscreen();
+    }
+  });
 }
 
 async function init() {
+  if (DISPLAY_MODE) {
+    await initDisplay();
+    return;
+  }
   initUserButtons();
   initAdminButtons();
+  await refreshOperator();
   await initAdmin();
   await loadParticipants();
+  connectEvents();
   // 动画旋转
   sphere.parentElement.style.animation = 'rotate 20s linear infinite';
 
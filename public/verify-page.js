@@ -0,0 +1,104 @@
+// verify-page.js
+// 验证页面：读取验证包并调用 LotteryCore.verifyBundle 在浏览器本地重放抽奖
+
+function renderReport(bundle, report) {
+  const session = bundle.session || {};
+  const title = document.getElementById('verify-title');
+  title.textContent = `场次 ${session.name || ''} (ID: ${session.id || '-'})：${report.ok ? '验证通过' : '验证失败'}`;
+  title.className = report.ok ? 'pass' : 'fail';
+  const tbody = document.querySelector('#verify-table tbody');
+  tbody.innerHTML = '';
+  report.steps.forEach(({ step, ok, detail }) => {
+    const tr = document.createElement('tr');
+    // ok 为 null 表示该步骤未能检查，不影响总体结论
+    [step, ok === null ? '未检查' : ok ? '通过' : '失败', detail].forEach((text, idx) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (idx === 1 && ok !== null) td.className = ok ? 'pass' : 'fail';
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+  document.getElementById('verify-result').classList.remove('hidden');
+}
+
+// /api/export 导出的验证包带有服务器的 Ed25519 签名：从本服务器取公钥，用浏览器的
+// WebCrypto 对去掉 signature 字段后的规范 JSON 验签
+async function checkSignature(bundle) {
+  const { signature, ...rest } = bundle;
+  if (!signature) return null;
+  const step = '导出签名';
+  let key;
+  try {
+    key = await (await fetch('/.well-known/lottery-signing-key.json')).json();
+  } catch (e) {
+    return { step, ok: null, detail: `无法获取服务器公钥：${e.message}` };
+  }
+  if (key.keyId !== signature.keyId) {
+    return { step, ok: false, detail: `验证包由密钥 ${signature.keyId} 签名，本服务器的密钥为 ${key.keyId}` };
+  }
+  let publicKey;
+  try {
+    publicKey = await crypto.subtle.importKey('raw', LotteryCore.fromHex(key.publicKey), { name: 'Ed25519' }, false, ['verify']);
+  } catch (e) {
+    return { step, ok: null, detail: '此浏览器不支持 Ed25519，请用 node verify.js --key 检查签名' };
+  }
+  const value = Uint8Array.from(atob(signature.value), c => c.charCodeAt(0));
+  const data = LotteryCore.utf8(LotteryCore.canonicalJSON(rest));
+  const ok = await crypto.subtle.verify({ name: 'Ed25519' }, publicKey, value, data);
+  return { step, ok, detail: ok ? `签名有效，密钥 ${key.keyId}` : '签名与验证包内容不符' };
+}
+
+async function verify(bundle) {
+  let report;
+  try {
+    report = LotteryCore.verifyBundle(bundle);
+  } catch (e) {
+    alert(`验证包格式错误：${e.message}`);
+    return;
+  }
+  const signature = await checkSignature(bundle);
+  if (signature) {
+    report.steps.push(signature);
+    if (signature.ok === false) report.ok = false;
+  }
+  renderReport(bundle, report);
+}
+
+function handleVerifyFile() {
+  const file = document.getElementById('bundle-file').files[0];
+  if (!file) {
+    alert('请选择验证包文件');
+    return;
+  }
+  const reader = new FileReader();
+  reader.onload = (e) => {
+    let bundle;
+    try {
+      bundle = JSON.parse(e.target.result);
+    } catch (err) {
+      alert('文件不是有效的 JSON');
+      return;
+    }
+    verify(bundle);
+  };
+  reader.readAsText(file);
+}
+
+// 通过 ?session=ID 打开时直接从服务器下载验证包，便于现场观众扫码验证
+async function loadFromServer() {
+  const sessionId = new URLSearchParams(location.search).get('session');
+  if (!sessionId) return;
+  const res = await fetch(`/api/bundle?id=${encodeURIComponent(sessionId)}`);
+  const data = await res.json();
+  if (data.error) {
+    alert(data.error);
+    return;
+  }
+  verify(data);
+}
+
+window.addEventListener('load', () => {
+  document.getElementById('verify-btn').addEventListener('click', handleVerifyFile);
+  loadFromServer();
+});
@@ -0,0 +1,319 @@
+/**
+ * Minimal QR code encoder for the printable seed envelope (see escrow.js).
+ * Encodes text in byte mode at error correction level M, versions 1 to 20
+ * (up to 666 bytes), following ISO/IEC 18004. Only what the envelope needs
+ * is implemented: no other modes or levels, no structured append.
+ */
+
+// Error correction level M per version: [EC codewords per block,
+// blocks in group 1, data codewords per group 1 block, blocks in group 2,
+// data codewords per group 2 block]
+const LEVEL_M = [
+  null,
+  [10, 1, 16, 0, 0], [16, 1, 28, 0, 0], [26, 1, 44, 0, 0], [18, 2, 32, 0, 0], [24, 2, 43, 0, 0],
+  [16, 4, 27, 0, 0], [18, 4, 31, 0, 0], [22, 2, 38, 2, 39], [22, 3, 36, 2, 37], [26, 4, 43, 1, 44],
+  [30, 1, 50, 4, 51], [22, 6, 36, 2, 37], [22, 8, 37, 1, 38], [24, 4, 40, 5, 41], [24, 5, 41, 5, 42],
+  [28, 7, 45, 3, 46], [28, 10, 46, 1, 47], [26, 9, 43, 4, 44], [26, 3, 44, 11, 45], [26, 3, 41, 13, 42]
+];
+const MAX_VERSION = LEVEL_M.length - 1;
+// Format information bits of level M
+const LEVEL_M_BITS = 0;
+
+// ====== Reed–Solomon over GF(256) with polynomial 0x11D ======
+
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function rsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function rsRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  data.forEach(b => {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => {
+      result[i] ^= gfMultiply(coef, factor);
+    });
+  });
+  return result;
+}
+
+// ====== Codewords ======
+
+function dataCapacity(version) {
+  const [, b1, d1, b2, d2] = LEVEL_M[version];
+  return b1 * d1 + b2 * d2;
+}
+
+// Mode indicator, character count, data, terminator and padding
+function dataCodewords(bytes, version) {
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  push(0x4, 4);
+  push(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(b => push(b, 8));
+  const capacityBits = dataCapacity(version) * 8;
+  push(0, Math.min(4, capacityBits - bits.length));
+  push(0, (8 - bits.length % 8) % 8);
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+  }
+  for (let pad = 0xec; codewords.length < dataCapacity(version); pad ^= 0xec ^ 0x11) codewords.push(pad);
+  return codewords;
+}
+
+// Split into blocks, add error correction and interleave
+function interleave(data, version) {
+  const [ecLength, b1, d1, b2, d2] = LEVEL_M[version];
+  const divisor = rsDivisor(ecLength);
+  const blocks = [];
+  let offset = 0;
+  for (let i = 0; i < b1 + b2; i++) {
+    const length = i < b1 ? d1 : d2;
+    const block = data.slice(offset, offset + length);
+    offset += length;
+    blocks.push({ data: block, ec: rsRemainder(block, divisor) });
+  }
+  const result = [];
+  for (let i = 0; i < Math.max(d1, d2); i++) {
+    blocks.forEach(b => {
+      if (i < b.data.length) result.push(b.data[i]);
+    });
+  }
+  for (let i = 0; i < ecLength; i++) blocks.forEach(b => result.push(b.ec[i]));
+  return result;
+}
+
+// ====== Module matrix ======
+
+function alignmentPositions(version) {
+  if (version === 1) return [];
+  const size = version * 4 + 17;
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < count; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
+
+class Matrix {
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = [];
+    this.reserved = [];
+    for (let y = 0; y < this.size; y++) {
+      this.modules.push(new Array(this.size).fill(false));
+      this.reserved.push(new Array(this.size).fill(false));
+    }
+  }
+
+  set(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.reserved[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const size = this.size;
+    for (let i = 0; i < size; i++) {
+      this.set(6, i, i % 2 === 0);
+      this.set(i, 6, i % 2 === 0);
+    }
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x < 0 || y < 0 || x >= size || y >= size) continue;
+          const dist = Math.max(Math.abs(dx), Math.abs(dy));
+          this.set(x, y, dist !== 2 && dist !== 4);
+        }
+      }
+    });
+    const positions = alignmentPositions(this.version);
+    positions.forEach((cx, i) => positions.forEach((cy, j) => {
+      // alignment patterns never overlap the finder patterns
+      if ((i === 0 && j === 0) || (i === 0 && j === positions.length - 1) || (i === positions.length - 1 && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) this.set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }));
+    this.drawFormatBits(0);
+    if (this.version >= 7) {
+      let rem = this.version;
+      for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+      const bits = (this.version << 12) | rem;
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = size - 11 + i % 3;
+        const b = Math.floor(i / 3);
+        this.set(a, b, dark);
+        this.set(b, a, dark);
+      }
+    }
+  }
+
+  drawFormatBits(mask) {
+    const data = (LEVEL_M_BITS << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) === 1;
+    const size = this.size;
+    for (let i = 0; i <= 5; i++) this.set(8, i, bit(i));
+    this.set(8, 7, bit(6));
+    this.set(8, 8, bit(7));
+    this.set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.set(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) this.set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this.set(8, size - 15 + i, bit(i));
+    this.set(8, size - 8, true);
+  }
+
+  drawCodewords(codewords) {
+    const size = this.size;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (this.reserved[y][x] || i >= codewords.length * 8) continue;
+          this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+          i++;
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    const tests = [
+      (x, y) => (x + y) % 2 === 0,
+      (x, y) => y % 2 === 0,
+      (x) => x % 3 === 0,
+      (x, y) => (x + y) % 3 === 0,
+      (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+      (x, y) => x * y % 2 + x * y % 3 === 0,
+      (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+      (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+    ];
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.reserved[y][x] && tests[mask](x, y)) this.modules[y][x] = !this.modules[y][x];
+      }
+    }
+  }
+
+  // Penalty score of ISO/IEC 18004 section 7.8.3; the lowest scoring mask is used
+  penalty() {
+    const size = this.size;
+    const m = this.modules;
+    let score = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(m[i]);
+      lines.push(m.map(row => row[i]));
+    }
+    const finderLike = [[true, false, true, true, true, false, true, false, false, false, false],
+      [false, false, false, false, true, false, true, true, true, false, true]];
+    lines.forEach(line => {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) score += run - 2;
+          run = 1;
+        }
+      }
+      for (let i = 0; i + 11 <= size; i++) {
+        if (finderLike.some(p => p.every((v, k) => line[i + k] === v))) score += 40;
+      }
+    });
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (m[y][x]) dark++;
+        if (x + 1 < size && y + 1 < size && m[y][x] === m[y][x + 1] && m[y][x] === m[y + 1][x] && m[y][x] === m[y + 1][x + 1]) {
+          score += 3;
+        }
+      }
+    }
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return score;
+  }
+}
+
+/**
+ * Encode text as a QR code.
+ *
+ * @param {string} text UTF-8 text
+ * @returns {{version: number, size: number, modules: Array<Array<boolean>>}}
+ *   Rows of modules, true for dark
+ */
+function encode(text) {
+  const bytes = Array.from(Buffer.from(text, 'utf8'));
+  let version = 1;
+  // 4 bit mode indicator and 8 or 16 bit length must fit with the data
+  while (version <= MAX_VERSION && Math.ceil((4 + (version < 10 ? 8 : 16)) / 8 + bytes.length) > dataCapacity(version)) version++;
+  if (version > MAX_VERSION) throw new Error(`text too long for a QR code (${bytes.length} bytes)`);
+  const codewords = interleave(dataCodewords(bytes, version), version);
+  let best = null;
+  for (let mask = 0; mask < 8; mask++) {
+    const matrix = new Matrix(version);
+    matrix.drawFunctionPatterns();
+    matrix.drawCodewords(codewords);
+    matrix.applyMask(mask);
+    matrix.drawFormatBits(mask);
+    const score = matrix.penalty();
+    if (!best || score < best.score) best = { score, matrix };
+  }
+  return { version, size: best.matrix.size, modules: best.matrix.modules };
+}
+
+/**
+ * Render text as an SVG QR code with the standard four module quiet zone.
+ *
+ * @param {string} text
+ * @param {number} [moduleSize=4] Size of a module in SVG units
+ * @returns {string} SVG markup
+ */
+function toSVG(text, moduleSize = 4) {
+  const { size, modules } = encode(text);
+  const extent = (size + 8) * moduleSize;
+  let path = '';
+  modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) path += `M${(x + 4) * moduleSize} ${(y + 4) * moduleSize}h${moduleSize}v${moduleSize}h-${moduleSize}z`;
+  }));
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${extent} ${extent}" width="${extent}" height="${extent}" shape-rendering="crispEdges">` +
+    `<rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+module.exports = {
+  encode,
+  toSVG
+};
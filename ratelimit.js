@@ -0,0 +1,57 @@
+/**
+ * Fixed-window rate limiting for public endpoints. Counters live in memory,
+ * like login sessions in auth.js, so a restart resets them; that is enough to
+ * slow down guessing of one-time codes on a single server.
+ */
+class RateLimiter {
+  /**
+   * @param {number} limit Hits allowed per key within a window
+   * @param {number} windowMs Window length in milliseconds
+   */
+  constructor(limit, windowMs) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    // key -> { count, resetAt }
+    this.windows = new Map();
+  }
+
+  // Forget windows that have ended
+  prune(now) {
+    this.windows.forEach((entry, key) => {
+      if (entry.resetAt <= now) this.windows.delete(key);
+    });
+  }
+
+  /**
+   * Milliseconds until a key may be hit again, 0 when it may be hit now.
+   *
+   * @param {string} key
+   * @param {number} [now]
+   * @returns {number}
+   */
+  retryAfter(key, now = Date.now()) {
+    const entry = this.windows.get(key);
+    if (!entry || entry.resetAt <= now || entry.count < this.limit) return 0;
+    return entry.resetAt - now;
+  }
+
+  /**
+   * Count a hit for a key.
+   *
+   * @param {string} key
+   * @param {number} [now]
+   * @returns {number} 0 when the hit is allowed, otherwise milliseconds until
+   *   the key's window ends; refused hits are not counted
+   */
+  hit(key, now = Date.now()) {
+    this.prune(now);
+    const wait = this.retryAfter(key, now);
+    if (wait > 0) return wait;
+    const entry = this.windows.get(key) || { count: 0, resetAt: now + this.windowMs };
+    entry.count++;
+    this.windows.set(key, entry);
+    return 0;
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,322 @@
+const url = require('url');
+const errors = require('./errors');
+
+/**
+ * Routing of the HTTP API. Routes are registered with a method, a path, an
+ * options object and a handler:
+ *
+ *   router.post('/api/enter', {
+ *     summary: 'Enter a participant',
+ *     role: 'registrar',
+ *     body: { type: 'object', required: ['sessionId'], properties: { ... } }
+ *   }, (req, res, { body, operator }) => { ... });
+ *
+ * Options:
+ *
+ *   summary   one line describing the route in the OpenAPI document
+ *   role      operator role required, checked before the body is read
+ *   query     schema of the query string
+ *   body      schema of the JSON request body
+ *   upload    schema of the query string of a file upload: the route also
+ *             accepts one of UPLOAD_TYPES as body and passes the raw bytes
+ *   maxBytes  body size limit, DEFAULT_MAX_BYTES unless given
+ *
+ * Handlers are called with `{ query, body, raw, upload, operator }` once the
+ * request passed every check; they send the response themselves. Requests
+ * the router rejects get an error from errors.js: 404 for unknown paths, 405
+ * for a known path with another method, 415 for a body of the wrong type, 413
+ * for one over the limit and 400 for malformed JSON or input that does not
+ * match the route's schemas.
+ *
+ * Schemas are the subset of JSON Schema listed in validate(), so the same
+ * declarations produce the OpenAPI description served at /api/openapi.json.
+ */
+
+const DEFAULT_MAX_BYTES = 64 * 1024;
+// File uploads for importing participants; their bytes are decoded by importer.js
+const UPLOAD_TYPES = ['text/csv', 'text/plain', 'text/tab-separated-values', 'application/octet-stream', 'application/vnd.ms-excel'];
+
+/**
+ * Utility function to send a JSON response.
+ *
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {any} data
+ * @param {Object} [headers] Extra response headers, e.g. Set-Cookie
+ */
+function sendJSON(res, status, data, headers) {
+  res.writeHead(status, Object.assign({
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'X-Content-Type-Options': 'nosniff'
+  }, headers));
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Send an error response in the language the client asked for.
+ *
+ * @param {http.ServerResponse} res
+ * @param {string} code Error code, see errors.js
+ * @param {Object} [params] Values for the message
+ * @param {Object} [headers] Extra response headers, e.g. Retry-After
+ */
+function sendError(res, code, params, headers) {
+  const { status, body } = errors.response(code, params, errors.language(res.req));
+  sendJSON(res, status, body, headers);
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function hasType(value, types) {
+  const actual = typeOf(value);
+  return [].concat(types).some(type => type === actual || (type === 'number' && actual === 'integer'));
+}
+
+/**
+ * Check a value against a schema. Supported keywords: type, enum, pattern,
+ * minLength, maxLength, minimum, maximum, items, maxItems, properties and
+ * required, where empty strings and null count as missing like they always
+ * have for this API.
+ *
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} field Name of the value in error messages, '' at the top
+ * @returns {{code: string, params: Object}|null} The first violation
+ */
+function validate(schema, value, field) {
+  // only a whole request body can have the wrong type at the top level
+  if (schema.type && !hasType(value, schema.type)) return { code: 'FIELD_TYPE', params: { field: field || 'body', type: schema.type } };
+  if (schema.enum && !schema.enum.includes(value)) return { code: 'FIELD_ENUM', params: { field, values: schema.enum.join(', ') } };
+  if (typeof value === 'string') {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return { code: 'FIELD_PATTERN', params: { field } };
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return { code: 'FIELD_TOO_SHORT', params: { field, limit: schema.minLength } };
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return { code: 'FIELD_TOO_LONG', params: { field, limit: schema.maxLength } };
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) return { code: 'FIELD_TOO_SMALL', params: { field, limit: schema.minimum } };
+    if (schema.maximum !== undefined && value > schema.maximum) return { code: 'FIELD_TOO_LARGE', params: { field, limit: schema.maximum } };
+  }
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return { code: 'FIELD_TOO_MANY', params: { field, limit: schema.maxItems } };
+    }
+    if (schema.items) {
+      for (let i = 0; i < value.length; i++) {
+        const problem = validate(schema.items, value[i], `${field}[${i}]`);
+        if (problem) return problem;
+      }
+    }
+  }
+  if (typeOf(value) === 'object') {
+    const missing = (schema.required || []).find(name => value[name] === undefined || value[name] === null || value[name] === '');
+    if (missing !== undefined) return { code: 'FIELD_REQUIRED', params: { field: field ? `${field}.${missing}` : missing } };
+    const properties = schema.properties || {};
+    for (const name of Object.keys(properties)) {
+      if (value[name] === undefined) continue;
+      const problem = validate(properties[name], value[name], field ? `${field}.${name}` : name);
+      if (problem) return problem;
+    }
+  }
+  return null;
+}
+
+// Media type of a request without parameters such as charset
+function contentType(req) {
+  return String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+}
+
+function isJSONType(type) {
+  return type === 'application/json' || type.endsWith('+json');
+}
+
+class Router {
+  /**
+   * @param {Object} hooks
+   * @param {function(http.IncomingMessage, http.ServerResponse, string): Object|null} hooks.authorize
+   *   Returns the operator holding a role, or sends 401 or 403 and returns null
+   * @param {function(Error)} [hooks.onError] Called when a handler throws,
+   *   before the 500 response is sent
+   */
+  constructor({ authorize, onError }) {
+    this.authorize = authorize;
+    this.onError = onError || (() => {});
+    this.routes = [];
+  }
+
+  get(path, options, handler) {
+    this.add('GET', path, options, handler);
+  }
+
+  post(path, options, handler) {
+    this.add('POST', path, options, handler);
+  }
+
+  add(method, path, options, handler) {
+    this.routes.push(Object.assign({ method, path, handler }, options));
+  }
+
+  /**
+   * Dispatch an API request.
+   *
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  handle(req, res) {
+    const parsed = url.parse(req.url, true);
+    const candidates = this.routes.filter(r => r.path === parsed.pathname);
+    if (candidates.length === 0) return sendError(res, 'NOT_FOUND');
+    const route = candidates.find(r => r.method === req.method);
+    if (!route) {
+      const allowed = candidates.map(r => r.method).join(', ');
+      return sendError(res, 'METHOD_NOT_ALLOWED', { method: req.method, allowed }, { Allow: allowed });
+    }
+    let operator = null;
+    if (route.role) {
+      try {
+        operator = this.authorize(req, res, route.role);
+      } catch (err) {
+        return this.failed(res, err);
+      }
+      if (!operator) return;
+    }
+    const query = parsed.query;
+    if (route.method === 'GET') {
+      const problem = route.query && validate(route.query, query, '');
+      if (problem) return sendError(res, problem.code, problem.params);
+      return this.run(route, req, res, { query, operator });
+    }
+    const type = contentType(req);
+    const hasBody = Number(req.headers['content-length']) > 0 || req.headers['transfer-encoding'] !== undefined;
+    const upload = !!route.upload && UPLOAD_TYPES.includes(type);
+    if (hasBody && !upload && !isJSONType(type)) {
+      const accepted = ['application/json'].concat(route.upload ? UPLOAD_TYPES : []).join(', ');
+      return sendError(res, 'UNSUPPORTED_MEDIA_TYPE', { type: type || 'none', accepted });
+    }
+    const limit = route.maxBytes || DEFAULT_MAX_BYTES;
+    if (Number(req.headers['content-length']) > limit) {
+      req.resume();
+      return sendError(res, 'BODY_TOO_LARGE', { limit }, { Connection: 'close' });
+    }
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size <= limit) chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > limit) return sendError(res, 'BODY_TOO_LARGE', { limit });
+      const raw = Buffer.concat(chunks);
+      let body = {};
+      if (!upload && raw.length > 0) {
+        try {
+          body = JSON.parse(raw.toString('utf8'));
+        } catch (e) {
+          return sendError(res, 'INVALID_JSON');
+        }
+      }
+      // uploads carry their options in the query string
+      const problem = upload
+        ? validate(route.upload, query, '')
+        : route.body && validate(route.body, body, '');
+      if (problem) return sendError(res, problem.code, problem.params);
+      this.run(route, req, res, { query, body, raw, upload, operator });
+    });
+  }
+
+  // Report an error thrown while answering a request and send 500
+  failed(res, err) {
+    this.onError(err);
+    if (!res.headersSent) sendError(res, 'INTERNAL_ERROR');
+  }
+
+  // Call a handler, answering 500 if it throws or its promise rejects
+  run(route, req, res, input) {
+    const failed = err => this.failed(res, err);
+    try {
+      const result = route.handler(req, res, input);
+      if (result && typeof result.then === 'function') result.then(null, failed);
+    } catch (err) {
+      failed(err);
+    }
+  }
+
+  /**
+   * OpenAPI 3.1 description of the registered routes. Version 3.1 because
+   * its schemas are JSON Schema, which the route schemas are written in.
+   *
+   * @param {Object} info OpenAPI info object, e.g. { title, version }
+   * @returns {Object}
+   */
+  openapi(info) {
+    const paths = {};
+    this.routes.forEach(route => {
+      const operation = {
+        operationId: route.method.toLowerCase() + route.path.replace(/^\/api/, '').replace(/[/.](\w)/g, (m, c) => c.toUpperCase()),
+        summary: route.summary,
+        responses: {
+          200: { description: 'Success' },
+          default: { description: 'Error', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+        }
+      };
+      if (route.role) {
+        operation.description = `Requires the ${route.role} role or higher.`;
+        operation.security = [{ cookie: [] }, { bearer: [] }];
+      }
+      const querySchema = route.method === 'GET' ? route.query : route.upload;
+      if (querySchema) {
+        operation.parameters = Object.keys(querySchema.properties || {}).map(name => ({
+          name,
+          in: 'query',
+          required: (querySchema.required || []).includes(name),
+          schema: querySchema.properties[name]
+        }));
+      }
+      if (route.method === 'POST') {
+        const content = { 'application/json': { schema: route.body || { type: 'object' } } };
+        // raw file bytes, described by their media type alone
+        if (route.upload) UPLOAD_TYPES.forEach(type => { content[type] = {}; });
+        operation.requestBody = { required: !!(route.body && route.body.required), content };
+      }
+      paths[route.path] = paths[route.path] || {};
+      paths[route.path][route.method.toLowerCase()] = operation;
+    });
+    return {
+      openapi: '3.1.0',
+      info,
+      paths,
+      components: {
+        securitySchemes: {
+          cookie: { type: 'apiKey', in: 'cookie', name: 'lottery_sid' },
+          bearer: { type: 'http', scheme: 'bearer' }
+        },
+        schemas: {
+          Error: {
+            type: 'object',
+            required: ['error', 'code'],
+            properties: {
+              error: { type: 'string', description: 'Message in English, or Chinese when Accept-Language prefers zh' },
+              code: { type: 'string', enum: Object.keys(errors.CATALOG) },
+              params: { type: 'object', description: 'Values filled into the message' }
+            }
+          }
+        }
+      }
+    };
+  }
+}
+
+module.exports = Router;
+module.exports.sendJSON = sendJSON;
+module.exports.sendError = sendError;
+module.exports.validate = validate;
+module.exports.UPLOAD_TYPES = UPLOAD_TYPES;
@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+/**
+ * Offline check of the two JSON-RPC clients, the TianXuan seed provider in
+ * seeds.js and the contract anchoring in anchor.js. Each client is pointed at
+ * a mock node started on a free local port, which answers like the real
+ * service and records the requests it received; the check then compares
+ * requests and results with what the protocol prescribes and reports
+ * pass/fail for every step.
+ *
+ * Usage: node rpccheck.js
+ *
+ * Nothing is sent over the network, so the check can run on machines without
+ * access to the TianXuan chain or an Ethereum node. The mock servers are
+ * stopped when the check finishes. The process exits with status 0 when every
+ * step passes and 1 otherwise.
+ */
+const http = require('http');
+const seeds = require('./seeds');
+const Anchor = require('./anchor');
+const core = require('./public/lottery-core');
+
+const TOKEN = 'mock-token';
+const SEED = 'a'.repeat(64);
+const CONTRACT = '0x' + '1'.repeat(40);
+const ACCOUNT = '0x' + '2'.repeat(40);
+const TX_HASH = '0x' + '3'.repeat(64);
+const SESSION_CREATED = '0x' + core.toHex(core.keccak256('SessionCreated(uint256,string,uint256,uint256)'));
+
+/**
+ * Start a JSON-RPC server answering with `reply(request, calls)`. A reply
+ * that is a string is sent as the raw body.
+ *
+ * @param {function(Object, Array): *} reply
+ * @returns {Promise<{url: string, port: number, calls: Array, close: function}>}
+ */
+function mockNode(reply) {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      calls.push({ headers: req.headers, request });
+      const answer = reply(request, calls);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(typeof answer === 'string' ? answer : JSON.stringify(Object.assign({ jsonrpc: '2.0', id: request.id }, answer)));
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    resolve({ url: `http://127.0.0.1:${port}`, port, calls, close: () => new Promise(r => server.close(r)) });
+  }));
+}
+
+// Outcome of a promise as { value } or { error }
+function settle(promise) {
+  return promise.then(value => ({ value }), error => ({ error }));
+}
+
+async function checkTianxuan(record) {
+  const config = port => ({ protocol: 'http', host: '127.0.0.1', port, token: TOKEN, method: 'thanos_getRandom' });
+
+  let node = await mockNode(() => ({ result: SEED }));
+  let outcome = await settle(seeds.fetchTianxuan(config(node.port)));
+  const call = node.calls[0];
+  record('TianXuan request', !!call && call.headers.token === TOKEN && call.request.jsonrpc === '2.0' &&
+    call.request.method === 'thanos_getRandom', call ? `${call.request.method} with token header` : 'no request received');
+  record('TianXuan seed', !!outcome.value && outcome.value.seed === SEED && outcome.value.source === 'tianxuan' &&
+    outcome.value.rawResponse.result === SEED, outcome.error ? outcome.error.message : 'seed and raw response returned');
+  await node.close();
+
+  node = await mockNode(() => ({ result: { random: SEED } }));
+  outcome = await settle(seeds.fetchTianxuan(config(node.port)));
+  record('TianXuan result object', !!outcome.value && outcome.value.seed === SEED,
+    outcome.error ? outcome.error.message : 'seed read from result.random');
+  await node.close();
+
+  node = await mockNode(() => ({ error: { code: -32000, message: 'quota exceeded' } }));
+  outcome = await settle(seeds.fetchTianxuan(config(node.port)));
+  record('TianXuan RPC error', !!outcome.error && /quota exceeded/.test(outcome.error.message),
+    outcome.error ? outcome.error.message : 'resolved despite the error');
+  await node.close();
+
+  node = await mockNode(() => '<html>502 Bad Gateway</html>');
+  outcome = await settle(seeds.fetchTianxuan(config(node.port)));
+  record('TianXuan invalid response', !!outcome.error && /invalid response/.test(outcome.error.message),
+    outcome.error ? outcome.error.message : 'resolved despite the invalid body');
+  await node.close();
+
+  outcome = await settle(seeds.fetchTianxuan(Object.assign(config(node.port), { token: null })));
+  record('TianXuan without token', !!outcome.error && /TX_TOKEN/.test(outcome.error.message),
+    outcome.error ? outcome.error.message : 'resolved without a token');
+
+  // the closed mock's port no longer answers
+  outcome = await settle(seeds.fetchSeed('tianxuan', { fallback: 'local', tianxuan: config(node.port) }));
+  record('TianXuan fallback', !!outcome.value && outcome.value.source === 'local' && outcome.value.fallbackFrom === 'tianxuan' &&
+    /unreachable/.test(outcome.value.fallbackReason), outcome.value ? `local seed, reason: ${outcome.value.fallbackReason}` : outcome.error.message);
+}
+
+/**
+ * Mock Ethereum node holding one unlocked account. Transactions are mined on
+ * the second receipt poll; `revert` makes every transaction fail.
+ */
+function mockEthereum(options = {}) {
+  const polls = new Map();
+  return mockNode(request => {
+    const [param] = request.params;
+    switch (request.method) {
+      case 'eth_accounts':
+        return { result: [ACCOUNT] };
+      case 'eth_estimateGas':
+        return { result: '0x10000' };
+      case 'eth_sendTransaction':
+        return options.sendError ? { error: { code: -32000, message: options.sendError } } : { result: TX_HASH };
+      case 'eth_getTransactionReceipt': {
+        const count = (polls.get(param) || 0) + 1;
+        polls.set(param, count);
+        if (count < 2) return { result: null };
+        const logs = [{ address: CONTRACT, topics: [SESSION_CREATED, '0x' + core.toHex(core.uint256(7))] }];
+        return { result: { transactionHash: param, blockNumber: '0x2a', status: options.revert ? '0x0' : '0x1', logs } };
+      }
+      default:
+        return { error: { code: -32601, message: `method ${request.method} not found` } };
+    }
+  });
+}
+
+async function checkAnchor(record) {
+  const session = { name: '年会抽奖', seedHash: SEED, createdAt: 1700000000000, registrationClosesAt: 1700003600000 };
+  let node = await mockEthereum();
+  let anchor = new Anchor({ rpcUrl: node.url, contract: CONTRACT });
+  let outcome = await settle(anchor.anchorCommitment(session));
+  const sent = node.calls.find(c => c.request.method === 'eth_sendTransaction');
+  const tx = sent && sent.request.params[0];
+  // ABI encoding written out: selector, offset of the string, start, end,
+  // seed hash, then the string's length and its bytes padded to a full word
+  const name = Buffer.from(session.name, 'utf8');
+  const data = '0x' + core.toHex(core.keccak256('createSession(string,uint256,uint256,bytes32)').slice(0, 4)) +
+    [0x80, 1700000000, 1700003600].map(n => n.toString(16).padStart(64, '0')).join('') + SEED +
+    name.length.toString(16).padStart(64, '0') + name.toString('hex').padEnd(64, '0');
+  record('createSession transaction', !!tx && tx.from === ACCOUNT && tx.to === CONTRACT && tx.data === data && tx.gas === '0x14000',
+    tx ? `from ${tx.from} to ${tx.to}, gas ${tx.gas}` : 'no transaction sent');
+  record('createSession receipt', !!outcome.value && outcome.value.txHash === TX_HASH && outcome.value.blockNumber === 42 &&
+    outcome.value.contractSessionId === '7', outcome.error ? outcome.error.message : `contract session ${outcome.value.contractSessionId}`);
+
+  outcome = await settle(anchor.anchorReveal('7', '0x' + SEED));
+  const reveal = node.calls.filter(c => c.request.method === 'eth_sendTransaction')[1];
+  const revealData = reveal && reveal.request.params[0].data;
+  record('revealSeed transaction', !!outcome.value && revealData === '0x' + core.toHex(core.keccak256('revealSeed(uint256,bytes32)').slice(0, 4)) +
+    core.toHex(core.uint256(7)) + SEED, outcome.error ? outcome.error.message : 'selector, session id and seed encoded');
+
+  outcome = await settle(anchor.anchorResults('b'.repeat(64)));
+  const results = node.calls.filter(c => c.request.method === 'eth_sendTransaction')[2];
+  const resultsTx = results && results.request.params[0];
+  record('results transaction', !!outcome.value && resultsTx.to === ACCOUNT && resultsTx.value === '0x0' && resultsTx.data === '0x' + 'b'.repeat(64),
+    outcome.error ? outcome.error.message : 'zero-value transaction to the anchoring account');
+  record('accounts looked up once', node.calls.filter(c => c.request.method === 'eth_accounts').length === 1,
+    `${node.calls.filter(c => c.request.method === 'eth_accounts').length} eth_accounts calls`);
+  await node.close();
+
+  node = await mockEthereum({ revert: true });
+  anchor = new Anchor({ rpcUrl: node.url, contract: CONTRACT, from: ACCOUNT });
+  outcome = await settle(anchor.anchorCommitment(session));
+  record('reverted transaction', !!outcome.error && /reverted/.test(outcome.error.message),
+    outcome.error ? outcome.error.message : 'resolved despite the revert');
+  await node.close();
+
+  node = await mockEthereum({ sendError: 'authentication needed: password or unlock' });
+  anchor = new Anchor({ rpcUrl: node.url, contract: CONTRACT, from: ACCOUNT });
+  outcome = await settle(anchor.anchorResults('b'.repeat(64)));
+  record('node error', !!outcome.error && /eth_sendTransaction: authentication needed/.test(outcome.error.message),
+    outcome.error ? outcome.error.message : 'resolved despite the error');
+  await node.close();
+}
+
+async function main() {
+  let ok = true;
+  const record = (step, pass, detail) => {
+    console.log(`[${pass ? 'PASS' : 'FAIL'}] ${step}: ${detail}`);
+    if (!pass) ok = false;
+  };
+  await checkTianxuan(record);
+  await checkAnchor(record);
+  console.log(ok ? 'Result: PASS' : 'Result: FAIL');
+  return ok ? 0 : 1;
+}
+
+main().then(code => {
+  process.exitCode = code;
+}, err => {
+  console.error(err);
+  process.exitCode = 2;
+});
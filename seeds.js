@@ -0,0 +1,194 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const core = require('./public/lottery-core');
+
+/**
+ * Seed providers. Every provider resolves to
+ *
+ *   { seed, source, fetchedAt, rawResponse }
+ *
+ * where `source` names the provider that actually produced the seed and
+ * `rawResponse` is what it returned (null for the local generator), so the
+ * admin UI and the chain can say where a seed came from instead of guessing.
+ *
+ *   tianxuan  JSON-RPC random number service of the NetEase TianXuan chain,
+ *             configured with TX_NODE, TX_PORT, TX_TOKEN, TX_METHOD and
+ *             optionally TX_PROTOCOL (http or https)
+ *   local     32 bytes from the server's CSPRNG
+ *   beacon    an uploaded drand-style beacon file ({ round, randomness,
+ *             signature, ... }); the randomness becomes the seed. The beacon's
+ *             signature is not checked here.
+ *   manual    typed in by the admin; never fetched, only recorded
+ *
+ * A fetch may name a fallback provider. Falling back is never silent: the
+ * result then carries `fallbackFrom` and `fallbackReason`, and sessions
+ * created with a no-fallback policy refuse such seeds.
+ */
+
+const PROVIDERS = ['tianxuan', 'local', 'beacon', 'manual'];
+const FALLBACKS = ['none', 'local'];
+const RPC_TIMEOUT_MS = 10000;
+
+/**
+ * TianXuan RPC settings from the environment. There is no default token: a
+ * deployment has to supply its own.
+ *
+ * @returns {{protocol: string, host: string, port: number, token: string|null, method: string}}
+ */
+function tianxuanConfig() {
+  const protocol = process.env.TX_PROTOCOL === 'https' ? 'https' : 'http';
+  return {
+    protocol,
+    host: process.env.TX_NODE || 'tianxuanrpc.blockchain.163.com',
+    port: parseInt(process.env.TX_PORT, 10) || (protocol === 'https' ? 443 : 80),
+    token: process.env.TX_TOKEN || null,
+    // Common TianXuan methods include "thanos_getRandom" or "thanos_applyRandom". Adjust
+    // this as needed based on the official API. See https://github.com/TianXuan-Chain/tianxuan-docs
+    method: process.env.TX_METHOD || 'thanos_getRandom'
+  };
+}
+
+/**
+ * The seed in a TianXuan JSON-RPC response. Depending on the chain version the
+ * result is the seed itself or an object holding it under one of several names.
+ *
+ * @param {Object} json Parsed response
+ * @returns {string|null}
+ */
+function extractTianxuanSeed(json) {
+  const result = json && json.result;
+  const seed = result && typeof result === 'object'
+    ? result.seed || result.random || result.randomSeed
+    : result;
+  return typeof seed === 'string' && seed.length > 0 ? seed : null;
+}
+
+/**
+ * Fetch a random seed from the TianXuan chain.
+ *
+ * @param {Object} [config] Defaults to tianxuanConfig(); rpccheck.js points it at a mock server
+ * @returns {Promise<Object>} Seed result; rejects on transport errors or unusable responses
+ */
+function fetchTianxuan(config = tianxuanConfig()) {
+  return new Promise((resolve, reject) => {
+    if (!config.token) return reject(new Error('TX_TOKEN is not configured'));
+    const payload = JSON.stringify({ jsonrpc: '2.0', method: config.method, params: [], id: Date.now() });
+    const client = config.protocol === 'https' ? https : http;
+    const req = client.request({
+      hostname: config.host,
+      port: config.port,
+      path: '/',
+      method: 'POST',
+      timeout: RPC_TIMEOUT_MS,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+        token: config.token
+      }
+    }, resp => {
+      let body = '';
+      resp.on('data', chunk => body += chunk);
+      resp.on('end', () => {
+        let json;
+        try {
+          json = JSON.parse(body);
+        } catch (e) {
+          return reject(new Error(`TianXuan returned an invalid response (HTTP ${resp.statusCode})`));
+        }
+        if (json.error) return reject(new Error(`TianXuan: ${json.error.message || JSON.stringify(json.error)}`));
+        const seed = extractTianxuanSeed(json);
+        if (!seed) return reject(new Error('TianXuan response contains no seed'));
+        resolve({ seed, source: 'tianxuan', fetchedAt: Date.now(), rawResponse: json });
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error('TianXuan did not respond')));
+    req.on('error', err => reject(new Error(`TianXuan unreachable: ${err.message}`)));
+    req.write(payload);
+    req.end();
+  });
+}
+
+function localSeed() {
+  return Promise.resolve({
+    seed: crypto.randomBytes(32).toString('hex'),
+    source: 'local',
+    fetchedAt: Date.now(),
+    rawResponse: null
+  });
+}
+
+/**
+ * Read a drand-style beacon file.
+ *
+ * @param {string|Object} beacon File contents or parsed JSON
+ * @returns {Promise<Object>} Seed result; rejects if the file is not a beacon
+ */
+function beaconSeed(beacon) {
+  let json = beacon;
+  if (typeof beacon === 'string') {
+    try {
+      json = JSON.parse(beacon);
+    } catch (e) {
+      return Promise.reject(new Error('beacon file is not valid JSON'));
+    }
+  }
+  if (!json || typeof json !== 'object' || !/^[0-9a-f]{64}$/i.test(json.randomness || '')) {
+    return Promise.reject(new Error('beacon file needs a 32-byte hex "randomness" field'));
+  }
+  if (!Number.isInteger(json.round)) return Promise.reject(new Error('beacon file needs an integer "round"'));
+  return Promise.resolve({ seed: json.randomness.toLowerCase(), source: 'beacon', fetchedAt: Date.now(), rawResponse: json });
+}
+
+const FETCHERS = {
+  tianxuan: options => fetchTianxuan(options.tianxuan),
+  local: () => localSeed(),
+  beacon: options => beaconSeed(options.beacon)
+};
+
+/**
+ * Obtain a seed from a provider, falling back if asked to.
+ *
+ * @param {string} provider One of the fetchable PROVIDERS
+ * @param {Object} [options]
+ * @param {string} [options.fallback='none'] One of FALLBACKS
+ * @param {string|Object} [options.beacon] Beacon file for the beacon provider
+ * @param {Object} [options.tianxuan] RPC settings overriding tianxuanConfig()
+ * @returns {Promise<Object>} Seed result, with `fallbackFrom` and
+ *   `fallbackReason` when the fallback produced it; rejects with the
+ *   provider's error otherwise
+ */
+async function fetchSeed(provider, options = {}) {
+  if (!FETCHERS[provider]) throw new Error(`seed provider must be one of ${Object.keys(FETCHERS).join(', ')}`);
+  const fallback = options.fallback || 'none';
+  if (!FALLBACKS.includes(fallback)) throw new Error(`fallback must be one of ${FALLBACKS.join(', ')}`);
+  try {
+    return await FETCHERS[provider](options);
+  } catch (err) {
+    if (fallback === 'none' || fallback === provider) throw err;
+    const result = await FETCHERS[fallback](options);
+    return Object.assign(result, { fallbackFrom: provider, fallbackReason: err.message });
+  }
+}
+
+/**
+ * Digest of a provider response, recorded on the chain in place of the
+ * response itself, which may contain the seed.
+ *
+ * @param {*} rawResponse
+ * @returns {string|null}
+ */
+function responseHash(rawResponse) {
+  return rawResponse === null || rawResponse === undefined ? null : core.sha256Hex(JSON.stringify(rawResponse));
+}
+
+module.exports = {
+  PROVIDERS,
+  FALLBACKS,
+  tianxuanConfig,
+  extractTianxuanSeed,
+  fetchTianxuan,
+  beaconSeed,
+  fetchSeed,
+  responseHash
+};
@@ -3,176 +3,1644 @@ const fs = require('fs');
 const path = require('path');
 const url = require('url');
 const Blockchain = require('./blockchain');
+const Auth = require('./auth');
+const lifecycle = require('./lifecycle');
+const participants = require('./participants');
+const importer = require('./importer');
+const committers = require('./committers');
+const eligibility = require('./eligibility');
+const seeds = require('./seeds');
+const escrow = require('./escrow');
+const exporter = require('./exporter');
+const qrcode = require('./qrcode');
+const history = require('./history');
+const join = require('./join');
+const RateLimiter = require('./ratelimit');
+const Signer = require('./signing');
+const EventStream = require('./eventstream');
+const Anchor = require('./anchor');
+const Storage = require('./storage');
+const Router = require('./router');
+const StaticFiles = require('./staticfiles');
+const errors = require('./errors');
+// Draw algorithms shared with the browser verifier so both always replay identically
+const core = require('./public/lottery-core');
 const crypto = require('crypto');
-const https = require('https');
-const httpClient = require('http');
 
+// Directory of the files the server writes, set with DATA_DIR; defaults to the
+// source directory, where .gitignore keeps them out of the repository
+const DATA_DIR = path.resolve(process.env.DATA_DIR || __dirname);
+fs.mkdirSync(DATA_DIR, { recursive: true });
 // Paths to persistent data and static assets
-const DATA_FILE = path.join(__dirname, 'data.json');
+const DATA_FILE = path.join(DATA_DIR, 'data.json');
+// Database of the state when STORAGE_BACKEND=sqlite
+const SQLITE_FILE = path.join(DATA_DIR, 'data.sqlite');
+// Append-only log holding one blockchain block per line
+const CHAIN_FILE = path.join(DATA_DIR, 'chain.jsonl');
+// Operators allowed to call mutating API routes, managed with operators.js
+const OPERATORS_FILE = path.join(DATA_DIR, 'operators.json');
+// Ed25519 key signing exported result bundles, created on first start
+const SIGNING_KEY_FILE = path.join(DATA_DIR, 'signing-key.pem');
+// Route publishing the public half of the signing key
+const SIGNING_KEY_ROUTE = '/.well-known/lottery-signing-key.json';
 const PUBLIC_DIR = path.join(__dirname, 'public');
+// Page routes. The audience display is the default page; the host console
+// holding the draw controls and admin panel lives under /host.
+const PAGES = {
+  '/': 'display.html',
+  '/display': 'display.html',
+  '/host': 'host.html',
+  '/history': 'history.html',
+  '/join': 'join.html',
+  '/proof': 'proof.html'
+};
+// Largest request body of routes taking participant lists or files; other
+// routes keep the router's smaller default
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const { sendJSON, sendError } = Router;
+const staticFiles = new StaticFiles(PUBLIC_DIR, PAGES);
 
 // Ensure persistent storage exists. "winners" now maps sessionId to an object containing
 // all winners and winners by tier. For example:
 // state.winners[sessionId] = {
 //   all: ["user1", "user2", ...],
-//   tiers: { special: ["user1"], first: [...], second: [...], third: [...] }
+//   tiers: { special: ["user1"], first: [...], second: [...], third: [...] },
+//   forfeited: [{ tier: "first", user: "user7", reason: "absent", replacement: "user9" }]
 // }
-let state = { sessions: {}, participants: {}, winners: {} };
-if (fs.existsSync(DATA_FILE)) {
-  try {
-    const saved = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
-    state = saved;
-  } catch (e) {
-    console.warn('Failed to read state file, starting fresh');
-  }
+// "all" lists everyone ever drawn in draw order, forfeited winners included, so
+// they are never drawn again; "tiers" holds the current winners of each tier.
+// state.activeSessionId is the session shown on display screens that do not
+// pin one; see setActiveSession().
+// The state is kept in a transactional store, by default data.json with a
+// write-ahead log next to it; see storage.js. A store that cannot be read stops
+// the server rather than being replaced by an empty one.
+let storage;
+let state;
+try {
+  storage = Storage.fromEnv({ dataFile: DATA_FILE, sqliteFile: SQLITE_FILE });
+  state = storage.load({ sessions: {}, participants: {}, winners: {} });
+} catch (e) {
+  if (!(e instanceof Storage.StorageError)) throw e;
+  console.error(`Cannot load the state store: ${e.message}`);
+  console.error('Refusing to start; restore the store from a backup or move it aside to start empty');
+  process.exit(1);
+}
+// Provider responses of unrevealed seeds, keyed by session id; see seedProvenance().
+// A response may contain the seed, so before the reveal it is kept in memory only;
+// the stored session holds its hash. Stores written before this held them in the
+// state, from which they are removed here.
+const seedResponses = new Map(Object.entries(state.seedResponses || {}));
+if (state.seedResponses) {
+  delete state.seedResponses;
+  storage.purge(state);
 }
+// Encrypted seed envelopes of escrowed sessions until their reveal; see escrow.js
+state.seedEnvelopes = state.seedEnvelopes || {};
+// Allow-lists for self-service registration while it is open; see join.js
+state.joinLists = state.joinLists || {};
 
 // Create our blockchain instance. Events like session creation, seed reveal and draw
-// will append blocks to this chain.
-const chain = new Blockchain();
-
-// ====== Tianxuan chain configuration ======
-// These values can be overridden via environment variables. The host should be the
-// gateway RPC endpoint provided by TianXuan (e.g. tianxuanrpc.blockchain.163.com). The
-// token is supplied by the TianXuan service to authorise RPC calls. The method
-// defines which JSON‑RPC method to invoke to obtain a random number. If the call
-// fails or returns no usable seed, the server falls back to using generateSeed().
-const TX_NODE = process.env.TX_NODE || 'tianxuanrpc.blockchain.163.com';
-const TX_PORT = parseInt(process.env.TX_PORT, 10) || 80;
-const TX_TOKEN = process.env.TX_TOKEN || 'a18dec31-da57-4fe9-abe7-4632da65f1cd';
-// Common TianXuan methods include "thanos_getRandom" or "thanos_applyRandom". Adjust
-// this as needed based on the official API. See https://github.com/TianXuan-Chain/tianxuan-docs
-const TX_METHOD = process.env.TX_METHOD || 'thanos_getRandom';
+// will append blocks to this chain. The chain is reloaded from its log on startup and
+// re-verified; if verification fails the audit trail can no longer be trusted, so
+// every change that would append a block is refused until an operator has
+// investigated the log. New blocks are written together with the state, by
+// saveState(), and dropped when a failed request is rolled back.
+const chain = new Blockchain(CHAIN_FILE, { deferred: true });
+const chainValid = chain.isValid();
+if (!chainValid) {
+  console.error(`Blockchain log ${CHAIN_FILE} failed verification${chain.loadError ? ` (${chain.loadError})` : ''}; changes are disabled`);
+}
+// POST routes that never append a block and so keep working on a broken chain
+const CHAIN_FREE_ROUTES = ['/api/login', '/api/logout', '/api/seed', '/api/activeSession'];
+
+// Push every new block to connected screens (see eventstream.js)
+const events = new EventStream(chain);
+
+// Optional anchoring of commitments and results to Lottery.sol on an EVM chain;
+// enabled by ANCHOR_RPC_URL and ANCHOR_CONTRACT, see anchor.js
+const anchor = Anchor.fromEnv();
+if (anchor) console.log(`Anchoring sessions to contract ${anchor.contract} via ${anchor.rpcUrl}`);
+if (chainValid) failInterruptedAnchors();
+
+// Operator authentication. Every route that changes state requires a logged in
+// operator: registrars may only enroll participants, admins may do everything.
+const auth = new Auth(OPERATORS_FILE);
+if (auth.operators.length === 0) {
+  console.warn('No operators configured; run "node operators.js add <username> admin" to enable the admin API');
+}
+
+// Signs JSON result exports and self-service entry receipts; see signing.js
+const signer = new Signer(SIGNING_KEY_FILE);
+
+// Self-service entries through /api/join are limited per client address, with
+// room for the attendees of a venue sharing one, and by a ceiling for all
+// requests to an open registration together; requests failing the basic
+// checks do not count towards it, so junk cannot close registration for
+// everyone. Wrong codes are limited per address and id, so nobody can lock
+// an attendee out by failing on their id.
+const joinClients = new RateLimiter(60, 60 * 1000);
+const joinCeiling = new RateLimiter(300, 60 * 1000);
+const joinFailures = new RateLimiter(5, 15 * 60 * 1000);
+
+// Seeds handed out by /api/seed, keyed by their commitment, so createSession
+// can record where a session's seed came from. The seed itself is forgotten
+// once the session is created or the entry expires.
+const ISSUED_SEED_TTL_MS = 60 * 60 * 1000;
+const issuedSeeds = new Map();
 
 /**
- * Fetch a pseudo random seed from TianXuan chain via JSON‑RPC. The request is sent
- * using HTTP POST with a token header. The response should contain a property
- * "result" with either a string seed or an object containing the seed. Because
- * the exact API may vary depending on the deployed chain version, this function
- * attempts to extract the seed from several common field names. If the RPC call
- * fails or returns an unexpected format, the function falls back to generateSeed().
+ * Remember a seed fetched for an admin.
  *
- * @returns {Promise<{seed: string, seedHash: string}>} Resolved with seed and hash
+ * @param {Object} result Result of seeds.fetchSeed()
+ * @param {string} seedHash Commitment the admin will create the session with
  */
-function getTianxuanSeed() {
-  return new Promise((resolve) => {
-    const payload = JSON.stringify({
-      jsonrpc: '2.0',
-      method: TX_METHOD,
-      params: [],
-      id: Date.now()
-    });
-    const options = {
-      hostname: TX_NODE,
-      port: TX_PORT,
-      path: '/',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(payload),
-        token: TX_TOKEN
-      }
-    };
-    const req = httpClient.request(options, (resp) => {
-      let dataStr = '';
-      resp.on('data', chunk => dataStr += chunk);
-      resp.on('end', () => {
-        try {
-          const json = JSON.parse(dataStr);
-          let seed;
-          // Many RPC methods return the seed directly in result or nested under specific keys
-          if (typeof json.result === 'string') {
-            seed = json.result;
-          } else if (json.result && typeof json.result === 'object') {
-            // Try common keys: seed, random, randomSeed
-            seed = json.result.seed || json.result.random || json.result.randomSeed;
-          }
-          if (seed && typeof seed === 'string' && seed.length > 0) {
-            const seedHash = crypto.createHash('sha256').update(seed).digest('hex');
-            return resolve({ seed, seedHash });
-          }
-        } catch (e) {
-          // fall through to fallback
-        }
-        // fallback: generate local seed
-        const fallback = generateSeed();
-        return resolve(fallback);
-      });
-    });
-    req.on('error', () => {
-      const fallback = generateSeed();
-      resolve(fallback);
+function issueSeed(result, seedHash) {
+  const now = Date.now();
+  issuedSeeds.forEach((entry, key) => {
+    if (entry.expiresAt < now) issuedSeeds.delete(key);
+  });
+  issuedSeeds.set(seedHash, Object.assign({ expiresAt: now + ISSUED_SEED_TTL_MS }, result));
+}
+
+/**
+ * Provenance of a new session's seed under the session's provider and
+ * fallback policy. Seeds from a provider must have been fetched through
+ * /api/seed; manual seeds are recorded as such.
+ *
+ * @param {Object} data Request body with `seedProvider` and `seedFallback`,
+ *   already checked against their enums by the route's schema
+ * @param {string} seedHash The session's commitment
+ * @returns {{seedSource: Object, rawResponse: *}|{error: string, code: string}}
+ */
+function seedProvenance(data, seedHash) {
+  const provider = data.seedProvider || 'manual';
+  const fallback = data.seedFallback || 'none';
+  if (provider === 'manual') {
+    return { seedSource: { provider, fallback, source: 'manual', fetchedAt: null, responseHash: null }, rawResponse: null };
+  }
+  const issued = issuedSeeds.get(seedHash);
+  if (!issued || issued.expiresAt < Date.now()) {
+    return errors.fail('SEED_NOT_ISSUED', { provider });
+  }
+  const allowed = issued.source === provider || (issued.fallbackFrom === provider && issued.source === fallback);
+  if (!allowed) {
+    return errors.fail('SEED_SOURCE_MISMATCH', { source: issued.source, provider, fallback });
+  }
+  issuedSeeds.delete(seedHash);
+  const seedSource = {
+    provider, fallback, source: issued.source, fetchedAt: issued.fetchedAt,
+    responseHash: seeds.responseHash(issued.rawResponse)
+  };
+  if (issued.fallbackFrom) seedSource.fallbackReason = issued.fallbackReason;
+  if (issued.derivedBy) seedSource.derivedBy = issued.derivedBy;
+  return { seedSource, rawResponse: issued.rawResponse };
+}
+
+/**
+ * Prize tiers used for sessions created without an explicit list, and for
+ * sessions created before tiers became configurable. Tiers are drawn in
+ * ascending `order`, i.e. from the third prize up to the special prize.
+ */
+const DEFAULT_PRIZES = [
+  { id: 'third', name: '三等奖', prize: '咖啡厅优惠券', count: 20, order: 1 },
+  { id: 'second', name: '二等奖', prize: '文化衫', count: 5, order: 2 },
+  { id: 'first', name: '一等奖', prize: '阿伯丁小熊', count: 5, order: 3 },
+  { id: 'special', name: '特等奖', prize: '索尼蓝牙耳机', count: 1, order: 4 }
+];
+const MAX_PRIZES = 20;
+// Lottery.sol's MAX_WINNERS, kept by contract-algorithm sessions
+const CONTRACT_MAX_WINNERS = 100;
+
+/**
+ * Validate the prize definitions supplied to /api/createSession and return them
+ * sorted by draw order. Each definition needs a unique id made of word
+ * characters or dashes, a display name and a positive integer count; the
+ * description is optional and the order defaults to the position in the list.
+ *
+ * @param {Array} prizes Prize definitions from the request body
+ * @returns {{prizes: Array}|{error: string, code: string}} Normalised prizes or a failure
+ */
+function normalizePrizes(prizes) {
+  if (!Array.isArray(prizes) || prizes.length === 0 || prizes.length > MAX_PRIZES) {
+    return errors.fail('PRIZES_INVALID', { max: MAX_PRIZES });
+  }
+  const ids = new Set();
+  const result = [];
+  for (let i = 0; i < prizes.length; i++) {
+    const p = prizes[i] || {};
+    const id = String(p.id || '').trim();
+    const name = String(p.name || '').trim();
+    const count = Number(p.count);
+    const order = p.order === undefined || p.order === '' ? i + 1 : Number(p.order);
+    if (!/^[\w-]+$/.test(id)) return errors.fail('PRIZE_ID_INVALID', { index: i + 1 });
+    if (ids.has(id)) return errors.fail('PRIZE_ID_DUPLICATE', { index: i + 1, id });
+    if (!name) return errors.fail('PRIZE_NAME_REQUIRED', { id });
+    if (!Number.isInteger(count) || count < 1) return errors.fail('PRIZE_COUNT_INVALID', { id });
+    if (!Number.isFinite(order)) return errors.fail('PRIZE_ORDER_INVALID', { id });
+    ids.add(id);
+    result.push({ id, name, prize: String(p.prize || '').trim(), count, order });
+  }
+  // Array.prototype.sort is stable, so equal orders keep their listed position
+  result.sort((a, b) => a.order - b.order);
+  return { prizes: result };
+}
+
+/**
+ * Prize tiers of a session in draw order.
+ *
+ * @param {Object} session
+ * @returns {Array} Prize definitions
+ */
+function getPrizes(session) {
+  return session.prizes || DEFAULT_PRIZES;
+}
+
+/**
+ * Move a session to a new lifecycle state and record the transition on the
+ * chain. Callers must have checked lifecycle.canTransition() first. Closing
+ * registration freezes the participant list: the Merkle root of the sorted
+ * list is stored on the session and recorded in the transition block, and all
+ * later draws derive their randomness from it. A multi-party session only
+ * closes once a quorum of committers has committed; otherwise nothing changes
+ * and the reason is returned.
+ *
+ * @param {Object} session
+ * @param {string} to Target state
+ * @param {string} operator Username of the acting operator, or 'system' for scheduled transitions
+ * @param {Object} [extra] Additional fields for the block, e.g. a cancellation reason
+ * @returns {{error: string, code: string, params: Object}|null} A failure made with errors.fail(), or null
+ */
+function transition(session, to, operator, extra) {
+  if (to === lifecycle.STATES.REGISTRATION_CLOSED && session.committers) {
+    const blocker = committers.closeBlocker(session);
+    if (blocker) return blocker;
+  }
+  const from = session.status;
+  session.status = to;
+  delete session.closeDeferred;
+  if (to === lifecycle.STATES.REGISTRATION_CLOSED) {
+    const list = participantIds(session.id);
+    session.participantRoot = core.merkleRoot(list);
+    session.participantCount = list.length;
+    extra = Object.assign({ participantRoot: session.participantRoot, participantCount: list.length }, extra);
+    // commitments close with registration; their hash becomes the session's seed commitment
+    if (session.committers) {
+      session.seedHash = core.commitmentsHash(committers.committed(session).map(c => ({ committer: c.username, seedHash: c.seedHash })));
+      extra.seedHash = session.seedHash;
+    }
+    // eligibility rules are evaluated once, before the seed can be revealed
+    if (session.rules) {
+      const { priorWinners, excluded } = eligibility.evaluate(session.rules, list, currentWinners);
+      session.excluded = excluded;
+      Object.assign(extra, { priorWinners, excluded });
+    }
+  }
+  // self-service registration ends with the registration state
+  if (to !== lifecycle.STATES.REGISTRATION_OPEN) delete state.joinLists[session.id];
+  chain.addBlock(Object.assign({ type: 'SESSION_STATE', sessionId: session.id, from, to, operator }, extra));
+  if (to === lifecycle.STATES.REGISTRATION_CLOSED && session.committers) anchorSession(session, 'commitment');
+  if (to === lifecycle.STATES.COMPLETED) anchorSession(session, 'results');
+  return null;
+}
+
+/**
+ * Anchor a session's seed commitment or results on the EVM chain in the
+ * background. Progress is kept in `session.anchor[kind]` with a status of
+ * pending, anchored or failed, and each outcome is recorded as an ANCHORED or
+ * ANCHOR_FAILED block; attempts still pending at startup are failed, see
+ * failInterruptedAnchors(). A failed anchor stays flagged on the session until an
+ * admin retries it through /api/anchor; seeds cannot be revealed before their
+ * commitment is anchored.
+ *
+ * @param {Object} session
+ * @param {string} kind 'commitment', 'reveal' (contract-algorithm sessions
+ *   only) or 'results'
+ */
+function anchorSession(session, kind) {
+  if (!anchor) return;
+  session.anchor = session.anchor || { contract: anchor.contract };
+  const subjects = {
+    commitment: () => ({ seedHash: session.seedHash }),
+    reveal: () => ({ seed: session.revealedSeed }),
+    results: () => ({ resultsHash: core.toHex(core.resultsHash(session.id, state.winners[session.id] || {})) })
+  };
+  const subject = subjects[kind]();
+  const attempt = Object.assign({ status: 'pending' }, subject);
+  session.anchor[kind] = attempt;
+  const tasks = {
+    commitment: () => anchor.anchorCommitment(session),
+    reveal: () => anchor.anchorReveal(session.anchor.commitment.contractSessionId, session.revealedSeed),
+    results: () => anchor.anchorResults(subject.resultsHash)
+  };
+  const record = (outcome, block) => {
+    chain.addBlock(block);
+    // a newer attempt, e.g. after winners changed again, supersedes this one
+    if (session.anchor[kind] === attempt) session.anchor[kind] = outcome;
+    saveState();
+  };
+  tasks[kind]().then(result => {
+    record(Object.assign({ status: 'anchored' }, subject, result),
+      Object.assign({ type: 'ANCHORED', sessionId: session.id, kind, contract: anchor.contract }, subject, result));
+  }, err => {
+    console.error(`Anchoring ${kind} of session ${session.id} failed: ${err.message}`);
+    record(Object.assign({ status: 'failed', error: err.message }, subject),
+      { type: 'ANCHOR_FAILED', sessionId: session.id, kind, error: err.message });
+  }).catch(err => {
+    // the outcome could not be recorded, e.g. on a broken chain or a failing
+    // store; an attempt left pending would block the reveal for good
+    console.error(`Recording the anchoring of ${kind} of session ${session.id} failed: ${err.message}`);
+    rollbackState();
+    // the rollback restores a copy of the session, holding a copy of the attempt
+    const current = state.sessions[session.id];
+    const entry = current && current.anchor && current.anchor[kind];
+    if (entry && JSON.stringify(entry) === JSON.stringify(attempt)) {
+      current.anchor[kind] = Object.assign({ status: 'failed', error: `outcome not recorded: ${err.message}` }, subject);
+    }
+  });
+}
+
+/**
+ * Flag anchoring attempts that a restart cut off. They were still waiting for
+ * their transaction, which may or may not have been mined; as failed attempts
+ * an admin can check the node and retry them through /api/anchor, while a
+ * pending one would block the reveal for good.
+ */
+function failInterruptedAnchors() {
+  const error = 'interrupted by a server restart';
+  let changed = false;
+  Object.values(state.sessions).forEach(session => {
+    Object.keys(session.anchor || {}).forEach(kind => {
+      const entry = session.anchor[kind];
+      if (!entry || entry.status !== 'pending') return;
+      chain.addBlock({ type: 'ANCHOR_FAILED', sessionId: session.id, kind, error });
+      session.anchor[kind] = Object.assign({}, entry, { status: 'failed', error });
+      changed = true;
     });
-    req.write(payload);
-    req.end();
   });
+  if (changed) saveState();
+}
+
+/**
+ * Fix the seed of a multi-party session from the shares revealed so far and
+ * move the session on to seed_revealed. Callers check that enough shares are in.
+ *
+ * @param {Object} session Session with committers, registration closed
+ * @param {string} operator Username of the acting operator
+ */
+function finalizeSeed(session, operator) {
+  const shares = committers.revealed(session);
+  session.revealedSeed = core.combineSeeds(shares.map(c => ({ committer: c.username, seed: c.seed })));
+  chain.addBlock({
+    type: 'SEED_REVEALED', sessionId: session.id, seed: session.revealedSeed, operator,
+    committers: shares.map(c => c.username),
+    missing: committers.committed(session).filter(c => !c.seed).map(c => c.username)
+  });
+  transition(session, lifecycle.STATES.SEED_REVEALED, operator);
+  setActiveSession(session.id);
+}
+
+/**
+ * Apply transitions that are due because a registration window opened or
+ * closed. Runs periodically and before every API request so routes always
+ * see the current state; paused while the chain is broken, like every other
+ * change.
+ *
+ * A multi-party session whose window ends before a quorum has committed stays
+ * open, without taking entries, and is flagged with `closeDeferred` and a
+ * CLOSE_DEFERRED block; it closes as soon as enough commitments are in, or an
+ * admin cancels it.
+ */
+function applyScheduledTransitions() {
+  if (!chainValid) return;
+  let changed = false;
+  Object.values(state.sessions).forEach(session => {
+    const to = lifecycle.dueTransition(session);
+    if (!to) return;
+    const refused = transition(session, to, 'system');
+    if (!refused) {
+      changed = true;
+    } else if (!session.closeDeferred) {
+      const { committed, pending } = committers.progress(session);
+      session.closeDeferred = { at: Date.now(), committed: committed.length, quorum: session.quorum };
+      chain.addBlock({ type: 'CLOSE_DEFERRED', sessionId: session.id, committed, pending, quorum: session.quorum, operator: 'system' });
+      changed = true;
+    }
+  });
+  if (changed) saveState();
+}
+
+/**
+ * Reject an operation that is not allowed in the session's current state.
+ * Sends a 400 response and returns false if the state is not one of `allowed`.
+ *
+ * @param {http.ServerResponse} res
+ * @param {Object} session
+ * @param {Array<string>} allowed States in which the operation is permitted
+ * @param {string} action Description used in the error message, see ACTION_NAMES in errors.js
+ * @returns {boolean} True if the operation may proceed
+ */
+function requireStatus(res, session, allowed, action) {
+  if (allowed.includes(session.status)) return true;
+  sendError(res, 'INVALID_STATE', { action, status: session.status });
+  return false;
 }
 
 /**
- * Persist the current state to disk. This simple synchronous write is
- * sufficient for demonstration purposes. In a production system one might
- * employ an append‑only log or database for robustness.
+ * Commit the changes made to the state since the last call, then write the
+ * blocks recording them. Call it in the same tick as the mutations, before
+ * anything asynchronous, so each commit holds the complete effect of one
+ * request.
  */
 function saveState() {
-  fs.writeFileSync(DATA_FILE, JSON.stringify(state, null, 2));
+  storage.commit(state);
+  chain.flush();
 }
 
 /**
- * Utility function to send a JSON response.
+ * Undo the changes made to the state since the last commit together with
+ * the blocks recording them, e.g. when a request failed halfway.
+ */
+function rollbackState() {
+  storage.rollback(state);
+  chain.discard();
+}
+
+// Boolean options arrive as JSON booleans or as query string values
+function isFlagSet(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * Ensure the request comes from an operator holding at least the given role.
+ * Sends 401 or 403 and returns null otherwise, so callers can simply return.
  *
+ * @param {http.IncomingMessage} req
  * @param {http.ServerResponse} res
- * @param {number} status
- * @param {any} data
+ * @param {string} role Required role, one of Auth.ROLES
+ * @returns {{username: string, role: string}|null} The acting operator
  */
-function sendJSON(res, status, data) {
-  res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
-  res.end(JSON.stringify(data));
+function requireRole(req, res, role) {
+  const operator = auth.getOperator(req);
+  if (!operator) {
+    sendError(res, 'LOGIN_REQUIRED');
+    return null;
+  }
+  if (!Auth.hasRole(operator, role)) {
+    sendError(res, 'ROLE_REQUIRED', { role });
+    return null;
+  }
+  return operator;
+}
+
+/**
+ * Identifiers of a session's participants in entry order. Winner selection,
+ * the Merkle commitment and the bundle all work on identifiers only.
+ *
+ * @param {string} sessionId
+ * @returns {Array<string>}
+ */
+function participantIds(sessionId) {
+  return participants.ids(state.participants[sessionId]);
+}
+
+/**
+ * Participants that may win: everyone not excluded by the session's
+ * eligibility rules when registration closed.
+ *
+ * @param {Object} session
+ * @param {Array<string>} ids
+ * @returns {Array<string>}
+ */
+function eligibleIds(session, ids) {
+  const excluded = new Set((session.excluded || []).map(e => e.id));
+  return ids.filter(id => !excluded.has(id));
+}
+
+function participantWeights(sessionId) {
+  return participants.weights(state.participants[sessionId]);
 }
 
 /**
- * Generate a random seed and return its SHA‑256 hash. This helper returns
- * both the seed (hex string) and its hash so the caller can commit the
- * hash up front and later reveal the seed. In real scenarios the seed
- * should be generated client side and kept secret until reveal.
+ * Current winners of a session, voided winners excluded.
+ *
+ * @param {string} sessionId
+ * @returns {Array<string>}
+ */
+function currentWinners(sessionId) {
+  const winnersObj = state.winners[sessionId];
+  return winnersObj ? [].concat(...Object.values(winnersObj.tiers || {})) : [];
+}
+
+/**
+ * Add a participant to a session and record the USER_ENTERED block.
+ *
+ * @param {string} sessionId
+ * @param {Object} participant Normalised record not yet in the session
+ * @param {Object} source Who entered them: `{ operator }` or `{ selfService: mode }`
+ * @returns {Object} The block
+ */
+function enterParticipant(sessionId, participant, source) {
+  const fieldsHash = participants.seal(participant);
+  const list = state.participants[sessionId] || [];
+  list.push(participant);
+  state.participants[sessionId] = list;
+  const data = Object.assign({ type: 'USER_ENTERED', sessionId, user: participant.id }, source);
+  if (fieldsHash) data.fieldsHash = fieldsHash;
+  if (participant.weight) data.weight = participant.weight;
+  const block = chain.addBlock(data);
+  saveState();
+  return block;
+}
+
+// What history.js reads: the state, the chain's blocks and prize tiers
+function historyContext() {
+  return { state, blocks: chain.chain, getPrizes };
+}
+
+/**
+ * Participant records of a session as returned by the API: logged in
+ * operators see every field, everyone else only ids and display names.
+ *
+ * @param {string} sessionId
+ * @param {http.IncomingMessage} req
+ * @returns {Array<Object>}
  */
-function generateSeed() {
-  const seed = crypto.randomBytes(32).toString('hex');
-  const seedHash = crypto.createHash('sha256').update(seed).digest('hex');
-  return { seed, seedHash };
+function participantList(sessionId, req) {
+  const full = Auth.hasRole(auth.getOperator(req), 'registrar');
+  return (state.participants[sessionId] || []).map(p => participants.publicView(p, full));
 }
 
 /**
- * Fisher–Yates shuffle selection. Given an array of participants and a
- * random base, deterministically select k distinct winners. This matches the
- * algorithm used in the provided Solidity contract: a pseudo random index
- * derived from the base and the loop counter is used to swap winners into
- * the front of the array.
+ * Deterministically select k distinct winners from the participant list. The
+ * Fisher–Yates based algorithms live in public/lottery-core.js so that the
+ * offline verifier replays exactly the same code path. Sessions record the
+ * algorithm version they were created with; sessions from before versioning
+ * keep the legacy v1 algorithm. Weighted sessions draw by the participants'
+ * ticket weights.
  *
  * @param {Array} participants List of participant identifiers
  * @param {number} k Number of winners to choose
- * @param {Buffer} randBase Buffer used to seed the pseudo random generator
+ * @param {Uint8Array} randBase Bytes used to seed the pseudo random generator
+ * @param {Object} session Session whose selection algorithm to use
  * @returns {Array} List of chosen winners
  */
-function selectWinners(participants, k, randBase) {
-  const arr = participants.slice();
-  const n = arr.length;
-  for (let i = 0; i < k; i++) {
-    // Derive a 32‑bit unsigned integer using SHA‑256 on base + counter
-    const h = crypto.createHash('sha256').update(Buffer.concat([randBase, Buffer.from([i])])).digest();
-    const rnd = h.readUInt32BE(0);
-    const j = (rnd % (n - i)) + i;
-    // swap
-    const temp = arr[i];
-    arr[i] = arr[j];
-    arr[j] = temp;
-  }
-  return arr.slice(0, k);
+function selectWinners(participants, k, randBase, session, start = 0) {
+  // contract-algorithm sessions continue one shuffle of the whole list from
+  // position `start`, the number of winners drawn so far
+  if (session.selection === core.SELECTION_CONTRACT) return core.contractWinners(participants, start, k, randBase);
+  const weights = session.selection === core.SELECTION_WEIGHTED ? participantWeights(session.id) : undefined;
+  return core.selectWinners(participants, k, randBase, selectionVersion(session), weights);
+}
+
+function selectionVersion(session) {
+  return session.selection || core.SELECTION_V1;
+}
+
+/**
+ * Derive the random base for drawing one tier together with the ordered pool
+ * it applies to. Sessions whose participant list was committed when
+ * registration closed draw from the sorted list, with randomness that depends
+ * only on the seed, the participant root and the tier id, all fixed before the
+ * seed reveal. Sessions closed before commitments existed keep the legacy
+ * derivation from the chain tip so their results still replay.
+ *
+ * @param {Object} session Session with a revealed seed
+ * @param {string} tier Tier id
+ * @param {Array<string>} remaining Participants that have not won yet
+ * @returns {{randBase: Uint8Array, pool: Array<string>, randomness: string}}
+ */
+function tierRandomness(session, tier, remaining) {
+  if (session.selection === core.SELECTION_CONTRACT) {
+    // Lottery.sol's draw() derivation with the participant root standing in
+    // for the EVM block hash; every tier shares the base and the full list
+    const list = participantIds(session.id);
+    return {
+      randBase: core.contractRandBase(session.participantRoot, session.revealedSeed, list.length),
+      pool: core.sortedParticipants(list),
+      randomness: 'participant-root'
+    };
+  }
+  if (session.participantRoot) {
+    return {
+      randBase: core.commitmentRandBase(session.revealedSeed, session.participantRoot, tier),
+      pool: core.sortedParticipants(remaining),
+      randomness: 'participant-root'
+    };
+  }
+  return {
+    randBase: core.tierRandBase(chain.getLatestHash(), session.revealedSeed, tier),
+    pool: remaining,
+    randomness: 'chain-tip'
+  };
+}
+
+/**
+ * Whether a tier has been drawn. A tier whose winners were all voided still
+ * counts as drawn; it is refilled with replacement draws instead.
+ *
+ * @param {Object} winnersObj Winners record of the session
+ * @param {string} tier
+ * @returns {boolean}
+ */
+function isTierDrawn(winnersObj, tier) {
+  return (winnersObj.tiers[tier] || []).length > 0
+    || (winnersObj.forfeited || []).some(f => f.tier === tier);
+}
+
+/**
+ * Make a session the one shown on display screens that follow the host, and
+ * tell connected screens about it. The caller saves the state.
+ *
+ * @param {string} sessionId
+ */
+function setActiveSession(sessionId) {
+  if (state.activeSessionId === sessionId) return;
+  state.activeSessionId = sessionId;
+  events.publish('ACTIVE_SESSION', { sessionId });
+}
+
+/**
+ * Assemble the verification bundle for a session: everything an outsider needs
+ * to replay the draw offline with verify.js or /verify.html. The blocks are the
+ * contiguous slice of the chain from the session's first block to its last one,
+ * so the hash links between them can be checked even when other sessions' blocks
+ * are interleaved.
+ *
+ * @param {string} id Session identifier
+ * @returns {Object|null} The bundle, or null if the session does not exist
+ */
+function buildBundle(id) {
+  const session = state.sessions[id];
+  if (!session) return null;
+  const indexes = chain.chain.filter(b => b.data && b.data.sessionId === id).map(b => b.index);
+  const blocks = indexes.length > 0
+    ? chain.chain.slice(Math.min(...indexes), Math.max(...indexes) + 1)
+    : [];
+  const winners = state.winners[id] || { all: [], tiers: {} };
+  const tierOrder = [];
+  blocks.forEach(b => {
+    if (!b.data || b.data.sessionId !== id) return;
+    if (b.data.type === 'TIER_DRAWN') tierOrder.push(b.data.tier);
+    if (b.data.type === 'DRAWN') tierOrder.push(...Object.keys(b.data.tiers));
+  });
+  return {
+    version: 1,
+    session: {
+      id: session.id,
+      name: session.name,
+      seedHash: session.seedHash,
+      prizes: getPrizes(session),
+      participantRoot: session.participantRoot || null,
+      selection: selectionVersion(session),
+      // also for contract-algorithm sessions created before it was recorded
+      contractDraw: selectionVersion(session) === core.SELECTION_CONTRACT ? core.CONTRACT_DRAW : null,
+      rules: session.rules || null,
+      anchor: session.anchor || null
+    },
+    seed: session.revealedSeed,
+    participants: participantIds(id),
+    tierOrder,
+    winners,
+    blocks
+  };
+}
+
+/**
+ * Inclusion proof of a participant for /api/proof: a Merkle proof against the
+ * participant root recorded when registration closed, the close block itself
+ * and the blocks recording the participant's draw results, so that the lookup
+ * page can recompute every hash without trusting the server.
+ *
+ * @param {Object} session
+ * @param {string} user Participant id
+ * @returns {Object|null} null when the participant is not in the session
+ */
+function buildProof(session, user) {
+  const proof = core.merkleProof(participantIds(session.id), user);
+  if (!proof) return null;
+  const blocks = chain.chain.filter(b => b.data && b.data.sessionId === session.id);
+  const closeBlock = blocks.find(b => b.data.type === 'SESSION_STATE' && b.data.to === lifecycle.STATES.REGISTRATION_CLOSED);
+  const entryBlock = blocks.find(b => (b.data.type === 'USER_ENTERED' && b.data.user === user) ||
+    (b.data.type === 'USERS_IMPORTED' && b.data.users.includes(user)));
+  const prizes = getPrizes(session);
+  const outcome = (result, tier, block, extra) => {
+    const prize = prizes.find(p => p.id === tier);
+    return Object.assign({ result, tier, name: prize ? prize.name : tier, prize: prize ? prize.prize : '' }, extra, { block });
+  };
+  // in chain order, so a voided win is followed by its WINNER_VOIDED outcome
+  const outcomes = [];
+  blocks.forEach(b => {
+    const data = b.data;
+    if (data.type === 'TIER_DRAWN' && data.winners.includes(user)) outcomes.push(outcome('won', data.tier, b));
+    if (data.type === 'DRAWN') {
+      Object.keys(data.tiers).filter(tier => data.tiers[tier].includes(user)).forEach(tier => outcomes.push(outcome('won', tier, b)));
+    }
+    if (data.type === 'REPLACEMENT_DRAWN' && data.winner === user) {
+      outcomes.push(outcome('replacement', data.tier, b, { replaces: data.replaces }));
+    }
+    if (data.type === 'WINNER_VOIDED' && data.user === user) outcomes.push(outcome('voided', data.tier, b, { reason: data.reason }));
+  });
+  return {
+    session: { id: session.id, name: session.name, status: session.status },
+    user,
+    root: session.participantRoot,
+    proof,
+    closeBlock,
+    entryBlock: entryBlock ? { index: entryBlock.index, hash: entryBlock.hash, type: entryBlock.data.type } : null,
+    excluded: (session.excluded || []).filter(e => e.id === user),
+    outcomes
+  };
 }
 
 /**
- * Main HTTP request handler. Routes requests to appropriate handlers based on
- * path and method. Supports API endpoints under `/api` and serves static
- * assets from the `public` directory for all other paths.
+ * Send the failure a module returned, see errors.fail().
+ *
+ * @param {http.ServerResponse} res
+ * @param {{code: string, params?: Object}} failure
+ */
+function sendFailure(res, failure) {
+  sendError(res, failure.code, failure.params);
+}
+
+// Schemas of request fields shared by several routes; see router.js
+const SESSION_ID = { type: 'string', description: 'Session id' };
+const TIMESTAMP = { type: ['number', 'string', 'null'], description: 'Epoch milliseconds or an ISO 8601 date' };
+const USERS = { type: 'array', items: { type: ['string', 'object'] }, description: 'Participant ids or records' };
+const UPLOAD_OPTIONS = {
+  delimiter: { type: 'string', enum: ['comma', 'tab'], description: 'Detected when not given' },
+  header: { type: 'string', description: 'auto (the default), true or false' },
+  idColumn: { type: 'string', description: 'Column number starting at 1 or header name' },
+  dryRun: { type: 'string', description: '1 to return the report without storing anything' }
+};
+const sessionBody = (properties, required) => ({
+  type: 'object',
+  required: ['sessionId'].concat(required || []),
+  properties: Object.assign({ sessionId: SESSION_ID }, properties)
+});
+
+const router = new Router({
+  authorize: requireRole,
+  onError(err) {
+    console.error(err);
+    // do not let a later commit persist what the failed request left half done
+    rollbackState();
+  }
+});
+
+router.get('/api/openapi.json', { summary: 'This API description' }, (req, res) => {
+  sendJSON(res, 200, router.openapi({ title: 'Lottery API', version: '1.0.0' }));
+});
+router.get('/api/me', { summary: 'The logged in operator, or null' }, (req, res) => {
+  sendJSON(res, 200, { operator: auth.getOperator(req) });
+});
+router.get('/api/sessions', { summary: 'All sessions by id' }, (req, res) => {
+  sendJSON(res, 200, { sessions: state.sessions });
+});
+// session history, filtered and paginated (see history.js)
+const HISTORY_QUERY = {
+  page: { type: 'string' },
+  pageSize: { type: 'string' },
+  status: { type: 'string', description: 'Comma separated session states' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  q: { type: 'string', description: 'Search in session names and ids' }
+};
+router.get('/api/history/sessions', {
+  summary: 'Session history',
+  query: { type: 'object', properties: HISTORY_QUERY }
+}, (req, res, { query }) => {
+  const result = history.listSessions(historyContext(), query);
+  if (result.error) return sendFailure(res, result);
+  sendJSON(res, 200, result);
+});
+router.get('/api/history/participant', {
+  summary: 'Entries and wins of one participant across sessions',
+  role: 'registrar',
+  query: { type: 'object', required: ['id'], properties: Object.assign({ id: { type: 'string' } }, HISTORY_QUERY) }
+}, (req, res, { query }) => {
+  const id = query.id.trim();
+  if (!id) return sendError(res, 'PARTICIPANT_ID_REQUIRED');
+  const result = history.participantHistory(historyContext(), id, query);
+  if (result.error) return sendFailure(res, result);
+  sendJSON(res, 200, result);
+});
+router.get('/api/history/stats', {
+  summary: 'Statistics over the filtered sessions',
+  role: 'registrar',
+  query: { type: 'object', properties: HISTORY_QUERY }
+}, (req, res, { query }) => {
+  const result = history.stats(historyContext(), query);
+  if (result.error) return sendFailure(res, result);
+  sendJSON(res, 200, result);
+});
+// live block events; ?session=ID limits the stream to one session
+router.get('/api/events', {
+  summary: 'Server-sent events with every new block',
+  query: { type: 'object', properties: { session: SESSION_ID, since: { type: 'string', description: 'Last block index seen' } } }
+}, (req, res, { query }) => {
+  events.subscribe(req, res, {
+    sessionId: query.session,
+    since: EventStream.resumeIndex(req, query.since)
+  });
+});
+router.get('/api/activeSession', { summary: 'Session shown on display screens' }, (req, res) => {
+  sendJSON(res, 200, { sessionId: state.activeSessionId || null });
+});
+router.get('/api/blockchain', { summary: 'The whole chain and whether it verified at startup' }, (req, res) => {
+  sendJSON(res, 200, { chain: chain.chain, valid: chainValid });
+});
+router.get('/api/winners', {
+  summary: 'Winners of a session',
+  query: { type: 'object', properties: { id: SESSION_ID } }
+}, (req, res, { query }) => {
+  const winners = state.winners[query.id] || { all: [], tiers: {} };
+  sendJSON(res, 200, { winners });
+});
+router.get('/api/bundle', {
+  summary: 'Verification bundle of a session',
+  query: { type: 'object', required: ['id'], properties: { id: SESSION_ID } }
+}, (req, res, { query }) => {
+  const bundle = buildBundle(query.id);
+  if (!bundle) return sendError(res, 'SESSION_NOT_FOUND');
+  sendJSON(res, 200, bundle);
+});
+// Merkle inclusion proof and draw results of one participant
+router.get('/api/proof', {
+  summary: 'Inclusion proof and draw results of a participant',
+  query: { type: 'object', required: ['session', 'user'], properties: { session: SESSION_ID, user: { type: 'string' } } }
+}, (req, res, { query }) => {
+  const session = state.sessions[query.session];
+  if (!session) return sendError(res, 'SESSION_NOT_FOUND');
+  if (!session.participantRoot) return sendError(res, 'PROOF_NOT_READY');
+  const proof = buildProof(session, query.user);
+  if (!proof) return sendError(res, 'PARTICIPANT_NOT_FOUND');
+  sendJSON(res, 200, proof);
+});
+// seed envelope of an escrowed session, as printable page or ?format=text
+router.get('/api/envelope', {
+  summary: 'Seed envelope of an escrowed session',
+  role: 'admin',
+  query: { type: 'object', required: ['id'], properties: { id: SESSION_ID, format: { type: 'string', enum: ['html', 'text'] } } }
+}, (req, res, { query }) => {
+  const session = state.sessions[query.id];
+  const envelope = session && state.seedEnvelopes[session.id];
+  if (!envelope) return sendError(res, 'ENVELOPE_NOT_FOUND');
+  if (query.format === 'text') {
+    res.writeHead(200, {
+      'Content-Type': 'text/plain; charset=utf-8',
+      'Content-Disposition': `attachment; filename="seed-envelope-${session.id}.txt"`
+    });
+    return res.end(envelope + '\n');
+  }
+  res.writeHead(200, Object.assign({ 'Content-Type': 'text/html; charset=utf-8' }, StaticFiles.securityHeaders(StaticFiles.PRINTABLE_POLICY)));
+  res.end(escrow.printablePage(session, envelope));
+});
+// results as ?format=json (signed bundle, the default), csv or html (printable certificate)
+router.get('/api/export', {
+  summary: 'Results as signed JSON, CSV or a printable certificate',
+  query: { type: 'object', required: ['id'], properties: { id: SESSION_ID, format: { type: 'string', enum: ['json', 'csv', 'html'] } } }
+}, (req, res, { query }) => {
+  const bundle = buildBundle(query.id);
+  if (!bundle) return sendError(res, 'SESSION_NOT_FOUND');
+  const id = bundle.session.id;
+  const format = query.format || 'json';
+  if (format === 'json') {
+    const signed = signer.sign(Object.assign({ exportedAt: Date.now() }, bundle));
+    return sendJSON(res, 200, signed, { 'Content-Disposition': `attachment; filename="results-${id}.json"` });
+  }
+  const full = Auth.hasRole(auth.getOperator(req), 'registrar');
+  const records = new Map((state.participants[id] || []).map(p => [p.id, participants.publicView(p, full)]));
+  if (format === 'csv') {
+    res.writeHead(200, {
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="results-${id}.csv"`
+    });
+    return res.end(exporter.toCSV(bundle.session.prizes, bundle.winners, records, full));
+  }
+  if (state.sessions[id].status !== lifecycle.STATES.COMPLETED) return sendError(res, 'CERTIFICATE_NOT_READY');
+  const proto = req.headers['x-forwarded-proto'] === 'https' ? 'https' : 'http';
+  res.writeHead(200, Object.assign({ 'Content-Type': 'text/html; charset=utf-8' }, StaticFiles.securityHeaders(StaticFiles.PRINTABLE_POLICY)));
+  res.end(exporter.certificatePage(bundle, records, {
+    resultsHash: core.toHex(core.resultsHash(id, bundle.winners)),
+    keyId: signer.keyId,
+    verifyUrl: `${proto}://${req.headers.host}/verify.html?session=${encodeURIComponent(id)}`
+  }));
+});
+router.get('/api/participants', {
+  summary: 'Participants of a session; operators see every field',
+  query: { type: 'object', properties: { id: SESSION_ID } }
+}, (req, res, { query }) => {
+  sendJSON(res, 200, { participants: participantList(query.id, req) });
+});
+// what the /join page needs to know about a session with self-service registration
+router.get('/api/join', {
+  summary: 'Self-service registration status of a session',
+  query: { type: 'object', required: ['session'], properties: { session: SESSION_ID } }
+}, (req, res, { query }) => {
+  const session = state.sessions[query.session];
+  if (!session || !session.selfService) return sendError(res, 'SELF_SERVICE_UNAVAILABLE');
+  sendJSON(res, 200, {
+    session: { id: session.id, name: session.name, status: session.status },
+    mode: session.selfService,
+    open: lifecycle.isRegistrationOpen(session) && !!state.joinLists[session.id]
+  });
+});
+// QR code of the /join page, shown on the big screen
+router.get('/api/joinQR', {
+  summary: 'QR code of the self-service registration page as SVG',
+  query: { type: 'object', required: ['session'], properties: { session: SESSION_ID } }
+}, (req, res, { query }) => {
+  const session = state.sessions[query.session];
+  if (!session || !session.selfService) return sendError(res, 'SELF_SERVICE_UNAVAILABLE');
+  const proto = req.headers['x-forwarded-proto'] === 'https' ? 'https' : 'http';
+  res.writeHead(200, { 'Content-Type': 'image/svg+xml', 'Cache-Control': 'no-cache' });
+  res.end(qrcode.toSVG(`${proto}://${req.headers.host}/join?session=${encodeURIComponent(session.id)}`));
+});
+
+// operator login: opens a cookie session
+router.post('/api/login', {
+  summary: 'Log in as an operator',
+  body: {
+    type: 'object',
+    required: ['username', 'password'],
+    properties: { username: { type: 'string' }, password: { type: 'string' } }
+  }
+}, (req, res, { body }) => {
+  const result = auth.login(body.username, body.password);
+  if (!result) return sendError(res, 'INVALID_CREDENTIALS');
+  sendJSON(res, 200, { operator: result.operator }, { 'Set-Cookie': Auth.sessionCookie(result.token) });
+});
+router.post('/api/logout', { summary: 'End the operator session' }, (req, res) => {
+  auth.logout(req);
+  sendJSON(res, 200, { ok: true }, { 'Set-Cookie': Auth.clearCookie() });
+});
+// fetch a seed for a new session from one of the seed providers
+router.post('/api/seed', {
+  summary: 'Fetch a seed from a seed provider',
+  role: 'admin',
+  maxBytes: MAX_BODY_BYTES,
+  body: {
+    type: 'object',
+    required: ['provider'],
+    properties: {
+      provider: { type: 'string', enum: seeds.PROVIDERS.filter(p => p !== 'manual') },
+      fallback: { type: 'string', enum: seeds.FALLBACKS },
+      beacon: { type: ['string', 'object'], description: 'Beacon file of the beacon provider' },
+      bytes32: { type: 'boolean', description: 'Derive a 32-byte seed for contract-algorithm sessions' }
+    }
+  }
+}, (req, res, { body }) => {
+  const { provider, fallback, beacon, bytes32 } = body;
+  return seeds.fetchSeed(provider, { fallback, beacon }).then(result => {
+    // contract-algorithm sessions need a 32-byte seed
+    if (bytes32 === true && !core.isBytes32(result.seed)) {
+      result.seed = core.sha256Hex(result.seed);
+      result.derivedBy = 'sha256';
+    }
+    const seedHash = bytes32 === true ? core.contractSeedHash(result.seed) : core.sha256Hex(result.seed);
+    issueSeed(result, seedHash);
+    sendJSON(res, 200, Object.assign({ seedHash }, result));
+  }, err => sendError(res, 'SEED_FETCH_FAILED', { reason: err.message }));
+});
+// create session
+router.post('/api/createSession', {
+  summary: 'Create a session',
+  role: 'admin',
+  maxBytes: MAX_BODY_BYTES,
+  body: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string' },
+      seedHash: { type: 'string', description: 'Commitment to the seed; not given with committers or an escrow password' },
+      seedProvider: { type: 'string', enum: seeds.PROVIDERS },
+      seedFallback: { type: 'string', enum: seeds.FALLBACKS },
+      prizes: { type: 'array', items: { type: 'object' }, maxItems: MAX_PRIZES },
+      committers: { type: ['array', 'null'], description: 'Operator usernames committing to seed shares' },
+      quorum: { type: ['number', 'string', 'null'] },
+      revealDeadline: TIMESTAMP,
+      escrowPassword: { type: ['string', 'null'], description: 'Seal a server-generated seed with this password' },
+      contractAlgorithm: { type: 'boolean', description: 'Draw off-chain with the algorithm of Lottery.sol draw()' },
+      contractCompatible: { type: 'boolean', description: 'Former name of contractAlgorithm' },
+      rules: { type: ['object', 'null'], description: 'Eligibility rules, see eligibility.js' },
+      registrationOpensAt: TIMESTAMP,
+      registrationClosesAt: TIMESTAMP
+    }
+  }
+}, (req, res, { body: data, operator }) => {
+  const { name, seedHash } = data;
+  // sessions with committers get their seed commitment when registration closes
+  const multiParty = committers.normalizeConfig(data, username => !!auth.findOperator(username));
+  if (multiParty && multiParty.error) return sendFailure(res, multiParty);
+  // escrowed sessions get a server-generated seed sealed with this password
+  const escrowed = data.escrowPassword !== undefined && data.escrowPassword !== null;
+  if (!seedHash && !multiParty && !escrowed) return sendError(res, 'SEED_HASH_REQUIRED');
+  if (multiParty && seedHash) return sendError(res, 'COMMITTERS_WITH_SEED_HASH');
+  if (escrowed && (seedHash || multiParty)) return sendError(res, 'ESCROW_EXCLUSIVE');
+  const normalized = data.prizes === undefined ? { prizes: DEFAULT_PRIZES } : normalizePrizes(data.prizes);
+  if (normalized.error) return sendFailure(res, normalized);
+  const { prizes } = normalized;
+  // contract-algorithm sessions commit to keccak256 of a 32-byte seed and draw
+  // with the formulas of Lottery.sol's draw(), but from the participant root
+  // and sorted list, so the contract cannot reproduce them; see core.CONTRACT_DRAW
+  const contractAlgorithm = data.contractAlgorithm === true || data.contractCompatible === true;
+  if (contractAlgorithm && multiParty) return sendError(res, 'CONTRACT_NO_COMMITTERS');
+  if (contractAlgorithm && !escrowed && !core.isBytes32(seedHash)) return sendError(res, 'CONTRACT_SEED_HASH');
+  if (contractAlgorithm && prizes.reduce((sum, p) => sum + p.count, 0) > CONTRACT_MAX_WINNERS) {
+    return sendError(res, 'CONTRACT_TOO_MANY_WINNERS', { max: CONTRACT_MAX_WINNERS });
+  }
+  // eligibility rules may also be set later, until registration closes
+  const ruleCheck = eligibility.normalizeRules(data.rules, sid => !!state.sessions[sid]);
+  if (ruleCheck.error) return sendFailure(res, ruleCheck);
+  const { rules } = ruleCheck;
+  if (contractAlgorithm && rules) return sendError(res, 'CONTRACT_NO_RULES');
+  let selection = contractAlgorithm ? core.SELECTION_CONTRACT : core.SELECTION_V2;
+  if (rules && rules.weighted) selection = core.SELECTION_WEIGHTED;
+  const registrationOpensAt = lifecycle.parseTimestamp(data.registrationOpensAt);
+  const registrationClosesAt = lifecycle.parseTimestamp(data.registrationClosesAt);
+  if (registrationOpensAt === undefined || registrationClosesAt === undefined) {
+    return sendError(res, 'INVALID_REGISTRATION_WINDOW');
+  }
+  if (registrationOpensAt && registrationClosesAt && registrationOpensAt >= registrationClosesAt) {
+    return sendError(res, 'REGISTRATION_WINDOW_ORDER');
+  }
+  const id = String(Date.now());
+  // the escrowed seed lives only in this request; the server keeps its commitment and envelope
+  const sealed = escrowed ? escrow.seal(id, data.escrowPassword) : null;
+  if (sealed && sealed.error) return sendFailure(res, sealed);
+  let committedHash = seedHash;
+  if (multiParty) committedHash = null;
+  else if (sealed) committedHash = core.seedCommitment(sealed.seed, selection);
+  else if (contractAlgorithm) committedHash = seedHash.replace(/^0x/i, '').toLowerCase();
+  let provenance;
+  if (multiParty) {
+    provenance = { seedSource: null, rawResponse: null };
+  } else if (sealed) {
+    provenance = {
+      seedSource: { provider: 'escrow', fallback: 'none', source: 'escrow', fetchedAt: Date.now(), responseHash: null },
+      rawResponse: null
+    };
+  } else {
+    provenance = seedProvenance(data, committedHash);
+  }
+  if (provenance.error) return sendFailure(res, provenance);
+  const { seedSource } = provenance;
+  state.sessions[id] = {
+    id, name, seedHash: committedHash, prizes, revealedSeed: null, drawn: false,
+    status: lifecycle.STATES.DRAFT, registrationOpensAt, registrationClosesAt,
+    selection, seedSource, createdAt: Date.now()
+  };
+  // the provider's response may contain the seed, so it is published only at reveal
+  if (provenance.rawResponse !== null) seedResponses.set(id, provenance.rawResponse);
+  if (multiParty) Object.assign(state.sessions[id], multiParty);
+  if (rules) state.sessions[id].rules = rules;
+  // auditors must not expect the contract's draw() to reproduce the winners
+  if (contractAlgorithm) state.sessions[id].contractDraw = core.CONTRACT_DRAW;
+  if (sealed) {
+    state.sessions[id].escrow = true;
+    state.seedEnvelopes[id] = sealed.envelope;
+  }
+  state.participants[id] = [];
+  // Initialize winners record as an object with `all` and `tiers` properties.
+  // Previously this was an array, which caused errors when accessing winners.tiers later.
+  state.winners[id] = { all: [], tiers: {} };
+  // record on blockchain
+  const created = {
+    type: 'SESSION_CREATED', sessionId: id, name, seedHash: committedHash, prizes,
+    status: lifecycle.STATES.DRAFT, registrationOpensAt, registrationClosesAt,
+    selection, seedSource, operator: operator.username
+  };
+  if (multiParty) {
+    Object.assign(created, {
+      committers: multiParty.committers.map(c => c.username),
+      quorum: multiParty.quorum,
+      revealDeadline: multiParty.revealDeadline
+    });
+  }
+  if (sealed) created.escrow = true;
+  if (rules) created.rules = rules;
+  if (contractAlgorithm) created.contractDraw = core.CONTRACT_DRAW;
+  chain.addBlock(created);
+  if (!multiParty) anchorSession(state.sessions[id], 'commitment');
+  // the window may already have started
+  applyScheduledTransitions();
+  saveState();
+  if (sealed) return sendJSON(res, 200, { sessionId: id, seedHash: committedHash, envelope: sealed.envelope });
+  sendJSON(res, 200, { sessionId: id });
+});
+// manual lifecycle transitions
+const manualTransitions = {
+  '/api/openRegistration': lifecycle.STATES.REGISTRATION_OPEN,
+  '/api/closeRegistration': lifecycle.STATES.REGISTRATION_CLOSED,
+  '/api/cancelSession': lifecycle.STATES.CANCELLED
+};
+Object.keys(manualTransitions).forEach(route => {
+  const to = manualTransitions[route];
+  router.post(route, {
+    summary: `Move a session to ${to}`,
+    role: 'admin',
+    body: sessionBody(to === lifecycle.STATES.CANCELLED ? { reason: { type: 'string' } } : {})
+  }, (req, res, { body, operator }) => {
+    const session = state.sessions[body.sessionId];
+    if (!session) return sendError(res, 'SESSION_NOT_FOUND');
+    if (!lifecycle.canTransition(session.status, to)) return sendError(res, 'INVALID_TRANSITION', { from: session.status, to });
+    if (to === lifecycle.STATES.REGISTRATION_OPEN && session.registrationClosesAt && Date.now() >= session.registrationClosesAt) {
+      return sendError(res, 'REGISTRATION_WINDOW_ENDED');
+    }
+    const refused = transition(session, to, operator.username, to === lifecycle.STATES.CANCELLED ? { reason: body.reason || '' } : undefined);
+    if (refused) return sendFailure(res, refused);
+    saveState();
+    sendJSON(res, 200, { session });
+  });
+});
+// replace the eligibility rules of a session; `rules: null` removes them
+router.post('/api/sessionRules', {
+  summary: 'Replace the eligibility rules of a session',
+  role: 'admin',
+  maxBytes: MAX_BODY_BYTES,
+  body: sessionBody({ rules: { type: ['object', 'null'] } })
+}, (req, res, { body, operator }) => {
+  const { sessionId } = body;
+  const session = state.sessions[sessionId];
+  if (!session) return sendError(res, 'SESSION_NOT_FOUND');
+  if (!requireStatus(res, session, [lifecycle.STATES.DRAFT, lifecycle.STATES.REGISTRATION_OPEN], 'change eligibility rules')) return;
+  if (session.selection === core.SELECTION_CONTRACT) return sendError(res, 'CONTRACT_NO_RULES');
+  const ruleCheck = eligibility.normalizeRules(body.rules, sid => sid !== sessionId && !!state.sessions[sid]);
+  if (ruleCheck.error) return sendFailure(res, ruleCheck);
+  const { rules } = ruleCheck;
+  if (rules) session.rules = rules;
+  else delete session.rules;
+  session.selection = rules && rules.weighted ? core.SELECTION_WEIGHTED : core.SELECTION_V2;
+  chain.addBlock({ type: 'RULES_SET', sessionId, rules, selection: session.selection, operator: operator.username });
+  saveState();
+  sendJSON(res, 200, { session });
+});
+// register participant
+router.post('/api/enter', {
+  summary: 'Enter a participant',
+  role: 'registrar',
+  body: sessionBody({ user: { type: ['string', 'object'], description: 'Participant id or record' } }, ['user'])
+}, (req, res, { body, operator }) => {
+  const { sessionId, user } = body;
+  if (!state.sessions[sessionId]) return sendError(res, 'SESSION_NOT_FOUND');
+  if (!lifecycle.isRegistrationOpen(state.sessions[sessionId])) return sendError(res, 'REGISTRATION_NOT_OPEN');
+  const normalized = participants.normalizeParticipant(user);
+  if (normalized.error) return sendFailure(res, normalized);
+  const participant = normalized.participant;
+  if (!(state.participants[sessionId] || []).some(p => p.id === participant.id)) {
+    enterParticipant(sessionId, participant, { operator: operator.username });
+  }
+  sendJSON(res, 200, { participants: participantList(sessionId, req) });
+});
+// commit to a seed share of a multi-party session
+router.post('/api/commitSeed', {
+  summary: 'Commit to a seed share of a multi-party session',
+  role: 'committer',
+  body: sessionBody({ seedHash: { type: 'string', description: 'SHA-256 of the share' } }, ['seedHash'])
+}, (req, res, { body, operator }) => {
+  const { sessionId, seedHash } = body;
+  const session = state.sessions[sessionId];
+  if (!session) return sendError(res, 'SESSION_NOT_FOUND');
+  const share = committers.findCommitter(session, operator.username);
+  if (!share) return sendError(res, 'NOT_A_COMMITTER');
+  if (!requireStatus(res, session, [lifecycle.STATES.DRAFT, lifecycle.STATES.REGISTRATION_OPEN], 'commit a seed')) return;
+  if (share.seedHash) return sendError(res, 'SEED_ALREADY_COMMITTED');
+  if (!/^[0-9a-f]{64}$/i.test(seedHash)) return sendError(res, 'SEED_HASH_INVALID');
+  share.seedHash = seedHash.toLowerCase();
+  share.committedAt = Date.now();
+  chain.addBlock({ type: 'SEED_COMMITTED', sessionId, committer: operator.username, seedHash: share.seedHash });
+  saveState();
+  sendJSON(res, 200, { ok: true, progress: committers.progress(session) });
+});
+// reveal seed
+router.post('/api/revealSeed', {
+  summary: 'Reveal the seed, a seed share or open the seed envelope',
+  role: 'committer',
+  body: sessionBody({
+    seed: { type: 'string' },
+    password: { type: 'string', description: 'Envelope password of an escrowed session' },
+    envelope: { type: 'string', description: 'Uploaded copy of the envelope' },
+    sourceResponse: { description: 'Seed provider response as returned by /api/seed, needed after a server restart' }
+  })
+}, (req, res, { body, operator }) => {
+  const { sessionId, password } = body;
+  let { seed } = body;
+  if (!seed && !password) return sendError(res, 'SEED_REQUIRED');
+  const session = state.sessions[sessionId];
+  if (!session) return sendError(res, 'SESSION_NOT_FOUND');
+  if (!session.committers && !Auth.hasRole(operator, 'admin')) return sendError(res, 'ROLE_REQUIRED', { role: 'admin' });
+  if (!requireStatus(res, session, [lifecycle.STATES.REGISTRATION_CLOSED], 'reveal the seed')) return;
+  // escrowed sessions reveal by opening their envelope, the uploaded copy or the server's
+  if (!seed) {
+    if (!session.escrow) return sendError(res, 'SEED_REQUIRED');
+    const opened = escrow.open(body.envelope || state.seedEnvelopes[sessionId], sessionId, password);
+    if (opened.error) return sendFailure(res, opened);
+    seed = opened.seed;
+  }
+  if (session.committers) {
+    const share = committers.findCommitter(session, operator.username);
+    if (!share || !share.seedHash) return sendError(res, 'NO_SEED_COMMITMENT');
+    if (share.seed) return sendError(res, 'SEED_ALREADY_REVEALED');
+    if (core.sha256Hex(seed) !== share.seedHash) return sendError(res, 'SEED_HASH_MISMATCH');
+    const commitment = session.anchor && session.anchor.commitment;
+    if (commitment && commitment.status !== 'anchored') return sendError(res, 'COMMITMENT_NOT_ANCHORED', { status: commitment.status });
+    share.seed = seed;
+    share.revealedAt = Date.now();
+    chain.addBlock({ type: 'SEED_SHARE_REVEALED', sessionId, committer: operator.username, seed });
+    // the last outstanding share fixes the seed right away if the shares make a quorum
+    const finalized = committers.allRevealed(session);
+    if (finalized) finalizeSeed(session, operator.username);
+    saveState();
+    return sendJSON(res, 200, { ok: true, finalized, progress: committers.progress(session) });
+  }
+  const contractMode = session.selection === core.SELECTION_CONTRACT;
+  if (contractMode && !core.isBytes32(seed)) return sendError(res, 'CONTRACT_SEED');
+  const revealed = contractMode ? seed.replace(/^0x/i, '').toLowerCase() : seed;
+  // validate hash
+  if (core.seedCommitment(revealed, session.selection) !== session.seedHash) return sendError(res, 'SEED_HASH_MISMATCH');
+  const commitment = session.anchor && session.anchor.commitment;
+  if (commitment && commitment.status !== 'anchored') return sendError(res, 'COMMITMENT_NOT_ANCHORED', { status: commitment.status });
+  // the server forgets the provider's response when it restarts; the admin got it from /api/seed
+  const responseHash = session.seedSource && session.seedSource.responseHash;
+  const sourceResponse = seedResponses.has(sessionId) ? seedResponses.get(sessionId) : body.sourceResponse;
+  if (responseHash && sourceResponse !== undefined && seeds.responseHash(sourceResponse) !== responseHash) {
+    return sendError(res, 'SOURCE_RESPONSE_MISMATCH');
+  }
+  session.revealedSeed = revealed;
+  const revealBlock = { type: 'SEED_REVEALED', sessionId, seed: revealed, operator: operator.username };
+  if (responseHash && sourceResponse !== undefined) revealBlock.sourceResponse = sourceResponse;
+  chain.addBlock(revealBlock);
+  seedResponses.delete(sessionId);
+  delete state.seedEnvelopes[sessionId];
+  transition(session, lifecycle.STATES.SEED_REVEALED, operator.username);
+  // the contract can check a keccak256 commitment itself
+  if (contractMode && commitment) anchorSession(session, 'reveal');
+  setActiveSession(sessionId);
+  saveState();
+  sendJSON(res, 200, { ok: true });
+});
+// fix the seed of a multi-party session after the reveal deadline
+router.post('/api/finalizeSeed', {
+  summary: 'Fix the seed of a multi-party session from the revealed shares',
+  role: 'admin',
+  body: sessionBody()
+}, (req, res, { body, operator }) => {
+  const session = state.sessions[body.sessionId];
+  if (!session) return sendError(res, 'SESSION_NOT_FOUND');
+  if (!session.committers) return sendError(res, 'NO_COMMITTERS');
+  if (!requireStatus(res, session, [lifecycle.STATES.REGISTRATION_CLOSED], 'finalize the seed')) return;
+  const blocker = committers.finalizeBlocker(session);
+  if (blocker) return sendFailure(res, blocker);
+  finalizeSeed(session, operator.username);
+  saveState();
+  sendJSON(res, 200, { ok: true, progress: committers.progress(session) });
+});
+// draw winners or multiple tiers
+router.post('/api/draw', {
+  summary: 'Draw all winners of a session at once',
+  role: 'admin',
+  body: sessionBody({
+    numWinners: { type: ['integer', 'null'], minimum: 1 },
+    tierCounts: { type: 'object', description: 'Number of winners by tier id' }
+  })
+}, (req, res, { body, operator }) => {
+  const { sessionId, numWinners, tierCounts } = body;
+  const session = state.sessions[sessionId];
+  if (!session) return sendError(res, 'SESSION_NOT_FOUND');
+  if (session.drawn) return sendError(res, 'SESSION_ALREADY_DRAWN');
+  if (!session.revealedSeed) return sendError(res, 'SEED_NOT_REVEALED');
+  if (!requireStatus(res, session, [lifecycle.STATES.SEED_REVEALED], 'draw')) return;
+  if (session.selection === core.SELECTION_CONTRACT) return sendError(res, 'CONTRACT_DRAW_BY_TIER');
+  const list = eligibleIds(session, participantIds(sessionId));
+  if (list.length === 0) return sendError(res, 'NO_PARTICIPANTS');
+  transition(session, lifecycle.STATES.DRAWING, operator.username);
+  // Committed sessions draw from the sorted list with per-tier bases derived from the
+  // participant root; legacy sessions derive one base from the chain tip.
+  const committed = !!session.participantRoot;
+  const randomness = committed ? 'participant-root' : 'chain-tip';
+  const randBase = committed ? null : core.drawRandBase(chain.getLatestHash(), session.revealedSeed, list.length);
+  const pool = committed ? core.sortedParticipants(list) : list;
+  const tierBase = tier => (committed
+    ? core.commitmentRandBase(session.revealedSeed, session.participantRoot, tier)
+    : core.drawTierRandBase(randBase, tier));
+  const baseHex = randBase ? core.toHex(randBase) : undefined;
+  // If tierCounts is provided, perform sequential draws per tier; else fallback to numWinners or 1
+  if (tierCounts && Object.keys(tierCounts).length > 0) {
+    // Work on a mutable copy so that winners from one tier are removed from subsequent draws
+    let remaining = pool.slice();
+    const tiers = {};
+    const allWinners = [];
+    for (const tier of Object.keys(tierCounts)) {
+      const count = Math.min(parseInt(tierCounts[tier], 10) || 0, remaining.length);
+      if (count > 0) {
+        const winnersList = selectWinners(remaining, count, tierBase(tier), session);
+        tiers[tier] = winnersList;
+        allWinners.push(...winnersList);
+        // remove winners from remaining
+        remaining = remaining.filter(u => !winnersList.includes(u));
+      } else {
+        tiers[tier] = [];
+      }
+    }
+    session.drawn = true;
+    state.winners[sessionId] = { all: allWinners, tiers };
+    chain.addBlock({
+      type: 'DRAWN', sessionId, winners: allWinners, tiers, randBase: baseHex, randomness,
+      selection: selectionVersion(session), operator: operator.username
+    });
+    transition(session, lifecycle.STATES.COMPLETED, operator.username);
+    saveState();
+    return sendJSON(res, 200, { winners: allWinners, tiers });
+  }
+  // Single draw
+  const k = Math.min(numWinners || 1, list.length);
+  const winners = selectWinners(pool, k, committed ? tierBase('default') : randBase, session);
+  session.drawn = true;
+  state.winners[sessionId] = { all: winners, tiers: { default: winners } };
+  chain.addBlock({
+    type: 'DRAWN', sessionId, winners, tiers: { default: winners }, randBase: baseHex, randomness,
+    selection: selectionVersion(session), operator: operator.username
+  });
+  transition(session, lifecycle.STATES.COMPLETED, operator.username);
+  saveState();
+  sendJSON(res, 200, { winners });
+});
+// draw a specific tier. This allows sequential draws (rounds)
+router.post('/api/drawTier', {
+  summary: 'Draw the next prize tier',
+  role: 'admin',
+  body: sessionBody({ tier: { type: 'string' } }, ['tier'])
+}, (req, res, { body, operator }) => {
+  const { sessionId, tier } = body;
+  const session = state.sessions[sessionId];
+  if (!session) return sendError(res, 'SESSION_NOT_FOUND');
+  if (!session.revealedSeed) return sendError(res, 'SEED_NOT_REVEALED');
+  if (!requireStatus(res, session, [lifecycle.STATES.SEED_REVEALED, lifecycle.STATES.DRAWING], 'draw')) return;
+  const prizes = getPrizes(session);
+  const prize = prizes.find(p => p.id === tier);
+  if (!prize) return sendError(res, 'UNKNOWN_TIER', { tier });
+  const targetCount = prize.count;
+  // initialize winners record if not present
+  if (!state.winners[sessionId]) {
+    state.winners[sessionId] = { all: [], tiers: {} };
+  }
+  const winnersObj = state.winners[sessionId];
+  if (isTierDrawn(winnersObj, tier)) return sendError(res, 'TIER_ALREADY_DRAWN', { tier });
+  // tiers must be drawn in their configured order
+  const pending = prizes.find(p => !isTierDrawn(winnersObj, p.id));
+  if (pending.id !== tier) return sendError(res, 'TIER_ORDER', { pending: pending.id, tier });
+  const list = eligibleIds(session, participantIds(sessionId));
+  // compute remaining participants by removing those already in all winners
+  const drawnSet = new Set(winnersObj.all);
+  const remaining = list.filter(u => !drawnSet.has(u));
+  if (remaining.length === 0) return sendError(res, 'NO_PARTICIPANTS_REMAINING');
+  const n = Math.min(targetCount, remaining.length);
+  if (session.status === lifecycle.STATES.SEED_REVEALED) {
+    transition(session, lifecycle.STATES.DRAWING, operator.username);
+  }
+  setActiveSession(sessionId);
+  const { randBase, pool, randomness } = tierRandomness(session, tier, remaining);
+  const winnersList = selectWinners(pool, n, randBase, session, winnersObj.all.length);
+  winnersObj.tiers[tier] = winnersList;
+  winnersObj.all.push(...winnersList);
+  // mark drawn flag once every configured tier is drawn or nobody is left to draw
+  session.drawn = remaining.length === n || prizes.every(p => isTierDrawn(winnersObj, p.id));
+  chain.addBlock({
+    type: 'TIER_DRAWN', sessionId, tier, winners: winnersList,
+    randBase: core.toHex(randBase), randomness, selection: selectionVersion(session), operator: operator.username
+  });
+  if (session.drawn) transition(session, lifecycle.STATES.COMPLETED, operator.username);
+  saveState();
+  sendJSON(res, 200, { winners: winnersList, tier, completed: session.drawn });
+});
+// choose the session shown on display screens; revealing the seed or drawing
+// a tier also makes a session active
+router.post('/api/activeSession', {
+  summary: 'Choose the session shown on display screens',
+  role: 'admin',
+  body: sessionBody()
+}, (req, res, { body }) => {
+  const { sessionId } = body;
+  if (!state.sessions[sessionId]) return sendError(res, 'SESSION_NOT_FOUND');
+  setActiveSession(sessionId);
+  saveState();
+  sendJSON(res, 200, { sessionId });
+});
+// void a winner who forfeits the prize, e.g. because they are absent
+router.post('/api/voidWinner', {
+  summary: 'Void a winner who forfeits the prize',
+  role: 'admin',
+  body: sessionBody({ tier: { type: 'string' }, user: { type: 'string' }, reason: { type: 'string' } }, ['tier', 'user', 'reason'])
+}, (req, res, { body, operator }) => {
+  const { sessionId, tier, user } = body;
+  const reason = body.reason.trim();
+  if (!reason) return sendError(res, 'FIELD_REQUIRED', { field: 'reason' });
+  const session = state.sessions[sessionId];
+  if (!session) return sendError(res, 'SESSION_NOT_FOUND');
+  if (!requireStatus(res, session, [lifecycle.STATES.DRAWING, lifecycle.STATES.COMPLETED], 'void a winner')) return;
+  const winnersObj = state.winners[sessionId];
+  const current = (winnersObj && winnersObj.tiers[tier]) || [];
+  if (!current.includes(user)) return sendError(res, 'NOT_A_WINNER', { user, tier });
+  winnersObj.tiers[tier] = current.filter(u => u !== user);
+  winnersObj.forfeited = winnersObj.forfeited || [];
+  winnersObj.forfeited.push({ tier, user, reason, replacement: null });
+  chain.addBlock({ type: 'WINNER_VOIDED', sessionId, tier, user, reason, operator: operator.username });
+  if (session.status === lifecycle.STATES.COMPLETED) anchorSession(session, 'results');
+  saveState();
+  sendJSON(res, 200, { winners: winnersObj });
+});
+// draw a replacement for the oldest voided winner of a tier that has not been replaced yet
+router.post('/api/drawReplacement', {
+  summary: 'Draw a replacement for a voided winner',
+  role: 'admin',
+  body: sessionBody({ tier: { type: 'string' } }, ['tier'])
+}, (req, res, { body, operator }) => {
+  const { sessionId, tier } = body;
+  const session = state.sessions[sessionId];
+  if (!session) return sendError(res, 'SESSION_NOT_FOUND');
+  if (!requireStatus(res, session, [lifecycle.STATES.DRAWING, lifecycle.STATES.COMPLETED], 'draw a replacement')) return;
+  // Replacements draw from the committed sorted list like regular tiers do
+  if (!session.participantRoot) return sendError(res, 'REPLACEMENT_NEEDS_COMMITMENT');
+  const winnersObj = state.winners[sessionId];
+  const forfeited = (winnersObj && winnersObj.forfeited) || [];
+  const voided = forfeited.find(f => f.tier === tier && !f.replacement);
+  if (!voided) return sendError(res, 'NO_VOIDED_WINNER', { tier });
+  const drawnSet = new Set(winnersObj.all);
+  const pool = core.sortedParticipants(eligibleIds(session, participantIds(sessionId)).filter(u => !drawnSet.has(u)));
+  if (pool.length === 0) return sendError(res, 'NO_PARTICIPANTS_REMAINING');
+  const index = forfeited.filter(f => f.tier === tier && f.replacement).length;
+  let winner, randBase;
+  if (session.selection === core.SELECTION_CONTRACT) {
+    // the next position of the session's single shuffle
+    const shuffle = tierRandomness(session, tier, pool);
+    randBase = shuffle.randBase;
+    [winner] = selectWinners(shuffle.pool, 1, randBase, session, winnersObj.all.length);
+  } else {
+    randBase = core.replacementRandBase(session.revealedSeed, session.participantRoot, tier, index);
+    [winner] = selectWinners(pool, 1, randBase, session);
+  }
+  voided.replacement = winner;
+  winnersObj.tiers[tier] = (winnersObj.tiers[tier] || []).concat(winner);
+  winnersObj.all.push(winner);
+  chain.addBlock({
+    type: 'REPLACEMENT_DRAWN', sessionId, tier, index, replaces: voided.user, winner,
+    randBase: core.toHex(randBase), selection: selectionVersion(session), operator: operator.username
+  });
+  if (session.status === lifecycle.STATES.COMPLETED) anchorSession(session, 'results');
+  saveState();
+  sendJSON(res, 200, { winner, replaces: voided.user, tier, index });
+});
+// retry anchoring a session whose commitment or results failed to anchor
+router.post('/api/anchor', {
+  summary: 'Retry failed anchoring of a session',
+  role: 'admin',
+  body: sessionBody()
+}, (req, res, { body }) => {
+  if (!anchor) return sendError(res, 'ANCHOR_NOT_CONFIGURED');
+  const session = state.sessions[body.sessionId];
+  if (!session) return sendError(res, 'SESSION_NOT_FOUND');
+  const anchored = kind => !!(session.anchor && session.anchor[kind] && session.anchor[kind].status === 'anchored');
+  const kinds = ['commitment', 'reveal', 'results'].filter(kind => {
+    const current = session.anchor && session.anchor[kind];
+    if (current) return current.status === 'failed';
+    // sessions created before anchoring was enabled: a commitment only
+    // means something before the seed is revealed
+    if (kind === 'commitment') return !session.revealedSeed;
+    if (kind === 'reveal') return session.selection === core.SELECTION_CONTRACT && !!session.revealedSeed && anchored('commitment');
+    return session.status === lifecycle.STATES.COMPLETED;
+  });
+  if (kinds.length === 0) return sendError(res, 'NOTHING_TO_ANCHOR');
+  kinds.forEach(kind => anchorSession(session, kind));
+  saveState();
+  sendJSON(res, 200, { anchor: session.anchor });
+});
+// import participants from a JSON list or an uploaded CSV/TSV/TXT file. Uploads
+// send the file as the body and their options in the query string. With
+// dryRun nothing is stored and only the report is returned.
+router.post('/api/importParticipants', {
+  summary: 'Import participants from a list or a CSV/TSV/TXT file',
+  role: 'registrar',
+  maxBytes: MAX_BODY_BYTES,
+  body: sessionBody({
+    users: USERS,
+    dryRun: { type: ['boolean', 'string'] },
+    allowNearDuplicates: { type: ['boolean', 'string'] }
+  }, ['users']),
+  upload: {
+    type: 'object',
+    required: ['sessionId'],
+    properties: Object.assign({ sessionId: SESSION_ID, allowNearDuplicates: { type: 'string' } }, UPLOAD_OPTIONS)
+  }
+}, (req, res, { query, body, raw, upload, operator }) => {
+  const options = upload ? query : body;
+  const { sessionId } = options;
+  const session = state.sessions[sessionId];
+  if (!session) return sendError(res, 'SESSION_NOT_FOUND');
+  if (!lifecycle.isRegistrationOpen(session)) return sendError(res, 'REGISTRATION_NOT_OPEN');
+  let source = { candidates: body.users && body.users.map((input, i) => ({ row: i + 1, input })) };
+  if (upload) {
+    source = importer.parseUpload(raw, { delimiter: options.delimiter, header: options.header, idColumn: options.idColumn });
+    if (source.error) return sendFailure(res, source);
+  }
+  const list = state.participants[sessionId] || [];
+  const { accepted, report } = importer.review(source.candidates, participants.ids(list), {
+    allowNearDuplicates: isFlagSet(options.allowNearDuplicates)
+  });
+  if (upload) {
+    Object.assign(report, {
+      encoding: source.encoding, delimiter: source.delimiter, header: source.header,
+      columns: source.columns, idColumn: source.idColumn
+    });
+  }
+  if (isFlagSet(options.dryRun)) return sendJSON(res, 200, { dryRun: true, report });
+  const fieldsHashes = accepted.map(participant => participants.seal(participant));
+  list.push(...accepted);
+  state.participants[sessionId] = list;
+  if (accepted.length > 0) {
+    const block = { type: 'USERS_IMPORTED', sessionId, users: report.added, operator: operator.username };
+    if (fieldsHashes.some(Boolean)) block.fieldsHashes = fieldsHashes;
+    if (accepted.some(p => p.weight)) block.weights = accepted.map(p => p.weight || 1);
+    chain.addBlock(block);
+  }
+  saveState();
+  sendJSON(res, 200, { participants: participantList(sessionId, req), added: report.added, report });
+});
+// allow-list for self-service registration; replaces the session's list
+// and returns the one-time codes of code mode lists, which are not kept
+router.post('/api/joinList', {
+  summary: 'Set the self-service registration list of a session',
+  role: 'registrar',
+  maxBytes: MAX_BODY_BYTES,
+  body: sessionBody({
+    mode: { type: 'string', enum: join.MODES },
+    users: USERS,
+    dryRun: { type: ['boolean', 'string'] }
+  }, ['mode', 'users']),
+  upload: {
+    type: 'object',
+    required: ['sessionId', 'mode'],
+    properties: Object.assign({ sessionId: SESSION_ID, mode: { type: 'string', enum: join.MODES } }, UPLOAD_OPTIONS)
+  }
+}, (req, res, { query, body, raw, upload, operator }) => {
+  const options = upload ? query : body;
+  const { sessionId, mode } = options;
+  const session = state.sessions[sessionId];
+  if (!session) return sendError(res, 'SESSION_NOT_FOUND');
+  if (!requireStatus(res, session, [lifecycle.STATES.DRAFT, lifecycle.STATES.REGISTRATION_OPEN], 'set a registration list')) return;
+  let source = { candidates: body.users && body.users.map((input, i) => ({ row: i + 1, input })) };
+  if (upload) {
+    source = importer.parseUpload(raw, { delimiter: options.delimiter, header: options.header, idColumn: options.idColumn });
+    if (source.error) return sendFailure(res, source);
+  }
+  const { accepted, report } = importer.review(source.candidates, []);
+  if (accepted.length === 0) {
+    // the report tells the registrar why no row was usable
+    const { status, body: error } = errors.response('JOIN_LIST_EMPTY', undefined, errors.language(req));
+    return sendJSON(res, status, Object.assign(error, { report }));
+  }
+  if (isFlagSet(options.dryRun)) return sendJSON(res, 200, { dryRun: true, report });
+  const { list, codes } = join.buildList(sessionId, mode, accepted);
+  state.joinLists[sessionId] = list;
+  session.selfService = mode;
+  chain.addBlock({ type: 'JOIN_LIST_SET', sessionId, mode, size: accepted.length, operator: operator.username });
+  saveState();
+  sendJSON(res, 200, { mode, size: accepted.length, codes, report });
+});
+// self-service entry from the /join page; answers with a signed receipt
+router.post('/api/join', {
+  summary: 'Register oneself for a session; answers with a signed receipt',
+  body: sessionBody({
+    id: { type: ['string', 'number'], description: 'Participant id' },
+    code: { type: 'string', description: 'One-time code in code mode' }
+  }, ['id'])
+}, (req, res, { body }) => {
+  const { sessionId, id, code } = body;
+  const client = req.socket.remoteAddress;
+  let wait = joinClients.hit(client);
+  if (wait > 0) return sendError(res, 'TOO_MANY_REQUESTS', undefined, { 'Retry-After': Math.ceil(wait / 1000) });
+  const session = state.sessions[sessionId];
+  const list = session && state.joinLists[sessionId];
+  if (!session || !session.selfService) return sendError(res, 'SELF_SERVICE_UNAVAILABLE');
+  if (!list || !lifecycle.isRegistrationOpen(session)) return sendError(res, 'REGISTRATION_NOT_OPEN');
+  wait = joinCeiling.hit('all');
+  if (wait > 0) return sendError(res, 'TOO_MANY_REQUESTS', undefined, { 'Retry-After': Math.ceil(wait / 1000) });
+  const failureKey = `${client}|${sessionId}:${join.lookupKey(id)}`;
+  const locked = joinFailures.retryAfter(failureKey);
+  if (locked > 0) return sendError(res, 'TOO_MANY_FAILURES', undefined, { 'Retry-After': Math.ceil(locked / 1000) });
+  const admitted = join.admit(list, sessionId, String(id), code);
+  if (admitted.error) {
+    joinFailures.hit(failureKey);
+    return sendFailure(res, admitted);
+  }
+  const participant = admitted.participant;
+  if ((state.participants[sessionId] || []).some(p => p.id === participant.id)) return sendError(res, 'ALREADY_REGISTERED');
+  const block = enterParticipant(sessionId, participant, { selfService: list.mode });
+  sendJSON(res, 200, { receipt: signer.sign(join.receipt(session, block)) });
+});
+
+/**
+ * Main HTTP request handler. API requests under `/api` go to the router;
+ * other paths serve static assets from the `public` directory.
  *
  * @param {http.IncomingMessage} req
  * @param {http.ServerResponse} res
@@ -186,260 +1654,24 @@ function requestListener(req, res) {
     res.writeHead(200, {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type'
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization'
     });
     return res.end();
   }
 
   // API routes
   if (pathname.startsWith('/api/')) {
-      // Endpoint to fetch a random seed from TianXuan chain. Returns seed and its hash.
-      if (req.method === 'GET' && pathname === '/api/tianxuanSeed') {
-        getTianxuanSeed().then(({ seed, seedHash }) => {
-          sendJSON(res, 200, { seed, seedHash });
-        }).catch(() => {
-          const fallback = generateSeed();
-          sendJSON(res, 200, fallback);
-        });
-        return;
-      }
-      // Endpoint to generate a random seed and its hash. This uses the same generateSeed helper as client
-      if (req.method === 'GET' && pathname === '/api/randomSeed') {
-        const { seed, seedHash } = generateSeed();
-        return sendJSON(res, 200, { seed, seedHash });
-      }
-    if (req.method === 'GET' && pathname === '/api/sessions') {
-      return sendJSON(res, 200, { sessions: state.sessions });
-    }
-    if (req.method === 'GET' && pathname === '/api/blockchain') {
-      return sendJSON(res, 200, { chain: chain.chain });
-    }
-    if (req.method === 'GET' && pathname === '/api/winners') {
-      const id = parsed.query.id;
-      const winners = state.winners[id] || { all: [], tiers: {} };
-      return sendJSON(res, 200, { winners });
-    }
-    if (req.method === 'GET' && pathname === '/api/participants') {
-      const id = parsed.query.id;
-      const participants = state.participants[id] || [];
-      return sendJSON(res, 200, { participants });
+    if (!chainValid && req.method === 'POST' && !CHAIN_FREE_ROUTES.includes(pathname)) {
+      return sendError(res, 'CHAIN_INVALID');
     }
-
-    // Buffer request body for POST endpoints
-    let body = '';
-    req.on('data', chunk => body += chunk);
-    req.on('end', () => {
-      try {
-        const data = body ? JSON.parse(body) : {};
-        // create session
-        if (req.method === 'POST' && pathname === '/api/createSession') {
-          const { name, seedHash } = data;
-          if (!name || !seedHash) {
-            return sendJSON(res, 400, { error: 'name and seedHash are required' });
-          }
-          const id = String(Date.now());
-          state.sessions[id] = { id, name, seedHash, revealedSeed: null, drawn: false };
-          state.participants[id] = [];
-          // Initialize winners record as an object with `all` and `tiers` properties.
-          // Previously this was an array, which caused errors when accessing winners.tiers later.
-          state.winners[id] = { all: [], tiers: {} };
-          // record on blockchain
-          chain.addBlock({ type: 'SESSION_CREATED', sessionId: id, name, seedHash });
-          saveState();
-          return sendJSON(res, 200, { sessionId: id });
-        }
-        // register participant
-        if (req.method === 'POST' && pathname === '/api/enter') {
-          const { sessionId, user } = data;
-          if (!sessionId || !user) {
-            return sendJSON(res, 400, { error: 'sessionId and user are required' });
-          }
-          if (!state.sessions[sessionId]) {
-            return sendJSON(res, 404, { error: 'session not found' });
-          }
-          const list = state.participants[sessionId] || [];
-          if (!list.includes(user)) {
-            list.push(user);
-            state.participants[sessionId] = list;
-            chain.addBlock({ type: 'USER_ENTERED', sessionId, user });
-            saveState();
-          }
-          return sendJSON(res, 200, { participants: list });
-        }
-        // reveal seed
-        if (req.method === 'POST' && pathname === '/api/revealSeed') {
-          const { sessionId, seed } = data;
-          if (!sessionId || !seed) {
-            return sendJSON(res, 400, { error: 'sessionId and seed are required' });
-          }
-          const session = state.sessions[sessionId];
-          if (!session) return sendJSON(res, 404, { error: 'session not found' });
-          // validate hash
-          const computedHash = crypto.createHash('sha256').update(seed).digest('hex');
-          if (computedHash !== session.seedHash) {
-            return sendJSON(res, 400, { error: 'seed hash mismatch' });
-          }
-          session.revealedSeed = seed;
-          chain.addBlock({ type: 'SEED_REVEALED', sessionId, seed });
-          saveState();
-          return sendJSON(res, 200, { ok: true });
-        }
-        // draw winners or multiple tiers
-        if (req.method === 'POST' && pathname === '/api/draw') {
-          const { sessionId, numWinners, tierCounts } = data;
-          const session = state.sessions[sessionId];
-          if (!session) return sendJSON(res, 404, { error: 'session not found' });
-          if (session.drawn) return sendJSON(res, 400, { error: 'session already drawn' });
-          if (!session.revealedSeed) return sendJSON(res, 400, { error: 'seed not revealed' });
-          const list = state.participants[sessionId] || [];
-          if (list.length === 0) return sendJSON(res, 400, { error: 'no participants' });
-          const tip = chain.getLatestHash();
-          const randBase = crypto.createHash('sha256').update(tip + session.revealedSeed + list.length).digest();
-          // If tierCounts is provided, perform sequential draws per tier; else fallback to numWinners or 1
-          let result = {};
-          if (tierCounts && typeof tierCounts === 'object' && Object.keys(tierCounts).length > 0) {
-            // Work on a mutable copy so that winners from one tier are removed from subsequent draws
-            let remaining = list.slice();
-            const tiers = {};
-            const allWinners = [];
-            let counter = 0;
-            for (const tier of Object.keys(tierCounts)) {
-              const count = Math.min(parseInt(tierCounts[tier], 10) || 0, remaining.length);
-              if (count > 0) {
-                // derive new randBase for each tier by hashing original base with tier name
-                const tierRand = crypto.createHash('sha256').update(Buffer.concat([randBase, Buffer.from(tier)])) .digest();
-                const winnersList = selectWinners(remaining, count, tierRand);
-                tiers[tier] = winnersList;
-                allWinners.push(...winnersList);
-                // remove winners from remaining
-                remaining = remaining.filter(u => !winnersList.includes(u));
-                counter += winnersList.length;
-              } else {
-                tiers[tier] = [];
-              }
-            }
-            session.drawn = true;
-            state.winners[sessionId] = { all: allWinners, tiers };
-            chain.addBlock({ type: 'DRAWN', sessionId, winners: allWinners, tiers, randBase: randBase.toString('hex') });
-            saveState();
-            return sendJSON(res, 200, { winners: allWinners, tiers });
-          } else {
-            // Single draw
-            const k = Math.min(numWinners || 1, list.length);
-            const winners = selectWinners(list, k, randBase);
-            session.drawn = true;
-            state.winners[sessionId] = { all: winners, tiers: { default: winners } };
-            chain.addBlock({ type: 'DRAWN', sessionId, winners, tiers: { default: winners }, randBase: randBase.toString('hex') });
-            saveState();
-            return sendJSON(res, 200, { winners });
-          }
-        }
-        // draw a specific tier. This allows sequential draws (rounds)
-        if (req.method === 'POST' && pathname === '/api/drawTier') {
-          const { sessionId, tier, count } = data;
-          if (!sessionId || !tier) {
-            return sendJSON(res, 400, { error: 'sessionId and tier are required' });
-          }
-          const session = state.sessions[sessionId];
-          if (!session) return sendJSON(res, 404, { error: 'session not found' });
-          if (!session.revealedSeed) return sendJSON(res, 400, { error: 'seed not revealed' });
-          // default counts for tiers
-          const DEFAULT_COUNTS = { special: 1, first: 5, second: 5, third: 20 };
-          const targetCount = count || DEFAULT_COUNTS[tier] || 1;
-          // initialize winners record if not present
-          if (!state.winners[sessionId]) {
-            state.winners[sessionId] = { all: [], tiers: {} };
-          }
-          const winnersObj = state.winners[sessionId];
-          // if this tier already drawn, return winners
-          if (winnersObj.tiers[tier] && winnersObj.tiers[tier].length > 0) {
-            return sendJSON(res, 400, { error: `tier ${tier} already drawn` });
-          }
-          const list = state.participants[sessionId] || [];
-          // compute remaining participants by removing those already in all winners
-          const drawnSet = new Set(winnersObj.all);
-          const remaining = list.filter(u => !drawnSet.has(u));
-          if (remaining.length === 0) {
-            return sendJSON(res, 400, { error: 'no participants remaining' });
-          }
-          const n = Math.min(targetCount, remaining.length);
-          // random base depends on chain tip, seed and tier to ensure each tier randomness
-          const tip = chain.getLatestHash();
-          const randBase = crypto.createHash('sha256').update(tip + session.revealedSeed + tier).digest();
-          const winnersList = selectWinners(remaining, n, randBase);
-          winnersObj.tiers[tier] = winnersList;
-          winnersObj.all.push(...winnersList);
-          // mark drawn flag if all default tiers are drawn
-          const allTierNames = Object.keys(DEFAULT_COUNTS);
-          const drawn = allTierNames.every(t => winnersObj.tiers[t] && winnersObj.tiers[t].length > 0);
-          session.drawn = drawn;
-          chain.addBlock({ type: 'TIER_DRAWN', sessionId, tier, winners: winnersList, randBase: randBase.toString('hex') });
-          saveState();
-          return sendJSON(res, 200, { winners: winnersList, tier });
-        }
-        // import participants from a list
-        if (req.method === 'POST' && pathname === '/api/importParticipants') {
-          const { sessionId, users } = data;
-          if (!sessionId || !Array.isArray(users)) {
-            return sendJSON(res, 400, { error: 'sessionId and users array are required' });
-          }
-          const session = state.sessions[sessionId];
-          if (!session) return sendJSON(res, 404, { error: 'session not found' });
-          let list = state.participants[sessionId] || [];
-          let added = [];
-          users.forEach(user => {
-            const u = String(user).trim();
-            if (u && !list.includes(u)) {
-              list.push(u);
-              added.push(u);
-            }
-          });
-          state.participants[sessionId] = list;
-          if (added.length > 0) {
-            chain.addBlock({ type: 'USERS_IMPORTED', sessionId, users: added });
-          }
-          saveState();
-          return sendJSON(res, 200, { participants: list, added });
-        }
-        return sendJSON(res, 404, { error: 'Unknown API endpoint' });
-      } catch (err) {
-        console.error(err);
-        return sendJSON(res, 500, { error: 'Server error' });
-      }
-    });
-    return;
-  }
-  // Serve static files from the public directory. If the file does not exist
-  // fall back to index.html to support client side routing.
-  const filePath = pathname === '/' ? path.join(PUBLIC_DIR, 'index.html') : path.join(PUBLIC_DIR, pathname.substring(1));
-  fs.readFile(filePath, (err, content) => {
-    if (err) {
-      // fallback to index.html for unknown routes
-      fs.readFile(path.join(PUBLIC_DIR, 'index.html'), (e, fallback) => {
-        if (e) {
-          res.writeHead(404, { 'Content-Type': 'text/plain' });
-          res.end('Not found');
-        } else {
-          res.writeHead(200, { 'Content-Type': 'text/html' });
-          res.end(fallback);
-        }
-      });
-    } else {
-      const ext = path.extname(filePath).toLowerCase();
-      const mimeTypes = {
-        '.html': 'text/html',
-        '.js': 'text/javascript',
-        '.css': 'text/css',
-        '.json': 'application/json',
-        '.png': 'image/png',
-        '.jpg': 'image/jpg',
-        '.svg': 'image/svg+xml'
-      };
-      const type = mimeTypes[ext] || 'application/octet-stream';
-      res.writeHead(200, { 'Content-Type': type });
-      res.end(content);
-    }
-  });
+    applyScheduledTransitions();
+    return router.handle(req, res);
+  }
+  if (req.method === 'GET' && pathname === SIGNING_KEY_ROUTE) {
+    return sendJSON(res, 200, signer.publicKeyInfo());
+  }
+  // everything else is a page or asset from public/
+  staticFiles.serve(req, res, pathname);
 }
 
 // Start the server. If the chosen port is in use, automatically try the next port.
@@ -460,4 +1692,8 @@ function tryListen(port) {
     }
   });
 }
-tryListen(basePort);
\ No newline at end of file
+tryListen(basePort);
+
+// Registration windows open and close on their own; check them regularly so the
+// transitions are recorded even when no requests arrive.
+setInterval(applyScheduledTransitions, 5000).unref();
\ No newline at end of file
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const core = require('./public/lottery-core');
+
+/**
+ * Signing of exported result bundles. The server holds an Ed25519 key pair in
+ * a PEM file, created on first start with owner-only permissions; anyone can
+ * fetch the public key from the well-known route and check that a bundle
+ * came from this server unchanged.
+ *
+ * A signed document carries
+ *
+ *   signature: { algorithm: 'Ed25519', keyId, value }
+ *
+ * where `value` is the base64 signature over core.canonicalJSON() of the
+ * document without its `signature` field, and `keyId` is the first 16 hex
+ * characters of the SHA-256 of the raw 32-byte public key, so a verifier can
+ * tell which key to use after a key rotation.
+ */
+
+const ALGORITHM = 'Ed25519';
+
+function rawPublicKey(publicKey) {
+  // the raw key is the last 32 bytes of the SubjectPublicKeyInfo encoding
+  return publicKey.export({ format: 'der', type: 'spki' }).slice(-32);
+}
+
+function payload(document) {
+  const { signature, ...rest } = document;
+  return Buffer.from(core.canonicalJSON(rest), 'utf8');
+}
+
+class Signer {
+  /**
+   * @param {string} file Path of the PEM encoded private key; created if missing
+   */
+  constructor(file) {
+    this.file = file;
+    if (fs.existsSync(file)) {
+      this.privateKey = crypto.createPrivateKey(fs.readFileSync(file, 'utf8'));
+    } else {
+      const { privateKey } = crypto.generateKeyPairSync('ed25519');
+      fs.writeFileSync(file, privateKey.export({ format: 'pem', type: 'pkcs8' }), { mode: 0o600 });
+      this.privateKey = privateKey;
+    }
+    if (this.privateKey.asymmetricKeyType !== 'ed25519') throw new Error(`${file} does not hold an Ed25519 key`);
+    this.publicKey = crypto.createPublicKey(this.privateKey);
+    this.keyId = core.sha256Hex(rawPublicKey(this.publicKey)).slice(0, 16);
+  }
+
+  /**
+   * The public key as served at the well-known route.
+   *
+   * @returns {{algorithm: string, keyId: string, publicKey: string, publicKeyPem: string}}
+   *   publicKey is the raw key in hex
+   */
+  publicKeyInfo() {
+    return {
+      algorithm: ALGORITHM,
+      keyId: this.keyId,
+      publicKey: rawPublicKey(this.publicKey).toString('hex'),
+      publicKeyPem: this.publicKey.export({ format: 'pem', type: 'spki' })
+    };
+  }
+
+  /**
+   * Return a copy of a document with its signature attached.
+   *
+   * @param {Object} document
+   * @returns {Object}
+   */
+  sign(document) {
+    const value = crypto.sign(null, payload(document), this.privateKey).toString('base64');
+    return Object.assign({}, document, { signature: { algorithm: ALGORITHM, keyId: this.keyId, value } });
+  }
+
+  /**
+   * Check the signature of a document.
+   *
+   * @param {Object} document Signed document
+   * @param {string} publicKeyPem PEM encoded Ed25519 public key
+   * @returns {{ok: boolean, detail: string}}
+   */
+  static verify(document, publicKeyPem) {
+    const signature = document && document.signature;
+    if (!signature || typeof signature.value !== 'string') return { ok: false, detail: 'document is not signed' };
+    if (signature.algorithm !== ALGORITHM) return { ok: false, detail: `unsupported signature algorithm ${signature.algorithm}` };
+    let publicKey;
+    try {
+      publicKey = crypto.createPublicKey(publicKeyPem);
+    } catch (e) {
+      return { ok: false, detail: `invalid public key: ${e.message}` };
+    }
+    const keyId = core.sha256Hex(rawPublicKey(publicKey)).slice(0, 16);
+    if (keyId !== signature.keyId) return { ok: false, detail: `signed with key ${signature.keyId}, not ${keyId}` };
+    const ok = crypto.verify(null, payload(document), publicKey, Buffer.from(signature.value, 'base64'));
+    return { ok, detail: ok ? `valid ${ALGORITHM} signature by key ${keyId}` : 'signature does not match the document' };
+  }
+}
+
+module.exports = Signer;
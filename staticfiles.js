@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+/**
+ * Serving of the browser pages and assets in `public/`. Request paths are
+ * decoded and resolved inside the root directory; anything that escapes it,
+ * names a hidden file or does not exist gets a 404, never another file.
+ *
+ * Responses carry an ETag and Last-Modified so browsers revalidate with a
+ * 304 instead of downloading again, and text assets are sent with brotli or
+ * gzip when the client accepts it. Compressed copies are kept in memory
+ * until the file changes, since the large scripts are requested by every
+ * screen at the start of an event.
+ */
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.wav': 'audio/wav',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm'
+};
+
+// Pages only load scripts, styles and images from this server and talk to
+// the API on the same origin
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "object-src 'none'",
+  "base-uri 'self'",
+  "form-action 'self'",
+  "frame-ancestors 'none'"
+].join('; ');
+// Printable pages built by the API (certificate, seed envelope) are a single
+// document with an inline stylesheet and nothing else
+const PRINTABLE_POLICY = "default-src 'none'; style-src 'unsafe-inline'; img-src 'self'; frame-ancestors 'none'";
+
+// Files smaller than this are not worth compressing
+const MIN_COMPRESS_BYTES = 1024;
+// Larger files are sent as they are rather than buffered for compression
+const MAX_COMPRESS_BYTES = 8 * 1024 * 1024;
+const ENCODINGS = {
+  br: (buffer, callback) => zlib.brotliCompress(buffer, { params: { [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT } }, callback),
+  gzip: (buffer, callback) => zlib.gzip(buffer, { level: 9 }, callback)
+};
+
+/**
+ * Headers sent with every HTML document and asset.
+ *
+ * @param {string} [policy] Content-Security-Policy, the one for public/ by default
+ * @returns {Object}
+ */
+function securityHeaders(policy = CONTENT_SECURITY_POLICY) {
+  return {
+    'Content-Security-Policy': policy,
+    'X-Content-Type-Options': 'nosniff',
+    'Referrer-Policy': 'same-origin'
+  };
+}
+
+function isCompressible(type) {
+  return /^text\/|^application\/json|^image\/svg\+xml/.test(type);
+}
+
+// Preferred encoding the client accepts: brotli, then gzip
+function negotiate(acceptEncoding) {
+  const accepted = String(acceptEncoding || '').split(',').map(part => {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+    return { name, q: q ? Number(q.slice(2)) : 1 };
+  }).filter(e => e.q > 0).map(e => e.name);
+  return Object.keys(ENCODINGS).find(name => accepted.includes(name)) || null;
+}
+
+// Weak validator from size and modification time, like most static servers
+function entityTag(stats) {
+  return `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+}
+
+function notModified(req, etag, mtime) {
+  const match = req.headers['if-none-match'];
+  if (match) return match.split(',').some(tag => tag.trim() === etag || tag.trim() === '*');
+  const since = Date.parse(req.headers['if-modified-since']);
+  // HTTP dates have whole seconds
+  return !Number.isNaN(since) && Math.floor(mtime.getTime() / 1000) * 1000 <= since;
+}
+
+function sendNotFound(res) {
+  res.writeHead(404, Object.assign({ 'Content-Type': 'text/plain; charset=utf-8' }, securityHeaders()));
+  res.end('Not found');
+}
+
+class StaticFiles {
+  /**
+   * @param {string} root Directory the files are served from
+   * @param {Object<string, string>} [pages] Paths served by a page in the
+   *   root, e.g. { '/host': 'host.html' }
+   */
+  constructor(root, pages = {}) {
+    this.root = path.resolve(root);
+    // resolved once so a root reached through a symbolic link still matches
+    try {
+      this.realRoot = fs.realpathSync(this.root);
+    } catch (e) {
+      this.realRoot = this.root;
+    }
+    this.pages = pages;
+    // file -> { etag, encoding -> Buffer }
+    this.compressed = new Map();
+  }
+
+  /**
+   * File a request path refers to, or null when it is outside the root or
+   * names a hidden file or directory.
+   *
+   * @param {string} pathname URL path, still percent-encoded
+   * @returns {string|null}
+   */
+  resolve(pathname) {
+    if (this.pages[pathname]) return path.join(this.root, this.pages[pathname]);
+    let decoded;
+    try {
+      decoded = decodeURIComponent(pathname);
+    } catch (e) {
+      return null;
+    }
+    // backslashes separate paths on Windows; '..' and dotfiles start with '.'
+    const segments = decoded.split(/[/\\]/).filter(Boolean);
+    if (decoded.includes('\0') || segments.some(s => s.startsWith('.'))) return null;
+    const file = path.resolve(this.root, ...segments);
+    return file.startsWith(this.root + path.sep) ? file : null;
+  }
+
+  /**
+   * Answer a GET or HEAD request for a static file.
+   *
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {string} pathname URL path of the request
+   */
+  serve(req, res, pathname) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, Object.assign({ Allow: 'GET, HEAD', 'Content-Type': 'text/plain; charset=utf-8' }, securityHeaders()));
+      return res.end('Method not allowed');
+    }
+    const file = this.resolve(pathname);
+    if (!file) return sendNotFound(res);
+    fs.realpath(file, (err, real) => {
+      // symbolic links must not lead out of the root either
+      if (err || !real.startsWith(this.realRoot + path.sep)) return sendNotFound(res);
+      fs.stat(real, (e, stats) => {
+        if (e || !stats.isFile()) return sendNotFound(res);
+        this.send(req, res, real, stats);
+      });
+    });
+  }
+
+  send(req, res, file, stats) {
+    const type = MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream';
+    const etag = entityTag(stats);
+    const headers = Object.assign({
+      'Content-Type': type,
+      ETag: etag,
+      'Last-Modified': stats.mtime.toUTCString(),
+      // file names carry no version, so browsers check back on every load
+      'Cache-Control': 'no-cache'
+    }, securityHeaders());
+    const compressible = isCompressible(type) && stats.size >= MIN_COMPRESS_BYTES && stats.size <= MAX_COMPRESS_BYTES;
+    if (compressible) headers.Vary = 'Accept-Encoding';
+    if (notModified(req, etag, stats.mtime)) {
+      res.writeHead(304, headers);
+      return res.end();
+    }
+    const encoding = compressible ? negotiate(req.headers['accept-encoding']) : null;
+    if (!encoding) {
+      headers['Content-Length'] = stats.size;
+      res.writeHead(200, headers);
+      if (req.method === 'HEAD') return res.end();
+      return fs.createReadStream(file).on('error', () => res.destroy()).pipe(res);
+    }
+    this.compress(file, etag, encoding, (err, body) => {
+      if (err) return sendNotFound(res);
+      headers['Content-Encoding'] = encoding;
+      headers['Content-Length'] = body.length;
+      res.writeHead(200, headers);
+      res.end(req.method === 'HEAD' ? undefined : body);
+    });
+  }
+
+  // Compressed copy of a file, made once per version of the file
+  compress(file, etag, encoding, callback) {
+    let cached = this.compressed.get(file);
+    if (cached && cached.etag === etag && cached[encoding]) return callback(null, cached[encoding]);
+    fs.readFile(file, (err, content) => {
+      if (err) return callback(err);
+      ENCODINGS[encoding](content, (e, body) => {
+        if (e) return callback(e);
+        cached = this.compressed.get(file);
+        if (!cached || cached.etag !== etag) {
+          cached = { etag };
+          this.compressed.set(file, cached);
+        }
+        cached[encoding] = body;
+        callback(null, body);
+      });
+    });
+  }
+}
+
+module.exports = StaticFiles;
+module.exports.MIME_TYPES = MIME_TYPES;
+module.exports.PRINTABLE_POLICY = PRINTABLE_POLICY;
+module.exports.securityHeaders = securityHeaders;
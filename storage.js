@@ -0,0 +1,505 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const lifecycle = require('./lifecycle');
+const participants = require('./participants');
+
+/**
+ * Durable storage of the server state: sessions, participant lists, winners
+ * and so on. Routes keep mutating the state as a plain object;
+ * Storage.commit() works out which entries changed since the last commit and
+ * hands just those to a backend, which records them atomically:
+ *
+ *   file    data.json holds a snapshot of the state and every commit is
+ *           appended to data.json.wal and fsynced. Every CHECKPOINT_RECORDS
+ *           commits the log is folded into a new snapshot, which is written
+ *           to a temporary file and renamed over the old one.
+ *   sqlite  one row per entry in an SQLite database and one transaction per
+ *           commit; needs node:sqlite, available from Node.js 22.5
+ *
+ * An entry is one value of a top-level map (a session, the participant list
+ * of a session, ...) or a top-level value that is not a map, such as
+ * activeSessionId.
+ *
+ * Commits are synchronous, so mutations committed in the same tick as they
+ * were made can never interleave with those of another request. Stores carry
+ * a schema version and older ones are migrated when loaded. A store that
+ * cannot be read raises StorageError instead of being replaced by an empty
+ * one.
+ */
+
+class StorageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StorageError';
+  }
+}
+
+const SCHEMA_VERSION = 1;
+
+/**
+ * Migrations keyed by the schema version they produce. Version 0 is data.json
+ * as written before stores were versioned: the bare state object.
+ */
+const MIGRATIONS = {
+  1(state) {
+    state.sessions = state.sessions || {};
+    state.participants = state.participants || {};
+    state.winners = state.winners || {};
+    // winners were first stored as the list of a single untiered draw
+    Object.keys(state.winners).forEach(id => {
+      const winners = state.winners[id];
+      if (Array.isArray(winners)) state.winners[id] = { all: winners, tiers: { default: winners.slice() } };
+    });
+    // sessions stored before lifecycle states existed get a state inferred from their data
+    Object.values(state.sessions).forEach(session => {
+      if (!session.status) session.status = lifecycle.inferStatus(session, state.winners[session.id]);
+    });
+    // participant lists stored as bare identifiers become records (see participants.js)
+    Object.keys(state.participants).forEach(id => {
+      state.participants[id] = participants.migrate(state.participants[id]);
+    });
+    return state;
+  }
+};
+
+// Commits appended to the file backend's log before it is folded into a new snapshot
+const CHECKPOINT_RECORDS = 200;
+
+function isMap(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Serialise the state entry by entry. Entry ids are JSON arrays: [name] for a
+ * top-level value and [name, key] for a value of a top-level map, whose own
+ * [name] entry is then {}.
+ *
+ * @param {Object} state
+ * @returns {Map<string, string>} Entry id -> JSON of its value
+ */
+function entriesOf(state) {
+  const entries = new Map();
+  Object.keys(state).forEach(name => {
+    const value = state[name];
+    if (value === undefined) return;
+    if (!isMap(value)) {
+      entries.set(JSON.stringify([name]), JSON.stringify(value));
+      return;
+    }
+    entries.set(JSON.stringify([name]), '{}');
+    Object.keys(value).forEach(key => {
+      if (value[key] !== undefined) entries.set(JSON.stringify([name, key]), JSON.stringify(value[key]));
+    });
+  });
+  return entries;
+}
+
+// Top-level entries sort first so maps exist before their values are applied
+function byDepth(a, b) {
+  return JSON.parse(a[0]).length - JSON.parse(b[0]).length;
+}
+
+/**
+ * Changes that turn one set of entries into another.
+ *
+ * @param {Map<string, string>} from
+ * @param {Map<string, string>} to
+ * @returns {Array<Array>} [id, json] pairs, json null for a removed entry
+ */
+function diff(from, to) {
+  const changes = [];
+  to.forEach((json, id) => {
+    if (from.get(id) !== json) changes.push([id, json]);
+  });
+  from.forEach((json, id) => {
+    if (!to.has(id)) changes.push([id, null]);
+  });
+  return changes.sort(byDepth);
+}
+
+// Apply one change from diff() to the state in place
+function applyChange(state, id, json) {
+  const [name, key] = JSON.parse(id);
+  if (key === undefined) {
+    if (json === null) delete state[name];
+    else state[name] = JSON.parse(json);
+  } else if (isMap(state[name])) {
+    if (json === null) delete state[name][key];
+    else state[name][key] = JSON.parse(json);
+  }
+}
+
+function checksum(seq, changes) {
+  return crypto.createHash('sha256').update(JSON.stringify([seq, changes])).digest('hex');
+}
+
+// Write a file so that readers see either the old or the new content, never a part
+function writeAtomic(file, text) {
+  const tmp = `${file}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, text);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+  // make the rename itself durable; directories cannot be opened on every platform
+  try {
+    const dir = fs.openSync(path.dirname(file), 'r');
+    fs.fsyncSync(dir);
+    fs.closeSync(dir);
+  } catch (e) {
+    // ignore
+  }
+}
+
+/**
+ * State in a JSON snapshot plus an append-only log of the commits since.
+ * The snapshot is { schemaVersion, seq, state }, where seq is the last commit
+ * it includes; each log line is { seq, changes, checksum }.
+ */
+class FileBackend {
+  /**
+   * @param {string} file Path of the snapshot; the log is kept next to it
+   */
+  constructor(file) {
+    this.file = file;
+    this.walFile = `${file}.wal`;
+    // sequence number of the last commit
+    this.seq = 0;
+    // records in the log since the snapshot, and the log's size in bytes
+    this.records = 0;
+    this.walSize = 0;
+  }
+
+  /**
+   * Read the snapshot and replay the log. The last log line may be cut short
+   * by a crash while it was appended; that commit never completed and is
+   * dropped. Any other damage raises StorageError.
+   *
+   * @returns {{schemaVersion: number, state: Object}|null} null for a new store
+   */
+  read() {
+    if (!fs.existsSync(this.file)) {
+      if (fs.existsSync(this.walFile) && fs.statSync(this.walFile).size > 0) {
+        throw new StorageError(`${this.walFile} exists but its snapshot ${this.file} is missing`);
+      }
+      return null;
+    }
+    let snapshot;
+    try {
+      snapshot = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (e) {
+      throw new StorageError(`${this.file} is not valid JSON (${e.message})`);
+    }
+    if (!isMap(snapshot)) throw new StorageError(`${this.file} does not contain a state object`);
+    // data.json written before stores were versioned holds the bare state
+    if (snapshot.schemaVersion === undefined) snapshot = { schemaVersion: 0, seq: 0, state: snapshot };
+    if (!isMap(snapshot.state) || !Number.isInteger(snapshot.seq)) {
+      throw new StorageError(`${this.file} is not a state snapshot`);
+    }
+    this.seq = snapshot.seq;
+    const { records, torn } = this.readLog();
+    records.forEach(record => {
+      record.changes.forEach(([id, json]) => applyChange(snapshot.state, id, json));
+    });
+    // fold the log into the snapshot so new records never follow a torn one
+    if (records.length > 0 || torn) this.checkpoint(snapshot.state, snapshot.schemaVersion);
+    return { schemaVersion: snapshot.schemaVersion, state: snapshot.state };
+  }
+
+  // Records of the log newer than the snapshot, checked for gaps and damage
+  readLog() {
+    if (!fs.existsSync(this.walFile)) return { records: [], torn: false };
+    const text = fs.readFileSync(this.walFile, 'utf8');
+    this.walSize = Buffer.byteLength(text);
+    const lines = text.split('\n');
+    const records = [];
+    for (let i = 0; i < lines.length; i++) {
+      if (!lines[i]) continue;
+      let record = null;
+      try {
+        record = JSON.parse(lines[i]);
+      } catch (e) {
+        record = null;
+      }
+      if (!record || !Array.isArray(record.changes) || record.checksum !== checksum(record.seq, record.changes)) {
+        if (lines.slice(i + 1).every(line => !line)) {
+          console.warn(`Dropping incomplete last record of ${this.walFile}`);
+          return { records, torn: true };
+        }
+        throw new StorageError(`${this.walFile} line ${i + 1} is corrupt`);
+      }
+      // left behind by a crash between writing a snapshot and emptying the log
+      if (record.seq <= this.seq) continue;
+      if (record.seq !== this.seq + 1) {
+        throw new StorageError(`${this.walFile} line ${i + 1}: expected commit ${this.seq + 1}, found ${record.seq}`);
+      }
+      records.push(record);
+      this.seq = record.seq;
+    }
+    return { records, torn: false };
+  }
+
+  /**
+   * Append a commit to the log and fsync it.
+   *
+   * @param {Array<Array>} changes See diff()
+   * @param {Object} state The state including the changes, for checkpoints
+   */
+  write(changes, state) {
+    const record = { seq: this.seq + 1, changes, checksum: checksum(this.seq + 1, changes) };
+    const line = JSON.stringify(record) + '\n';
+    const fd = fs.openSync(this.walFile, 'a');
+    try {
+      fs.writeSync(fd, line);
+      fs.fsyncSync(fd);
+    } catch (e) {
+      // never leave a partial record that later ones would follow
+      try {
+        fs.ftruncateSync(fd, this.walSize);
+      } catch (ignored) {
+        // the next load reports the damage
+      }
+      throw e;
+    } finally {
+      fs.closeSync(fd);
+    }
+    this.seq = record.seq;
+    this.records++;
+    this.walSize += Buffer.byteLength(line);
+    if (this.records >= CHECKPOINT_RECORDS) this.checkpoint(state);
+  }
+
+  /**
+   * Replace the whole store, e.g. after a migration.
+   *
+   * @param {Object} state
+   */
+  replace(state) {
+    this.checkpoint(state);
+  }
+
+  // Write a new snapshot, then empty the log whose records it now includes
+  checkpoint(state, schemaVersion = SCHEMA_VERSION) {
+    writeAtomic(this.file, JSON.stringify({ schemaVersion, seq: this.seq, state }, null, 2));
+    if (fs.existsSync(this.walFile)) fs.truncateSync(this.walFile, 0);
+    this.records = 0;
+    this.walSize = 0;
+  }
+
+  // Keep a copy of a store about to be migrated
+  backup(schemaVersion) {
+    fs.copyFileSync(this.file, `${this.file}.v${schemaVersion}.bak`);
+  }
+}
+
+/**
+ * State in an SQLite database, one row per entry, using node:sqlite.
+ */
+class SqliteBackend {
+  /**
+   * @param {string} file Path of the database
+   */
+  constructor(file) {
+    let sqlite;
+    try {
+      sqlite = require('node:sqlite');
+    } catch (e) {
+      throw new StorageError(`the sqlite backend needs node:sqlite from Node.js 22.5 or later, this is ${process.version}`);
+    }
+    this.file = file;
+    try {
+      this.db = new sqlite.DatabaseSync(file);
+      this.db.exec('PRAGMA journal_mode = WAL');
+      this.db.exec('PRAGMA synchronous = FULL');
+      this.db.exec('CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL)');
+      this.db.exec('CREATE TABLE IF NOT EXISTS entries (id TEXT PRIMARY KEY, value TEXT NOT NULL)');
+      this.upsert = this.db.prepare('INSERT INTO entries (id, value) VALUES (?, ?) ON CONFLICT (id) DO UPDATE SET value = excluded.value');
+      this.remove = this.db.prepare('DELETE FROM entries WHERE id = ?');
+    } catch (e) {
+      throw new StorageError(`cannot open ${file} (${e.message})`);
+    }
+  }
+
+  /**
+   * Check the database and read every entry.
+   *
+   * @returns {{schemaVersion: number, state: Object}|null} null for a new store
+   */
+  read() {
+    let meta;
+    let rows;
+    try {
+      const check = this.db.prepare('PRAGMA quick_check').all();
+      if (check.length !== 1 || Object.values(check[0])[0] !== 'ok') {
+        throw new Error(`integrity check failed: ${check.map(row => Object.values(row)[0]).join('; ')}`);
+      }
+      meta = this.db.prepare("SELECT value FROM meta WHERE key = 'schemaVersion'").get();
+      rows = this.db.prepare('SELECT id, value FROM entries').all();
+    } catch (e) {
+      throw new StorageError(`cannot read ${this.file} (${e.message})`);
+    }
+    if (!meta) return null;
+    const state = {};
+    try {
+      rows.map(row => [row.id, row.value]).sort(byDepth).forEach(([id, json]) => applyChange(state, id, json));
+    } catch (e) {
+      throw new StorageError(`${this.file} contains an unreadable entry (${e.message})`);
+    }
+    return { schemaVersion: Number(meta.value), state };
+  }
+
+  /**
+   * Apply a commit in one transaction.
+   *
+   * @param {Array<Array>} changes See diff()
+   */
+  write(changes) {
+    this.transaction(() => {
+      changes.forEach(([id, json]) => (json === null ? this.remove.run(id) : this.upsert.run(id, json)));
+    });
+  }
+
+  /**
+   * Replace the whole store, e.g. after a migration or import.
+   *
+   * @param {Object} state
+   */
+  replace(state) {
+    this.transaction(() => {
+      this.db.exec('DELETE FROM entries');
+      entriesOf(state).forEach((json, id) => this.upsert.run(id, json));
+      this.db.prepare("INSERT INTO meta (key, value) VALUES ('schemaVersion', ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value")
+        .run(String(SCHEMA_VERSION));
+    });
+  }
+
+  transaction(fn) {
+    this.db.exec('BEGIN IMMEDIATE');
+    try {
+      fn();
+      this.db.exec('COMMIT');
+    } catch (e) {
+      this.db.exec('ROLLBACK');
+      throw e;
+    }
+  }
+
+  // Rebuild the database file so deleted rows do not linger in free pages
+  vacuum() {
+    this.db.exec('VACUUM');
+  }
+
+  // Keep a copy of a store about to be migrated
+  backup(schemaVersion) {
+    const target = `${this.file}.v${schemaVersion}.bak`;
+    fs.rmSync(target, { force: true });
+    this.db.prepare('VACUUM INTO ?').run(target);
+  }
+}
+
+class Storage {
+  /**
+   * @param {FileBackend|SqliteBackend} backend
+   * @param {Object} [options]
+   * @param {string} [options.importFile] File store to import when the backend
+   *   is empty, so switching backends does not start from nothing
+   */
+  constructor(backend, options = {}) {
+    this.backend = backend;
+    this.importFile = options.importFile || null;
+    // entry id -> JSON of the state as last committed
+    this.committed = new Map();
+  }
+
+  /**
+   * Open the store selected by STORAGE_BACKEND ('file', the default, or
+   * 'sqlite'); STORAGE_FILE overrides its path.
+   *
+   * @param {Object} paths
+   * @param {string} paths.dataFile Default path of the file store
+   * @param {string} paths.sqliteFile Default path of the SQLite database
+   * @returns {Storage}
+   */
+  static fromEnv({ dataFile, sqliteFile }) {
+    const { STORAGE_BACKEND: kind = 'file', STORAGE_FILE: file } = process.env;
+    if (kind === 'file') return new Storage(new FileBackend(file || dataFile));
+    if (kind === 'sqlite') return new Storage(new SqliteBackend(file || sqliteFile), { importFile: dataFile });
+    throw new StorageError(`unknown STORAGE_BACKEND "${kind}", expected file or sqlite`);
+  }
+
+  /**
+   * Load the state, migrating older stores to SCHEMA_VERSION. The store is
+   * rewritten after a migration; a file store keeps the original as
+   * data.json.v<version>.bak.
+   *
+   * @param {Object} empty State of a new store
+   * @returns {Object} The state, to be mutated in place and passed to commit()
+   */
+  load(empty) {
+    let stored = this.backend.read();
+    let imported = false;
+    if (!stored && this.importFile && fs.existsSync(this.importFile)) {
+      console.log(`Importing ${this.importFile} into the new store`);
+      stored = new FileBackend(this.importFile).read();
+      imported = true;
+    }
+    const version = stored ? stored.schemaVersion : SCHEMA_VERSION;
+    if (!Number.isInteger(version) || version < 0 || version > SCHEMA_VERSION) {
+      throw new StorageError(`store has schema version ${version}, this server reads versions up to ${SCHEMA_VERSION}`);
+    }
+    let state = stored ? stored.state : empty;
+    if (stored && !imported && version < SCHEMA_VERSION) this.backend.backup(version);
+    for (let v = version + 1; v <= SCHEMA_VERSION; v++) state = MIGRATIONS[v](state);
+    if (!stored || imported || version < SCHEMA_VERSION) this.backend.replace(state);
+    this.committed = entriesOf(state);
+    return state;
+  }
+
+  /**
+   * Record every change made to the state since the last commit.
+   *
+   * @param {Object} state
+   * @returns {number} Number of changed entries
+   */
+  commit(state) {
+    const entries = entriesOf(state);
+    const changes = diff(this.committed, entries);
+    if (changes.length === 0) return 0;
+    this.backend.write(changes, state);
+    this.committed = entries;
+    return changes.length;
+  }
+
+  /**
+   * Rewrite the whole store from the state, so that entries removed from it
+   * leave no copy behind in the log or in unused database pages. Used for
+   * data that must not stay on disk, not for ordinary commits.
+   *
+   * @param {Object} state
+   */
+  purge(state) {
+    this.backend.replace(state);
+    if (this.backend.vacuum) this.backend.vacuum();
+    this.committed = entriesOf(state);
+  }
+
+  /**
+   * Undo every change made to the state since the last commit, e.g. when a
+   * request failed halfway. Changed entries are replaced by fresh copies.
+   *
+   * @param {Object} state
+   * @returns {number} Number of restored entries
+   */
+  rollback(state) {
+    const changes = diff(entriesOf(state), this.committed);
+    changes.forEach(([id, json]) => applyChange(state, id, json));
+    return changes.length;
+  }
+}
+
+module.exports = Storage;
+module.exports.StorageError = StorageError;
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * Offline draw verifier. Replays a session from the bundle exported by
+ * `/api/bundle?id=<sessionId>` (or the "导出验证包" button) and reports
+ * pass/fail for every step: the seed commitment, the chain linkage, the
+ * participant list, each tier's random base and winner list.
+ *
+ * Usage: node verify.js <bundle.json> [--key <public key>]
+ *        node verify.js --contract <vectors.json>
+ *
+ * Bundles exported with /api/export?format=json are signed by the server.
+ * With --key, naming the JSON served at /.well-known/lottery-signing-key.json
+ * or a PEM file, the signature is checked as well.
+ *
+ * With --contract the file holds draws recorded from Lottery.sol, such as
+ * fixtures/lottery-sol.json, and each one is recomputed with the
+ * contract-algorithm implementation: seed commitment, randomBase and winners
+ * must match what the contract produced.
+ *
+ * The process exits with status 0 when every step passes and 1 otherwise, so
+ * the command can also be used from scripts.
+ */
+const fs = require('fs');
+const core = require('./public/lottery-core');
+const Signer = require('./signing');
+
+function readJSON(file, what) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    console.error(`Cannot read ${what} ${file}: ${e.message}`);
+    return null;
+  }
+}
+
+function checkContractVectors(file) {
+  const fixtures = readJSON(file, 'vectors');
+  if (!fixtures) return 2;
+  if (fixtures.contract) console.log(fixtures.contract);
+  const strip = hex => String(hex).replace(/^0x/, '').toLowerCase();
+  let ok = true;
+  (fixtures.vectors || []).forEach((v, i) => {
+    const participants = v.participants.map(p => p.toLowerCase());
+    const randBase = core.contractRandBase(v.blockHash, v.seed, participants.length);
+    const winners = core.contractWinners(participants, 0, v.numWinners, randBase);
+    const checks = [
+      ['seedHash', core.contractSeedHash(v.seed) === strip(v.seedHash)],
+      ['randomBase', core.toHex(randBase) === strip(v.randomBase)],
+      ['winners', winners.join() === v.winners.map(w => w.toLowerCase()).join()]
+    ];
+    const failed = checks.filter(([, pass]) => !pass).map(([name]) => name);
+    console.log(`[${failed.length ? 'FAIL' : 'PASS'}] vector ${i + 1}: ${v.numWinners} of ${participants.length}` +
+      (failed.length ? ` (${failed.join(', ')} differ)` : ''));
+    if (failed.length) ok = false;
+  });
+  console.log(ok ? 'Result: PASS' : 'Result: FAIL');
+  return ok ? 0 : 1;
+}
+
+// A public key file is either the well-known JSON or PEM text
+function readPublicKey(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    console.error(`Cannot read public key ${file}: ${e.message}`);
+    return null;
+  }
+  try {
+    return JSON.parse(text).publicKeyPem || null;
+  } catch (e) {
+    return text;
+  }
+}
+
+function main(argv) {
+  if (argv[2] === '--contract') {
+    if (!argv[3]) {
+      console.error('Usage: node verify.js --contract <vectors.json>');
+      return 2;
+    }
+    return checkContractVectors(argv[3]);
+  }
+  const args = argv.slice(2);
+  const keyIndex = args.indexOf('--key');
+  const keyFile = keyIndex >= 0 ? args.splice(keyIndex, 2)[1] : null;
+  const file = args[0];
+  if (!file || (keyIndex >= 0 && !keyFile)) {
+    console.error('Usage: node verify.js <bundle.json> [--key <public key>]');
+    return 2;
+  }
+  const bundle = readJSON(file, 'bundle');
+  if (!bundle) return 2;
+  const publicKey = keyFile ? readPublicKey(keyFile) : null;
+  if (keyFile && !publicKey) return 2;
+  const session = bundle.session || {};
+  console.log(`Session ${session.id} (${session.name})`);
+  const report = core.verifyBundle(bundle);
+  report.steps.forEach(({ step, ok, detail }) => {
+    console.log(`[${ok === null ? 'INFO' : ok ? 'PASS' : 'FAIL'}] ${step}: ${detail}`);
+  });
+  let ok = report.ok;
+  if (publicKey) {
+    const signature = Signer.verify(bundle, publicKey);
+    console.log(`[${signature.ok ? 'PASS' : 'FAIL'}] signature: ${signature.detail}`);
+    ok = ok && signature.ok;
+  } else if (bundle.signature) {
+    console.log(`[INFO] signature: signed by key ${bundle.signature.keyId}, not checked without --key`);
+  }
+  console.log(ok ? 'Result: PASS' : 'Result: FAIL');
+  return ok ? 0 : 1;
+}
+
+process.exitCode = main(process.argv);